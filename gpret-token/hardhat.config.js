@@ -4,6 +4,21 @@ require("hardhat-gas-reporter");
 require("solidity-coverage");
 require("dotenv").config();
 
+const { task } = require("hardhat/config");
+
+task("verify-deployment", "Verify every contract in the network's deployment manifest")
+  .addFlag("dryRun", "Print the encoded constructor arguments without calling the explorer")
+  .setAction(async ({ dryRun }, hre) => {
+    const verify = require("./scripts/verify");
+    await verify(hre, { dryRun });
+  });
+
+task("check-deployment", "Check the network's deployment against the GPRET invariants")
+  .setAction(async (args, hre) => {
+    const check = require("./scripts/check-deployment");
+    await check(hre);
+  });
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
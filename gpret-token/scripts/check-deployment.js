@@ -0,0 +1,57 @@
+const { DeploymentRegistry, checkDeployment, DEFAULT_DEPLOYMENTS_DIR } = require("./deployment");
+
+/**
+ * GPRET post-deployment invariant check
+ *
+ *   npx hardhat check-deployment --network <network>
+ *   npx hardhat run scripts/check-deployment.js --network <network>
+ *
+ * Reads deployments/registry/<network>.json, runs the invariant suite in
+ * scripts/deployment/invariants.js against the chain and prints a pass/fail
+ * report. Fails (exit code 1) when any invariant does not hold, so it can
+ * gate a release.
+ */
+async function main(hre, options = {}) {
+  const { network } = hre;
+  const registry = new DeploymentRegistry({ deploymentsDir: options.deploymentsDir || DEFAULT_DEPLOYMENTS_DIR });
+  const manifest = registry.load(network.name);
+  
+  if (!manifest) {
+    throw new Error(`No deployment manifest for ${network.name}; run the deployment first`);
+  }
+  
+  console.log("🧪 Checking GPRET deployment...");
+  console.log("Network:", network.name, `(chainId ${manifest.chainId})`);
+  console.log("=".repeat(50));
+  
+  const report = await checkDeployment({ manifest, provider: hre.ethers.provider, invariants: options.invariants });
+  
+  for (const result of report.results) {
+    const detail = result.detail ? ` - ${result.detail}` : "";
+    console.log(`   ${result.passed ? "✅" : "❌"} ${result.description}${detail}`);
+  }
+  
+  const failed = report.results.filter(result => !result.passed);
+  console.log("=".repeat(50));
+  console.log(`📊 ${report.results.length - failed.length}/${report.results.length} invariants hold`);
+  
+  if (failed.length > 0) {
+    throw new Error(`Deployment check failed: ${failed.map(result => result.id).join(", ")}`);
+  }
+  
+  return report;
+}
+
+if (require.main === module) {
+  main(require("hardhat"))
+    .then(() => {
+      console.log("\n🏁 Deployment check passed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,104 @@
+const path = require("path");
+const { writeJsonAtomic, readJson } = require("../oracle/storage/atomic-file");
+
+/**
+ * GPRET Deployment Record
+ * deployments/<network>.json - what a deployment has done so far, written
+ * after every step so an interrupted run can resume:
+ *
+ *   { network, chainId, deployer, startedAt, updatedAt, completedAt,
+ *     contracts: { <name>: { address, txHash, blockNumber, gasUsed, args } },
+ *     steps: { <id>: { status: "pending" | "done", txHash, completedAt, ... } } }
+ */
+class DeploymentRecord {
+  /**
+   * @param {Object} options
+   * @param {string} options.deploymentsDir - Directory holding <network>.json
+   * @param {string} options.network - Hardhat network name
+   */
+  constructor({ deploymentsDir, network }) {
+    this.network = network;
+    this.filePath = path.join(deploymentsDir, `${network}.json`);
+    this.data = readJson(this.filePath, null);
+  }
+  
+  get exists() {
+    return this.data !== null;
+  }
+  
+  /**
+   * Start a new record, or continue the existing one for the same chain
+   */
+  begin({ chainId, deployer }) {
+    if (this.data && this.data.chainId !== chainId) {
+      throw new Error(`${this.filePath} is for chainId ${this.data.chainId}, connected to ${chainId}`);
+    }
+    
+    if (!this.data) {
+      this.data = {
+        network: this.network,
+        chainId,
+        deployer,
+        startedAt: new Date().toISOString(),
+        updatedAt: null,
+        completedAt: null,
+        contracts: {},
+        steps: {}
+      };
+    }
+    
+    this.data.completedAt = null;
+    this.save();
+  }
+  
+  /**
+   * Drop everything recorded (the chain no longer has these contracts)
+   */
+  reset() {
+    this.data = null;
+  }
+  
+  getStep(id) {
+    return this.data.steps[id] || null;
+  }
+  
+  isDone(id) {
+    const step = this.getStep(id);
+    return Boolean(step && step.status === "done");
+  }
+  
+  /**
+   * Note a broadcast transaction before waiting for it, so a resumed run can
+   * pick it up instead of sending it again
+   */
+  markPending(id, txHash) {
+    this.data.steps[id] = { status: "pending", txHash };
+    this.save();
+  }
+  
+  completeStep(id, details = {}) {
+    this.data.steps[id] = { status: "done", ...details, completedAt: new Date().toISOString() };
+    this.save();
+  }
+  
+  getContract(name) {
+    return this.data.contracts[name] || null;
+  }
+  
+  setContract(name, info) {
+    this.data.contracts[name] = info;
+    this.save();
+  }
+  
+  finish() {
+    this.data.completedAt = new Date().toISOString();
+    this.save();
+  }
+  
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    writeJsonAtomic(this.filePath, this.data);
+  }
+}
+
+module.exports = DeploymentRecord;
@@ -0,0 +1,110 @@
+const path = require("path");
+const DeploymentPipeline = require("./pipeline");
+const DeploymentRecord = require("./deployment-record");
+const DeploymentRegistry = require("./registry");
+const ContractVerifier = require("./verifier");
+const { GPRET_INVARIANTS, checkDeployment } = require("./invariants");
+const { gpretSteps } = require("./steps");
+const { rolesFor, roleEnvNames, sameAddress, verifyRoles } = require("./roles");
+const { LOCAL_NETWORKS } = require("./networks");
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * Deploy (or resume deploying) GPRET on the Hardhat runtime's network, hand
+ * ownership and the oracle role over, check every role on chain, then publish
+ * the network's manifest to the deployments registry.
+ * Off local networks the owner and oracle must be given and must not be the
+ * deployer.
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} [options]
+ * @param {string} [options.oracle] - Oracle address (defaults to the deployer locally)
+ * @param {string} [options.owner] - Owner of both contracts, e.g. a multisig (defaults to the deployer locally)
+ * @param {boolean} [options.fresh] - Ignore an existing deployment record
+ * @param {number} [options.confirmations] - Blocks to wait per transaction
+ * @param {string} [options.deploymentsDir] - Defaults to deployments/
+ * @param {ethers.Signer} [options.signer] - Defaults to the first signer
+ * @param {Array} [options.steps] - Defaults to gpretSteps(); only the defaults are role-checked and published
+ * @param {Function} [options.log]
+ */
+async function runDeployment(hre, options = {}) {
+  const local = LOCAL_NETWORKS.includes(hre.network.name);
+  const signer = options.signer || (await hre.ethers.getSigners())[0];
+  const log = options.log || console.log;
+  
+  const owner = options.owner || (local ? signer.address : undefined);
+  const oracle = options.oracle || (local ? signer.address : undefined);
+  
+  for (const [role, address] of Object.entries({ owner, oracle })) {
+    if (!address) {
+      throw new Error(`No ${role} configured for ${hre.network.name}; set ${roleEnvNames(hre.network.name, role)}`);
+    }
+    if (!hre.ethers.isAddress(address)) {
+      throw new Error(`Invalid ${role} address for ${hre.network.name}: ${address}`);
+    }
+    if (!local && sameAddress(address, signer.address)) {
+      throw new Error(`The ${role} on ${hre.network.name} must not be the deployer ${signer.address}`);
+    }
+  }
+  
+  const balance = await hre.ethers.provider.getBalance(signer.address);
+  log(`👤 Deployer ${signer.address} (${hre.ethers.formatEther(balance)} ETH)`);
+  
+  if (balance === 0n) {
+    throw new Error(`Deployer ${signer.address} has no balance on ${hre.network.name}`);
+  }
+  
+  const pipeline = new DeploymentPipeline({
+    ethers: hre.ethers,
+    network: hre.network.name,
+    deploymentsDir: options.deploymentsDir || DEFAULT_DEPLOYMENTS_DIR,
+    steps: options.steps || gpretSteps({ owner, oracle }),
+    signer,
+    confirmations: options.confirmations || (local ? 1 : 2),
+    fresh: options.fresh,
+    log
+  });
+  
+  const deployment = await pipeline.run();
+  if (options.steps) return deployment;
+  
+  log("\n🔐 Checking roles...");
+  const roles = await verifyRoles({
+    ethers: hre.ethers,
+    deployment,
+    deployer: signer.address,
+    owner,
+    oracle,
+    strict: !local
+  });
+  log(`   Owner: ${roles.gpretOwner}${roles.ownerIsContract ? " (contract)" : ""}`);
+  log(`   Oracle: ${roles.oracle}`);
+  
+  if (!local && !roles.ownerIsContract) {
+    log(`   ⚠️  Owner ${roles.gpretOwner} has no code; a multisig or timelock is expected`);
+  }
+  
+  const artifacts = {};
+  for (const name of Object.keys(deployment.contracts)) {
+    artifacts[name] = await hre.artifacts.readArtifact(name);
+  }
+  const registry = new DeploymentRegistry({ deploymentsDir: options.deploymentsDir || DEFAULT_DEPLOYMENTS_DIR });
+  const manifest = registry.publish(deployment, artifacts);
+  log(`\n📒 Manifest published: ${registry.manifestPath(manifest.network)}`);
+  
+  return deployment;
+}
+
+module.exports = {
+  runDeployment,
+  gpretSteps,
+  rolesFor,
+  verifyRoles,
+  DeploymentPipeline,
+  DeploymentRecord,
+  DeploymentRegistry,
+  ContractVerifier,
+  GPRET_INVARIANTS,
+  checkDeployment,
+  DEFAULT_DEPLOYMENTS_DIR
+};
@@ -0,0 +1,154 @@
+const { ethers } = require("ethers");
+
+const DAY = 24 * 60 * 60;
+
+// Governance weight per lock period, in basis points (GPRETStaking._initializePeriodMultipliers)
+const PERIOD_MULTIPLIERS = [
+  { days: 7, multiplier: 10000n },
+  { days: 30, multiplier: 11000n },
+  { days: 90, multiplier: 13000n },
+  { days: 180, multiplier: 16000n },
+  { days: 365, multiplier: 20000n }
+];
+
+const TOTAL_SUPPLY = ethers.parseEther("1000000000");
+
+/**
+ * Post-deployment invariants for GPRET
+ * Each invariant is { id, description, check(context) }. `check` throws when
+ * the invariant does not hold and may return a detail string when it does.
+ * The context holds { manifest, provider, gpret, staking }, the contracts
+ * bound to the manifest's addresses and ABIs.
+ */
+const GPRET_INVARIANTS = [
+  {
+    id: "code-deployed",
+    description: "Every manifest contract has code on chain",
+    check: async ({ manifest, provider }) => {
+      for (const [name, { address }] of Object.entries(manifest.contracts)) {
+        if ((await provider.getCode(address)) === "0x") {
+          throw new Error(`${name} has no code at ${address}`);
+        }
+      }
+    }
+  },
+  {
+    id: "total-supply",
+    description: "GPRET total supply is 1,000,000,000",
+    check: async ({ gpret }) => {
+      const supply = await gpret.totalSupply();
+      if (supply !== TOTAL_SUPPLY) {
+        throw new Error(`Total supply is ${ethers.formatEther(supply)}`);
+      }
+      return ethers.formatEther(supply);
+    }
+  },
+  {
+    id: "gpret-zero-revenue",
+    description: "GPRET validateZeroRevenue() is true",
+    check: async ({ gpret }) => {
+      if (!(await gpret.validateZeroRevenue())) throw new Error("validateZeroRevenue() returned false");
+    }
+  },
+  {
+    id: "staking-zero-revenue",
+    description: "GPRETStaking validateZeroRevenue() is true",
+    check: async ({ staking }) => {
+      if (!(await staking.validateZeroRevenue())) throw new Error("validateZeroRevenue() returned false");
+    }
+  },
+  {
+    id: "staking-token",
+    description: "GPRETStaking stakes the deployed GPRET",
+    check: async ({ gpret, staking }) => {
+      const token = await staking.gpretToken();
+      if (token.toLowerCase() !== gpret.target.toLowerCase()) {
+        throw new Error(`gpretToken() is ${token}, GPRET is ${gpret.target}`);
+      }
+      return token;
+    }
+  },
+  {
+    id: "period-multipliers",
+    description: "Lock periods 7/30/90/180/365 days carry 1.0x/1.1x/1.3x/1.6x/2.0x governance weight",
+    check: async ({ staking }) => {
+      const wrong = [];
+      for (const { days, multiplier } of PERIOD_MULTIPLIERS) {
+        const actual = await staking.periodMultipliers(days * DAY);
+        if (actual !== multiplier) wrong.push(`${days} days is ${actual}, expected ${multiplier}`);
+      }
+      if (wrong.length > 0) throw new Error(wrong.join("; "));
+    }
+  },
+  {
+    id: "oracle-set",
+    description: "GPRET oracle is set",
+    check: async ({ gpret }) => {
+      const oracle = await gpret.oracleAddress();
+      if (oracle === ethers.ZeroAddress) throw new Error("Oracle is the zero address");
+      return oracle;
+    }
+  },
+  {
+    id: "not-paused",
+    description: "Neither contract is paused",
+    check: async ({ gpret, staking }) => {
+      const paused = [];
+      if (await gpret.paused()) paused.push("GPRET");
+      if (await staking.paused()) paused.push("GPRETStaking");
+      if (paused.length > 0) throw new Error(`Paused: ${paused.join(", ")}`);
+    }
+  },
+  {
+    id: "emergency-unstake-off",
+    description: "GPRETStaking emergency unstake is disabled",
+    check: async ({ staking }) => {
+      if (await staking.emergencyUnstakeEnabled()) throw new Error("Emergency unstake is enabled");
+    }
+  }
+];
+
+/**
+ * Run `invariants` against the contracts in `manifest`
+ * @param {Object} options
+ * @param {Object} options.manifest - Registry manifest for the network
+ * @param {ethers.Provider} options.provider - Provider for that network
+ * @param {Array} [options.invariants] - Defaults to GPRET_INVARIANTS
+ * @returns {Promise<Object>} { network, chainId, passed, results: [{ id, description, passed, detail }] }
+ */
+async function checkDeployment({ manifest, provider, invariants = GPRET_INVARIANTS }) {
+  const { chainId } = await provider.getNetwork();
+  if (Number(chainId) !== manifest.chainId) {
+    throw new Error(`Manifest for ${manifest.network} is for chainId ${manifest.chainId}, connected to ${chainId}`);
+  }
+  
+  const contractAt = name => new ethers.Contract(manifest.contracts[name].address, manifest.contracts[name].abi, provider);
+  const context = {
+    manifest,
+    provider,
+    gpret: contractAt("GPRET"),
+    staking: contractAt("GPRETStaking")
+  };
+  
+  const results = [];
+  for (const invariant of invariants) {
+    try {
+      const detail = await invariant.check(context);
+      results.push({ id: invariant.id, description: invariant.description, passed: true, detail: detail || null });
+    } catch (error) {
+      results.push({ id: invariant.id, description: invariant.description, passed: false, detail: error.message });
+    }
+  }
+  
+  return {
+    network: manifest.network,
+    chainId: manifest.chainId,
+    passed: results.every(result => result.passed),
+    results
+  };
+}
+
+module.exports = {
+  GPRET_INVARIANTS,
+  checkDeployment
+};
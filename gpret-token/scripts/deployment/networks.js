@@ -0,0 +1,10 @@
+// Local chains mine one block per transaction; waiting for more would never return
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Networks whose chain disappears with the process: their deployments are never reused
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+module.exports = {
+  LOCAL_NETWORKS,
+  EPHEMERAL_NETWORKS
+};
@@ -0,0 +1,135 @@
+const DeploymentRecord = require("./deployment-record");
+const { EPHEMERAL_NETWORKS } = require("./networks");
+
+/**
+ * GPRET Deployment Pipeline
+ * Runs declared steps in order, recording each in deployments/<network>.json.
+ * Steps already recorded as done are skipped, so rerunning after a failure
+ * resumes where the last run stopped.
+ *
+ * A step is { id, description, run(context) => details }. `details` are
+ * stored with the step. The context holds:
+ *   ethers, signer, network, record, confirmations, log, and
+ *   deploy(name, args) - deploy a contract, recorded under `name`
+ */
+class DeploymentPipeline {
+  /**
+   * @param {Object} options
+   * @param {Object} options.ethers - hardhat-ethers (hre.ethers)
+   * @param {string} options.network - Hardhat network name
+   * @param {string} options.deploymentsDir - Where <network>.json is kept
+   * @param {Array} options.steps - Steps to run, in order
+   * @param {ethers.Signer} [options.signer] - Deployer (defaults to the first signer)
+   * @param {number} [options.confirmations] - Blocks to wait for each transaction
+   * @param {boolean} [options.fresh] - Ignore an existing record and start over
+   * @param {Function} [options.log] - Progress output
+   */
+  constructor({ ethers, network, deploymentsDir, steps, signer, confirmations = 1, fresh = false, log = console.log }) {
+    this.ethers = ethers;
+    this.network = network;
+    this.steps = steps;
+    this.signer = signer;
+    this.confirmations = confirmations;
+    this.fresh = fresh;
+    this.log = log;
+    this.record = new DeploymentRecord({ deploymentsDir, network });
+  }
+  
+  /**
+   * Run every step not yet done; returns the deployment record
+   */
+  async run() {
+    const signer = this.signer || (await this.ethers.getSigners())[0];
+    const { chainId } = await this.ethers.provider.getNetwork();
+    
+    if (this.record.exists && (this.fresh || !(await this.recordMatchesChain()))) {
+      if (!this.fresh && !EPHEMERAL_NETWORKS.includes(this.network)) {
+        throw new Error(`${this.record.filePath} lists contracts that are not on ${this.network}; rerun with DEPLOY_FRESH=true to start over`);
+      }
+      this.log(`🧹 Starting a new deployment record for ${this.network}`);
+      this.record.reset();
+    }
+    
+    this.record.begin({ chainId: Number(chainId), deployer: signer.address });
+    
+    const context = {
+      ethers: this.ethers,
+      signer,
+      network: this.network,
+      record: this.record,
+      confirmations: this.confirmations,
+      log: this.log
+    };
+    
+    for (const [i, step] of this.steps.entries()) {
+      const label = `${i + 1}/${this.steps.length} ${step.description}`;
+      
+      if (this.record.isDone(step.id)) {
+        this.log(`⏭️  ${label} (done)`);
+        continue;
+      }
+      
+      this.log(`▶️  ${label}`);
+      context.deploy = (name, args) => this.deployContract(context, step.id, name, args);
+      
+      const details = await step.run(context);
+      this.record.completeStep(step.id, details || {});
+    }
+    
+    this.record.finish();
+    return this.record.data;
+  }
+  
+  /**
+   * Whether every recorded contract still has code on the connected chain
+   */
+  async recordMatchesChain() {
+    for (const contract of Object.values(this.record.data.contracts)) {
+      const code = await this.ethers.provider.getCode(contract.address);
+      if (code === "0x") return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Deploy `name` with `args` for step `stepId`
+   * A deployment broadcast by an interrupted run is adopted instead of sent again
+   */
+  async deployContract(context, stepId, name, args = []) {
+    const { ethers, signer, record, confirmations, log } = context;
+    
+    let tx;
+    const pending = record.getStep(stepId);
+    const adopted = pending && pending.txHash ? await ethers.provider.getTransaction(pending.txHash) : null;
+    
+    if (adopted) {
+      log(`   ⏳ Resuming ${name} deployment ${adopted.hash}`);
+      tx = adopted;
+    } else {
+      const factory = await ethers.getContractFactory(name, signer);
+      const contract = await factory.deploy(...args);
+      tx = contract.deploymentTransaction();
+      record.markPending(stepId, tx.hash);
+    }
+    
+    const txHash = tx.hash;
+    const receipt = await tx.wait(confirmations);
+    if (!receipt || receipt.status !== 1 || !receipt.contractAddress) {
+      throw new Error(`${name} deployment ${txHash} failed`);
+    }
+    
+    const info = {
+      address: receipt.contractAddress,
+      txHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      args: args.map(String)
+    };
+    record.setContract(name, info);
+    log(`   ✅ ${name} deployed to ${info.address} (tx ${txHash})`);
+    
+    return info;
+  }
+}
+
+module.exports = DeploymentPipeline;
@@ -0,0 +1,139 @@
+const path = require("path");
+const { keccak256 } = require("ethers");
+const { writeJsonAtomic, readJson } = require("../oracle/storage/atomic-file");
+const { EPHEMERAL_NETWORKS } = require("./networks");
+
+/**
+ * GPRET Deployments Registry
+ * One canonical manifest per network, for everything that talks to the
+ * contracts (oracle, verify.js, clients), kept under deployments/registry/:
+ *
+ *   <network>.json - { network, chainId, deployer, deployedAt, updatedAt,
+ *     contracts: { <name>: { contract, address, txHash, blockNumber, args,
+ *                            abi, bytecodeHash, deployedBytecodeHash, verification } },
+ *     history: [ earlier deployments, newest first, without ABIs ] }
+ *   chains.json - { <chainId>: <network> }, so clients can look up by chainId
+ *
+ * Ephemeral networks get a manifest but no chains.json entry, so the
+ * in-process chain never shadows a localhost node on the same chainId.
+ */
+class DeploymentRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.deploymentsDir - Directory holding registry/
+   */
+  constructor({ deploymentsDir }) {
+    this.dir = path.join(deploymentsDir, "registry");
+    this.chainsPath = path.join(this.dir, "chains.json");
+  }
+  
+  manifestPath(network) {
+    return path.join(this.dir, `${network}.json`);
+  }
+  
+  /**
+   * Manifest for a network name, or null
+   */
+  load(network) {
+    return readJson(this.manifestPath(network), null);
+  }
+  
+  /**
+   * Manifest for a chainId, or null
+   */
+  loadByChainId(chainId) {
+    const network = readJson(this.chainsPath, {})[String(chainId)];
+    return network ? this.load(network) : null;
+  }
+  
+  /**
+   * Publish a completed deployment record as its network's manifest
+   * The manifest it replaces moves to `history` when any address changed
+   * @param {Object} deployment - Deployment record data
+   * @param {Object} artifacts - Hardhat artifacts by contract name
+   * @returns {Object} The new manifest
+   */
+  publish(deployment, artifacts) {
+    const previous = this.load(deployment.network);
+    const contracts = {};
+    
+    for (const [name, info] of Object.entries(deployment.contracts)) {
+      const artifact = artifacts[name];
+      if (!artifact) throw new Error(`No artifact for ${name}`);
+      
+      contracts[name] = {
+        contract: `${artifact.sourceName}:${artifact.contractName}`,
+        address: info.address,
+        txHash: info.txHash,
+        blockNumber: info.blockNumber,
+        args: info.args,
+        abi: artifact.abi,
+        bytecodeHash: keccak256(artifact.bytecode),
+        deployedBytecodeHash: keccak256(artifact.deployedBytecode)
+      };
+      
+      // A contract that was not redeployed stays verified
+      const before = previous && previous.contracts[name];
+      if (before && before.address === info.address && before.verification) {
+        contracts[name].verification = before.verification;
+      }
+    }
+    
+    let history = previous ? previous.history : [];
+    if (previous && DeploymentRegistry.addressesChanged(previous, contracts)) {
+      history = [DeploymentRegistry.summarize(previous), ...history];
+    }
+    
+    const manifest = {
+      network: deployment.network,
+      chainId: deployment.chainId,
+      deployer: deployment.deployer,
+      deployedAt: deployment.completedAt,
+      updatedAt: new Date().toISOString(),
+      contracts,
+      history
+    };
+    
+    this.save(manifest);
+    
+    if (!EPHEMERAL_NETWORKS.includes(manifest.network)) {
+      const chains = readJson(this.chainsPath, {});
+      chains[String(manifest.chainId)] = manifest.network;
+      writeJsonAtomic(this.chainsPath, chains);
+    }
+    
+    return manifest;
+  }
+  
+  /**
+   * Write a manifest back, e.g. after recording verification results
+   */
+  save(manifest) {
+    writeJsonAtomic(this.manifestPath(manifest.network), manifest);
+  }
+  
+  static addressesChanged(previous, contracts) {
+    const names = new Set([...Object.keys(previous.contracts), ...Object.keys(contracts)]);
+    const addressOf = (entries, name) => (entries[name] ? entries[name].address : null);
+    return [...names].some(name => addressOf(previous.contracts, name) !== addressOf(contracts, name));
+  }
+  
+  /**
+   * A manifest as kept in history: addresses and provenance, no ABIs
+   */
+  static summarize(manifest) {
+    const contracts = {};
+    for (const [name, { address, txHash, blockNumber, args, bytecodeHash }] of Object.entries(manifest.contracts)) {
+      contracts[name] = { address, txHash, blockNumber, args, bytecodeHash };
+    }
+    
+    return {
+      chainId: manifest.chainId,
+      deployer: manifest.deployer,
+      deployedAt: manifest.deployedAt,
+      contracts
+    };
+  }
+}
+
+module.exports = DeploymentRegistry;
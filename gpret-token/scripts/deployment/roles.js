@@ -0,0 +1,91 @@
+/**
+ * GPRET privileged roles: who owns GPRET and GPRETStaking, and which wallet
+ * may push prices. Public networks must hand every role away from the deployer.
+ */
+
+// Env prefix per network, matching the <PREFIX>_RPC_URL variables
+const NETWORK_ENV_PREFIX = {
+  goerli: "GOERLI",
+  arbitrumGoerli: "ARBITRUM_GOERLI",
+  arbitrumOne: "ARBITRUM",
+  mainnet: "MAINNET"
+};
+
+/**
+ * Owner and oracle configured for `network`
+ * <PREFIX>_OWNER_ADDRESS / <PREFIX>_ORACLE_ADDRESS win over
+ * DEPLOY_OWNER_ADDRESS / DEPLOY_ORACLE_ADDRESS; unset roles are undefined
+ * @param {string} network - Hardhat network name
+ * @param {Object} [env]
+ */
+function rolesFor(network, env = process.env) {
+  const prefix = NETWORK_ENV_PREFIX[network];
+  const pick = role => (prefix && env[`${prefix}_${role}_ADDRESS`]) || env[`DEPLOY_${role}_ADDRESS`] || undefined;
+  
+  return {
+    owner: pick("OWNER"),
+    oracle: pick("ORACLE")
+  };
+}
+
+/**
+ * Name the env variables that configure `role` on `network`, for error messages
+ */
+function roleEnvNames(network, role) {
+  const prefix = NETWORK_ENV_PREFIX[network];
+  const generic = `DEPLOY_${role.toUpperCase()}_ADDRESS`;
+  return prefix ? `${prefix}_${role.toUpperCase()}_ADDRESS or ${generic}` : generic;
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Read the roles held on chain and compare them with what was asked for
+ * Throws listing every mismatch; with `strict`, also when the deployer still
+ * holds a role
+ * @param {Object} options
+ * @param {Object} options.ethers - hardhat-ethers (hre.ethers)
+ * @param {Object} options.deployment - Deployment record data
+ * @param {string} options.deployer - Deployer address
+ * @param {string} options.owner - Expected owner of both contracts
+ * @param {string} options.oracle - Expected GPRET oracle
+ * @param {boolean} [options.strict] - Fail if the deployer holds any role
+ * @returns {Promise<Object>} { gpretOwner, stakingOwner, oracle, ownerIsContract }
+ */
+async function verifyRoles({ ethers, deployment, deployer, owner, oracle, strict = false }) {
+  const gpret = await ethers.getContractAt("GPRET", deployment.contracts.GPRET.address);
+  const staking = await ethers.getContractAt("GPRETStaking", deployment.contracts.GPRETStaking.address);
+  
+  const roles = {
+    gpretOwner: await gpret.owner(),
+    stakingOwner: await staking.owner(),
+    oracle: await gpret.oracleAddress()
+  };
+  roles.ownerIsContract = (await ethers.provider.getCode(roles.gpretOwner)) !== "0x";
+  
+  const problems = [];
+  if (!sameAddress(roles.gpretOwner, owner)) problems.push(`GPRET owner is ${roles.gpretOwner}, expected ${owner}`);
+  if (!sameAddress(roles.stakingOwner, owner)) problems.push(`GPRETStaking owner is ${roles.stakingOwner}, expected ${owner}`);
+  if (!sameAddress(roles.oracle, oracle)) problems.push(`GPRET oracle is ${roles.oracle}, expected ${oracle}`);
+  
+  if (strict) {
+    if (sameAddress(roles.gpretOwner, deployer)) problems.push("Deployer still owns GPRET");
+    if (sameAddress(roles.stakingOwner, deployer)) problems.push("Deployer still owns GPRETStaking");
+    if (sameAddress(roles.oracle, deployer)) problems.push("Deployer is still the GPRET oracle");
+  }
+  
+  if (problems.length > 0) {
+    throw new Error(`Role check failed on ${deployment.network}:\n  - ${problems.join("\n  - ")}`);
+  }
+  
+  return roles;
+}
+
+module.exports = {
+  rolesFor,
+  roleEnvNames,
+  sameAddress,
+  verifyRoles
+};
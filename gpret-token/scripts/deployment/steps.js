@@ -0,0 +1,85 @@
+const { sameAddress } = require("./roles");
+
+/**
+ * Hand `Ownable` ownership of contract `name` to `options.owner`
+ * Already owned by the target: nothing to send
+ */
+function transferOwnershipStep(id, name, options) {
+  return {
+    id,
+    description: `Transfer ${name} ownership`,
+    run: async ({ ethers, signer, record, confirmations, log }) => {
+      const owner = options.owner || signer.address;
+      const contract = await ethers.getContractAt(name, record.getContract(name).address, signer);
+      const current = await contract.owner();
+      
+      if (sameAddress(current, owner)) {
+        log(`   ✅ ${name} already owned by ${owner}`);
+        return { owner };
+      }
+      if (!sameAddress(current, signer.address)) {
+        throw new Error(`${name} is owned by ${current}; the deployer ${signer.address} cannot transfer it to ${owner}`);
+      }
+      
+      const tx = await contract.transferOwnership(owner);
+      const receipt = await tx.wait(confirmations);
+      log(`   ✅ ${name} ownership transferred to ${owner} (tx ${tx.hash})`);
+      
+      return { owner, previousOwner: current, txHash: tx.hash, gasUsed: receipt.gasUsed.toString() };
+    }
+  };
+}
+
+/**
+ * GPRET deployment steps, in order
+ * The oracle is set before ownership leaves the deployer, since only the
+ * owner may set it
+ * @param {Object} [options]
+ * @param {string} [options.oracle] - Oracle address (defaults to the deployer)
+ * @param {string} [options.owner] - Final owner of both contracts (defaults to the deployer)
+ */
+function gpretSteps(options = {}) {
+  return [
+    {
+      id: "deploy-gpret",
+      description: "Deploy GPRET token",
+      run: async ({ deploy, signer }) => {
+        const { address, txHash } = await deploy("GPRET", [signer.address]);
+        return { address, txHash };
+      }
+    },
+    {
+      id: "deploy-staking",
+      description: "Deploy GPRET staking",
+      run: async ({ deploy, record, signer }) => {
+        const { address, txHash } = await deploy("GPRETStaking", [record.getContract("GPRET").address, signer.address]);
+        return { address, txHash };
+      }
+    },
+    {
+      id: "set-oracle",
+      description: "Set the GPRET oracle",
+      run: async ({ ethers, signer, record, confirmations, log }) => {
+        const oracle = options.oracle || signer.address;
+        const gpret = await ethers.getContractAt("GPRET", record.getContract("GPRET").address, signer);
+        
+        if (sameAddress(await gpret.oracleAddress(), oracle)) {
+          log(`   ✅ Oracle already set to ${oracle}`);
+          return { oracle };
+        }
+        
+        const tx = await gpret.setOracleAddress(oracle);
+        const receipt = await tx.wait(confirmations);
+        log(`   ✅ Oracle set to ${oracle} (tx ${tx.hash})`);
+        
+        return { oracle, txHash: tx.hash, gasUsed: receipt.gasUsed.toString() };
+      }
+    },
+    transferOwnershipStep("transfer-gpret-ownership", "GPRET", options),
+    transferOwnershipStep("transfer-staking-ownership", "GPRETStaking", options)
+  ];
+}
+
+module.exports = {
+  gpretSteps
+};
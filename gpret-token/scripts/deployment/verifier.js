@@ -0,0 +1,138 @@
+const { AbiCoder } = require("ethers");
+
+// Explorer errors meaning the contract is verified already
+const ALREADY_VERIFIED = [/already verified/i, /already been verified/i];
+
+// Explorer errors meaning it has not indexed the bytecode yet; worth retrying
+const NOT_INDEXED = [/does not have bytecode/i, /unable to locate contractcode/i, /not (yet )?been indexed/i];
+
+const EXPLORER_URLS = {
+  mainnet: "https://etherscan.io",
+  goerli: "https://goerli.etherscan.io",
+  arbitrumOne: "https://arbiscan.io",
+  arbitrumGoerli: "https://goerli.arbiscan.io"
+};
+
+/**
+ * GPRET Contract Verifier
+ * Verifies every contract in a network's registry manifest on the block
+ * explorer with the constructor arguments recorded at deployment, and writes
+ * each contract's result back to the manifest under `verification`.
+ */
+class ContractVerifier {
+  /**
+   * @param {Object} options
+   * @param {DeploymentRegistry} options.registry - Registry holding the manifest
+   * @param {string} options.network - Hardhat network name
+   * @param {Function} options.verifyFn - ({ address, constructorArguments, contract }) => Promise;
+   *   the explorer call, e.g. hre.run("verify:verify", ...)
+   * @param {number} [options.retries] - Attempts while the explorer indexes bytecode
+   * @param {number} [options.retryDelay] - First backoff delay in ms, doubled per attempt
+   * @param {Function} [options.sleep]
+   * @param {Function} [options.log]
+   */
+  constructor({ registry, network, verifyFn, retries = 5, retryDelay = 10000, sleep, log = console.log }) {
+    this.registry = registry;
+    this.network = network;
+    this.verifyFn = verifyFn;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.log = log;
+    this.explorerUrl = EXPLORER_URLS[network] || null;
+  }
+  
+  /**
+   * ABI-encoded constructor arguments, as explorers expect them
+   */
+  static encodeArgs(entry) {
+    const constructor = entry.abi.find(item => item.type === "constructor");
+    const types = constructor ? constructor.inputs.map(input => input.type) : [];
+    if (types.length !== entry.args.length) {
+      throw new Error(`${entry.contract} takes ${types.length} constructor arguments, ${entry.args.length} recorded`);
+    }
+    return AbiCoder.defaultAbiCoder().encode(types, entry.args);
+  }
+  
+  /**
+   * Verify every contract in the manifest
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only print each contract's encoded arguments
+   * @returns {Promise<Object>} Results by contract name
+   */
+  async verifyAll({ dryRun = false } = {}) {
+    const manifest = this.registry.load(this.network);
+    if (!manifest) {
+      throw new Error(`No deployment manifest for ${this.network}; run the deployment first`);
+    }
+    
+    const results = {};
+    for (const [name, entry] of Object.entries(manifest.contracts)) {
+      this.log(`\n📄 ${name} (${entry.contract}) at ${entry.address}`);
+      this.log(`   Arguments: ${JSON.stringify(entry.args)}`);
+      const encodedArgs = ContractVerifier.encodeArgs(entry);
+      this.log(`   Encoded: ${encodedArgs}`);
+      
+      if (dryRun) {
+        results[name] = { status: "dry-run", encodedArgs };
+        continue;
+      }
+      
+      results[name] = await this.verifyContract(entry);
+      entry.verification = results[name];
+      this.registry.save(manifest);
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Verify one manifest entry, retrying with backoff while the explorer has
+   * not indexed its bytecode. Never throws: failures are returned as results
+   */
+  async verifyContract(entry) {
+    const result = {
+      status: "failed",
+      attempts: 0,
+      checkedAt: null,
+      explorerUrl: this.explorerUrl ? `${this.explorerUrl}/address/${entry.address}` : null
+    };
+    
+    for (let attempt = 1; attempt <= this.retries; attempt++) {
+      result.attempts = attempt;
+      
+      try {
+        await this.verifyFn({
+          address: entry.address,
+          constructorArguments: entry.args,
+          contract: entry.contract
+        });
+        result.status = "verified";
+        this.log("   ✅ Verified");
+        break;
+      } catch (error) {
+        if (ALREADY_VERIFIED.some(pattern => pattern.test(error.message))) {
+          result.status = "already-verified";
+          this.log("   ℹ️  Already verified");
+          break;
+        }
+        
+        result.error = error.message;
+        if (!NOT_INDEXED.some(pattern => pattern.test(error.message)) || attempt === this.retries) {
+          this.log(`   ❌ Verification failed: ${error.message}`);
+          break;
+        }
+        
+        const delay = this.retryDelay * Math.pow(2, attempt - 1);
+        this.log(`   ⏳ Explorer has not indexed the bytecode yet; retrying in ${delay}ms (${attempt}/${this.retries})`);
+        await this.sleep(delay);
+      }
+    }
+    
+    if (result.status !== "failed") delete result.error;
+    result.checkedAt = new Date().toISOString();
+    return result;
+  }
+}
+
+module.exports = ContractVerifier;
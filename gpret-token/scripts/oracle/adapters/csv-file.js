@@ -0,0 +1,114 @@
+const fs = require('fs');
+const { buildQuote, resolveProjectPath } = require('./utils');
+
+const DEFAULT_COLUMNS = {
+  city: 'city',
+  price: 'price',
+  confidence: 'confidence',
+  timestamp: 'timestamp'
+};
+
+/**
+ * Local CSV file adapter
+ * Expects a header row; when a city has several rows the newest one wins
+ *
+ * Source options:
+ *   file     - path relative to the project root
+ *   columns  - column names for { city, price, confidence, timestamp }
+ *   matchBy  - "name" (default) or "id" to match the city column
+ */
+class CsvFileAdapter {
+  constructor(source) {
+    if (!source.file) {
+      throw new Error(`CSV file source "${source.name}" has no file`);
+    }
+    
+    this.source = source;
+    this.columns = { ...DEFAULT_COLUMNS, ...source.columns };
+  }
+  
+  async fetchPrice(city) {
+    const content = await fs.promises.readFile(resolveProjectPath(this.source.file), 'utf8');
+    const rows = parseCsv(content);
+    const key = this.source.matchBy === 'id' ? String(city.id) : city.name.toLowerCase();
+    
+    const matches = rows.filter(row => {
+      const value = (row[this.columns.city] || '').trim();
+      return (this.source.matchBy === 'id' ? value : value.toLowerCase()) === key;
+    });
+    
+    if (matches.length === 0) {
+      throw new Error(`No CSV row for ${city.name}`);
+    }
+    
+    const latest = matches.reduce((newest, row) => {
+      const rowTime = Date.parse(row[this.columns.timestamp]) || 0;
+      const newestTime = Date.parse(newest[this.columns.timestamp]) || 0;
+      return rowTime >= newestTime ? row : newest;
+    });
+    
+    const price = Number(latest[this.columns.price]);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error(`Invalid CSV price for ${city.name}: ${latest[this.columns.price]}`);
+    }
+    
+    return buildQuote(this.source, {
+      price,
+      confidence: Number(latest[this.columns.confidence]),
+      timestamp: latest[this.columns.timestamp]
+    });
+  }
+}
+
+/**
+ * Parse CSV text into row objects keyed by header (supports quoted fields)
+ */
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return [];
+  
+  const header = splitCsvLine(lines[0]).map(column => column.trim());
+  
+  return lines.slice(1).map(line => {
+    const values = splitCsvLine(line);
+    const row = {};
+    header.forEach((column, i) => {
+      row[column] = values[i] !== undefined ? values[i] : '';
+    });
+    return row;
+  });
+}
+
+function splitCsvLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  
+  values.push(current);
+  return values;
+}
+
+module.exports = CsvFileAdapter;
+module.exports.parseCsv = parseCsv;
@@ -0,0 +1,48 @@
+const RestAdapter = require('./rest');
+const JsonFileAdapter = require('./json-file');
+const CsvFileAdapter = require('./csv-file');
+const StaticAdapter = require('./static');
+const { resolveProjectPath } = require('./utils');
+
+/**
+ * Data source adapter registry
+ *
+ * Every adapter is constructed with its source config and exposes
+ * `fetchPrice(city)` resolving to `{ price, confidence, timestamp }`,
+ * where price is per square meter in USD.
+ */
+const adapterTypes = {
+  'rest': RestAdapter,
+  'json-file': JsonFileAdapter,
+  'csv-file': CsvFileAdapter,
+  'static': StaticAdapter
+};
+
+/**
+ * Register an adapter class for a source type
+ */
+function registerAdapter(type, AdapterClass) {
+  adapterTypes[type] = AdapterClass;
+}
+
+/**
+ * Create the adapter for a source
+ * `source.adapter` (a module path relative to the project root) overrides `source.type`
+ */
+function createAdapter(source) {
+  const AdapterClass = source.adapter
+    ? require(resolveProjectPath(source.adapter))
+    : adapterTypes[source.type];
+  
+  if (!AdapterClass) {
+    throw new Error(`Unknown data source type "${source.type}" for ${source.name}`);
+  }
+  
+  return new AdapterClass(source);
+}
+
+module.exports = {
+  createAdapter,
+  registerAdapter,
+  adapterTypes
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const { renderTemplate, extractQuote, resolveProjectPath } = require('./utils');
+
+/**
+ * Local JSON file adapter
+ * Reads `file` on every fetch so edits are picked up without a restart
+ *
+ * Source options:
+ *   file      - path relative to the project root (templates allowed)
+ *   response  - { pricePath, confidencePath, timestampPath },
+ *               e.g. { pricePath: "cities.{city}.pricePerSqm" }
+ */
+class JsonFileAdapter {
+  constructor(source) {
+    if (!source.file) {
+      throw new Error(`JSON file source "${source.name}" has no file`);
+    }
+    if (!source.response || !source.response.pricePath) {
+      throw new Error(`JSON file source "${source.name}" has no response.pricePath`);
+    }
+    
+    this.source = source;
+  }
+  
+  async fetchPrice(city) {
+    const filePath = resolveProjectPath(renderTemplate(this.source.file, city));
+    const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    
+    return extractQuote(data, this.source, city);
+  }
+}
+
+module.exports = JsonFileAdapter;
@@ -0,0 +1,46 @@
+const axios = require('axios');
+const { renderTemplate, renderObject, extractQuote } = require('./utils');
+
+/**
+ * Generic REST adapter
+ * Requests `endpoint` for a city and reads the quote with JSON paths
+ *
+ * Source options:
+ *   endpoint  - URL template, e.g. "http://localhost:4000/prices/{cityId}"
+ *   method    - HTTP method (default GET)
+ *   params    - query parameter templates, e.g. { city: "{city}" }
+ *   headers   - header templates
+ *   apiKey    - sent in `apiKeyHeader` (default "x-api-key") when set
+ *   response  - { pricePath, confidencePath, timestampPath }
+ */
+class RestAdapter {
+  constructor(source) {
+    if (!source.endpoint) {
+      throw new Error(`REST source "${source.name}" has no endpoint`);
+    }
+    if (!source.response || !source.response.pricePath) {
+      throw new Error(`REST source "${source.name}" has no response.pricePath`);
+    }
+    
+    this.source = source;
+  }
+  
+  async fetchPrice(city) {
+    const headers = renderObject(this.source.headers, city);
+    if (this.source.apiKey) {
+      headers[this.source.apiKeyHeader || 'x-api-key'] = this.source.apiKey;
+    }
+    
+    const response = await axios.request({
+      url: renderTemplate(this.source.endpoint, city, { encode: true }),
+      method: this.source.method || 'GET',
+      params: renderObject(this.source.params, city),
+      headers,
+      timeout: this.source.timeout
+    });
+    
+    return extractQuote(response.data, this.source, city);
+  }
+}
+
+module.exports = RestAdapter;
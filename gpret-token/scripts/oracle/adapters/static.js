@@ -0,0 +1,36 @@
+const { buildQuote } = require('./utils');
+
+/**
+ * Static adapter
+ * Returns fixed prices from the source config, keyed by city name or id
+ *
+ * Source options:
+ *   prices        - e.g. { "New York": 15000, "2": 12000 }
+ *   useBasePrice  - fall back to the city's basePriceUSD when not listed
+ *   confidence    - confidence reported for every quote
+ */
+class StaticAdapter {
+  constructor(source) {
+    this.source = source;
+    this.prices = source.prices || {};
+  }
+  
+  async fetchPrice(city) {
+    let price = this.prices[city.name] !== undefined ? this.prices[city.name] : this.prices[city.id];
+    
+    if (price === undefined && this.source.useBasePrice) {
+      price = city.basePriceUSD;
+    }
+    
+    if (!(price > 0)) {
+      throw new Error(`No static price for ${city.name}`);
+    }
+    
+    return buildQuote(this.source, {
+      price,
+      confidence: this.source.confidence
+    });
+  }
+}
+
+module.exports = StaticAdapter;
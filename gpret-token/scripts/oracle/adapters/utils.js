@@ -0,0 +1,114 @@
+const path = require('path');
+
+/**
+ * Shared helpers for data source adapters
+ */
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..');
+
+/**
+ * Replace {placeholders} with city fields ({cityId}, {city}, {country}, {coords}, {lat}, {lng})
+ * Values are URL-encoded when `encode` is set (for use inside endpoint URLs)
+ */
+function renderTemplate(template, city, { encode = false } = {}) {
+  if (typeof template !== 'string') return template;
+  
+  const [lat, lng] = (city.coords || '').split(',');
+  const values = {
+    cityId: city.id,
+    city: city.name,
+    country: city.country,
+    coords: city.coords,
+    lat,
+    lng
+  };
+  
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (values[key] === undefined) return match;
+    return encode ? encodeURIComponent(values[key]) : String(values[key]);
+  });
+}
+
+/**
+ * Render every value of a flat object as a template
+ */
+function renderObject(object, city) {
+  const rendered = {};
+  for (const [key, value] of Object.entries(object || {})) {
+    rendered[key] = renderTemplate(value, city);
+  }
+  return rendered;
+}
+
+/**
+ * Read a value by JSON path, e.g. "$.data.cities[2].pricePerSqm"
+ */
+function getByPath(data, jsonPath) {
+  if (!jsonPath || jsonPath === '$') return data;
+  
+  const segments = jsonPath
+    .replace(/^\$\.?/, '')
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+  
+  let value = data;
+  for (const segment of segments) {
+    if (value === null || value === undefined) return undefined;
+    value = value[segment];
+  }
+  
+  return value;
+}
+
+/**
+ * Build a {price, confidence, timestamp} quote from a parsed response
+ */
+function extractQuote(data, source, city) {
+  const response = source.response || {};
+  const price = Number(getByPath(data, renderTemplate(response.pricePath, city)));
+  
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new Error(`No valid price at "${response.pricePath}" for ${city.name}`);
+  }
+  
+  const confidence = response.confidencePath
+    ? Number(getByPath(data, renderTemplate(response.confidencePath, city)))
+    : NaN;
+  const timestamp = response.timestampPath
+    ? getByPath(data, renderTemplate(response.timestampPath, city))
+    : undefined;
+  
+  return buildQuote(source, { price, confidence, timestamp });
+}
+
+/**
+ * Normalize a quote, falling back to the source's default confidence and to
+ * the current time when the timestamp is missing or unparseable
+ */
+function buildQuote(source, { price, confidence, timestamp }) {
+  const time = timestamp ? new Date(timestamp) : null;
+  
+  return {
+    price: Math.round(price * (source.priceMultiplier || 1)),
+    confidence: Number.isFinite(confidence) ? confidence : (source.defaultConfidence || 85),
+    timestamp: (time && !isNaN(time.getTime()) ? time : new Date()).toISOString()
+  };
+}
+
+/**
+ * Resolve a file path relative to the gpret-token project root
+ */
+function resolveProjectPath(filePath) {
+  return path.resolve(PROJECT_ROOT, filePath);
+}
+
+module.exports = {
+  PROJECT_ROOT,
+  renderTemplate,
+  renderObject,
+  getByPath,
+  extractQuote,
+  buildQuote,
+  resolveProjectPath
+};
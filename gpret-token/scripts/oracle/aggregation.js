@@ -0,0 +1,125 @@
+/**
+ * GPRET Price Aggregation
+ * Strategies for combining source quotes into one city price
+ *
+ * Every strategy takes quotes ({ source, price, weight }) and returns
+ * { price, used, discarded }, where discarded quotes carry a `reason`.
+ *
+ *   weighted-mean    - weight-averaged price of all quotes
+ *   weighted-median  - price at half of the cumulative weight
+ *   trimmed-mean     - weighted mean after dropping trimPercent of quotes from each end
+ *   mad              - drop quotes more than madThreshold scaled MADs from the median,
+ *                      then take the weighted mean of the rest
+ */
+
+// Scales the median absolute deviation to a standard deviation for normal data
+const MAD_SCALE = 1.4826;
+
+// When most quotes agree exactly (MAD = 0), tolerate this relative deviation
+const MIN_MAD_RELATIVE = 0.005;
+
+function weightedMean(quotes) {
+  let totalWeight = 0;
+  let weightedSum = 0;
+  
+  for (const quote of quotes) {
+    weightedSum += quote.price * quote.weight;
+    totalWeight += quote.weight;
+  }
+  
+  return totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 0;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+const strategies = {
+  'weighted-mean': (quotes) => ({
+    price: weightedMean(quotes),
+    used: quotes,
+    discarded: []
+  }),
+  
+  'weighted-median': (quotes) => {
+    const sorted = [...quotes].sort((a, b) => a.price - b.price);
+    const halfWeight = sorted.reduce((sum, q) => sum + q.weight, 0) / 2;
+    
+    let cumulative = 0;
+    for (let i = 0; i < sorted.length; i++) {
+      cumulative += sorted[i].weight;
+      
+      if (cumulative === halfWeight && i + 1 < sorted.length) {
+        return { price: Math.round((sorted[i].price + sorted[i + 1].price) / 2), used: quotes, discarded: [] };
+      }
+      if (cumulative > halfWeight) {
+        return { price: sorted[i].price, used: quotes, discarded: [] };
+      }
+    }
+    
+    return { price: 0, used: quotes, discarded: [] };
+  },
+  
+  'trimmed-mean': (quotes, settings) => {
+    const sorted = [...quotes].sort((a, b) => a.price - b.price);
+    const trimCount = Math.floor(sorted.length * (settings.trimPercent || 0) / 100);
+    const used = sorted.slice(trimCount, sorted.length - trimCount);
+    
+    const discarded = [
+      ...sorted.slice(0, trimCount).map(q => ({ ...q, reason: 'Trimmed (low tail)' })),
+      ...sorted.slice(sorted.length - trimCount).map(q => ({ ...q, reason: 'Trimmed (high tail)' }))
+    ];
+    
+    return { price: weightedMean(used), used, discarded };
+  },
+  
+  'mad': (quotes, settings) => {
+    const center = median(quotes.map(q => q.price));
+    const mad = median(quotes.map(q => Math.abs(q.price - center)));
+    const scale = Math.max(MAD_SCALE * mad, center * MIN_MAD_RELATIVE);
+    const threshold = settings.madThreshold || 3;
+    
+    const used = [];
+    const discarded = [];
+    
+    for (const quote of quotes) {
+      const score = scale > 0 ? Math.abs(quote.price - center) / scale : 0;
+      
+      if (score > threshold) {
+        discarded.push({ ...quote, reason: `Outlier: ${score.toFixed(1)} MADs from median $${center}` });
+      } else {
+        used.push(quote);
+      }
+    }
+    
+    return { price: weightedMean(used), used, discarded };
+  }
+};
+
+/**
+ * Aggregate quotes with the configured strategy (config.prices.aggregation)
+ */
+function aggregate(quotes, settings = {}) {
+  const strategy = settings.strategy || 'weighted-mean';
+  const run = strategies[strategy];
+  
+  if (!run) {
+    throw new Error(`Unknown aggregation strategy "${strategy}"`);
+  }
+  
+  if (quotes.length === 0) {
+    return { strategy, price: 0, used: [], discarded: [] };
+  }
+  
+  return { strategy, ...run(quotes, settings) };
+}
+
+module.exports = {
+  aggregate,
+  weightedMean,
+  median,
+  strategies
+};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * GPRET Oracle Alert Engine
+ * Evaluates collections and server health against
+ * config.monitoring.alerts.thresholds and delivers alerts to sinks
+ *
+ * Rules:
+ *   price-change       - a city's collected price moved more than priceChangePercent
+ *   no-quotes          - no source returned a usable quote for a city
+ *   source-error-rate  - more than errorRate % of source fetches failed in a collection
+ *   collection-failed  - a collection threw or aborted
+ *   slow-source        - a source fetch took longer than responseTime ms
+ *   slow-response      - an API request took longer than responseTime ms
+ *   stale-data         - no completed collection for staleAfterIntervals update intervals
+ *
+ * Alerts with the same key are sent once per dedupeWindow unless their
+ * severity rises; at most maxPerHour alerts are delivered, the rest are
+ * counted as suppressed.
+ */
+class AlertEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.thresholds - { priceChangePercent, errorRate, responseTime }
+   * @param {Array<{name, sink}>} options.sinks - Delivery targets
+   * @param {number} [options.dedupeWindow] - Milliseconds before an unchanged alert repeats
+   * @param {number} [options.maxPerHour] - Delivery limit across all alerts
+   */
+  constructor({ thresholds, sinks, dedupeWindow = HOUR_MS, maxPerHour = 20 }) {
+    this.thresholds = thresholds;
+    this.sinks = sinks;
+    this.dedupeWindow = dedupeWindow;
+    this.maxPerHour = maxPerHour;
+    
+    this.lastSent = new Map(); // key -> { at, severity }
+    this.sentTimes = [];
+    this.recent = [];
+    this.stats = { raised: 0, sent: 0, deduplicated: 0, suppressed: 0, deliveryFailures: 0 };
+    this.pending = new Set();
+  }
+  
+  // ============ Rules ============
+  
+  /**
+   * Evaluate one collection's results
+   */
+  evaluateCollection(results) {
+    const { priceChangePercent, errorRate } = this.thresholds;
+    
+    for (const city of results.cities) {
+      if (city.carriedForward || !city.validation) continue;
+      
+      const collected = city.validation.collectedPrice;
+      
+      // No quotes is a data gap, not a price move
+      if (collected === null) {
+        this.raise({
+          rule: 'no-quotes',
+          key: `no-quotes:${city.id}`,
+          severity: 'warning',
+          title: `${city.name} has no usable quotes`,
+          message: city.previousPrice ? `Previous price $${city.previousPrice} kept` : 'No previous price to keep',
+          details: { cityId: city.id, city: city.name, previousPrice: city.previousPrice || null, status: city.validation.status }
+        });
+        continue;
+      }
+      
+      if (!city.previousPrice) continue;
+      
+      const change = Math.round(((collected - city.previousPrice) / city.previousPrice) * 100 * 100) / 100;
+      
+      if (Math.abs(change) > priceChangePercent) {
+        this.raise({
+          rule: 'price-change',
+          key: `price-change:${city.id}`,
+          severity: Math.abs(change) > 2 * priceChangePercent ? 'critical' : 'warning',
+          title: `${city.name} price moved ${change}%`,
+          message: `Collected $${collected} vs previous $${city.previousPrice} (threshold ${priceChangePercent}%, ${city.validation.status})`,
+          details: { cityId: city.id, city: city.name, previousPrice: city.previousPrice, collectedPrice: collected, changePercent: change, status: city.validation.status }
+        });
+      }
+    }
+    
+    const sources = results.sources || [];
+    const failed = sources.reduce((sum, source) => sum + source.failed, 0);
+    const total = sources.reduce((sum, source) => sum + source.failed + source.succeeded, 0);
+    const rate = total > 0 ? Math.round((failed / total) * 100 * 10) / 10 : 0;
+    
+    if (rate > errorRate) {
+      this.raise({
+        rule: 'source-error-rate',
+        key: 'source-error-rate',
+        severity: rate === 100 ? 'critical' : 'warning',
+        title: `Source error rate ${rate}%`,
+        message: `${failed} of ${total} source fetches failed (threshold ${errorRate}%)`,
+        details: { failed, total, rate, sources: sources.filter(source => source.failed > 0) }
+      });
+    }
+  }
+  
+  /**
+   * A collection that threw or aborted
+   */
+  collectionFailed(job, error) {
+    this.raise({
+      rule: 'collection-failed',
+      key: 'collection-failed',
+      severity: 'critical',
+      title: 'Price collection failed',
+      message: error.message,
+      details: { jobId: job.id, trigger: job.trigger }
+    });
+  }
+  
+  /**
+   * A slow source fetch or API request
+   */
+  checkResponseTime(kind, name, durationMs) {
+    if (durationMs <= this.thresholds.responseTime) return;
+    
+    this.raise({
+      rule: kind === 'source' ? 'slow-source' : 'slow-response',
+      key: `${kind === 'source' ? 'slow-source' : 'slow-response'}:${name}`,
+      severity: 'warning',
+      title: `Slow ${kind === 'source' ? 'source' : 'API route'} ${name}`,
+      message: `Took ${durationMs}ms (threshold ${this.thresholds.responseTime}ms)`,
+      details: { name, durationMs }
+    });
+  }
+  
+  /**
+   * Periodic health evaluation
+   * @param {Object} status - { lastUpdate: ISO string or null, updateInterval: ms, staleAfterIntervals }
+   */
+  evaluateHealth({ lastUpdate, updateInterval, staleAfterIntervals = 2 }) {
+    const age = lastUpdate ? Date.now() - new Date(lastUpdate).getTime() : Infinity;
+    
+    if (age > staleAfterIntervals * updateInterval) {
+      this.raise({
+        rule: 'stale-data',
+        key: 'stale-data',
+        severity: 'critical',
+        title: 'Oracle data is stale',
+        message: lastUpdate
+          ? `Last completed collection was ${Math.round(age / 60000)} minutes ago (update interval ${Math.round(updateInterval / 60000)} minutes)`
+          : 'No collection has completed yet',
+        details: { lastUpdate, updateInterval, staleAfterIntervals }
+      });
+    }
+  }
+  
+  // ============ Wiring ============
+  
+  /**
+   * Evaluate collections from a CollectionJobManager
+   */
+  observeJobs(jobs) {
+    jobs.on('completed', (job, results) => this.evaluateCollection(results));
+    jobs.on('failed', (job, error) => this.collectionFailed(job, error));
+    jobs.on('progress', event => {
+      if (event.type === 'source-fetched' || event.type === 'source-failed') {
+        this.checkResponseTime('source', event.source, event.durationMs);
+      }
+    });
+  }
+  
+  /**
+   * Express middleware raising slow-response alerts per route
+   */
+  httpMiddleware() {
+    return (req, res, next) => {
+      const startedAt = Date.now();
+      
+      res.on('finish', () => {
+        // Long-lived streams are not slow responses
+        if (res.getHeader('Content-Type') === 'text/event-stream') return;
+        
+        const route = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} unmatched`;
+        this.checkResponseTime('route', route, Date.now() - startedAt);
+      });
+      
+      next();
+    };
+  }
+  
+  // ============ Delivery ============
+  
+  /**
+   * Deduplicate, rate-limit and deliver an alert
+   * Returns the alert when it is sent, null when dropped
+   */
+  raise(input) {
+    const now = Date.now();
+    this.stats.raised++;
+    
+    const previous = this.lastSent.get(input.key);
+    const escalated = previous && SEVERITY_RANK[input.severity] > SEVERITY_RANK[previous.severity];
+    
+    if (previous && now - previous.at < this.dedupeWindow && !escalated) {
+      this.stats.deduplicated++;
+      return null;
+    }
+    
+    this.sentTimes = this.sentTimes.filter(at => now - at < HOUR_MS);
+    if (this.sentTimes.length >= this.maxPerHour) {
+      this.stats.suppressed++;
+      return null;
+    }
+    
+    const alert = {
+      id: crypto.randomUUID(),
+      timestamp: new Date(now).toISOString(),
+      ...input
+    };
+    
+    this.lastSent.set(input.key, { at: now, severity: input.severity });
+    this.sentTimes.push(now);
+    this.recent = [alert, ...this.recent].slice(0, 50);
+    this.stats.sent++;
+    
+    const delivery = this.deliver(alert);
+    this.pending.add(delivery);
+    delivery.finally(() => this.pending.delete(delivery));
+    
+    return alert;
+  }
+  
+  async deliver(alert) {
+    await Promise.all(this.sinks.map(async ({ name, sink }) => {
+      try {
+        await sink.deliver(alert);
+      } catch (error) {
+        this.stats.deliveryFailures++;
+        console.error(`❌ Alert delivery to ${name} failed: ${error.message}`);
+      }
+    }));
+  }
+  
+  /**
+   * Wait for deliveries in progress
+   */
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+  
+  getState() {
+    return {
+      ...this.stats,
+      sinks: this.sinks.map(({ name }) => name),
+      recent: this.recent.slice(0, 10)
+    };
+  }
+}
+
+module.exports = AlertEngine;
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File sink
+ * Appends alerts as JSON lines
+ *
+ * Options:
+ *   path - log file (relative paths resolve against the data directory)
+ */
+class FileSink {
+  constructor({ path: filePath, dataPath }) {
+    this.path = path.resolve(dataPath || '.', filePath || 'alerts.log');
+  }
+  
+  async deliver(alert) {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.appendFileSync(this.path, JSON.stringify(alert) + '\n');
+  }
+}
+
+module.exports = FileSink;
@@ -0,0 +1,61 @@
+const AlertEngine = require('./alert-engine');
+const StdoutSink = require('./stdout');
+const FileSink = require('./file');
+const WebhookSink = require('./webhook');
+
+/**
+ * Alert sink registry
+ *
+ * Every sink is constructed with its options and exposes
+ * `deliver(alert)`, resolving once the alert has been handed off.
+ */
+const sinkTypes = {
+  'stdout': StdoutSink,
+  'file': FileSink,
+  'webhook': WebhookSink
+};
+
+/**
+ * Register a sink class under a name usable in config.monitoring.alerts.sinks
+ */
+function registerSink(type, SinkClass) {
+  sinkTypes[type] = SinkClass;
+}
+
+/**
+ * Create a sink by name
+ */
+function createSink(type, options = {}) {
+  const SinkClass = sinkTypes[type];
+  
+  if (!SinkClass) {
+    throw new Error(`Unknown alert sink "${type}"`);
+  }
+  
+  return new SinkClass(options);
+}
+
+/**
+ * Build the alert engine for config.monitoring.alerts
+ */
+function createAlertEngine(alertsConfig, { dataPath } = {}) {
+  const sinks = alertsConfig.sinks.map(type => ({
+    name: type,
+    sink: createSink(type, { url: alertsConfig.webhook, path: alertsConfig.file, dataPath })
+  }));
+  
+  return new AlertEngine({
+    thresholds: alertsConfig.thresholds,
+    sinks,
+    dedupeWindow: alertsConfig.dedupeWindow,
+    maxPerHour: alertsConfig.maxPerHour
+  });
+}
+
+module.exports = {
+  AlertEngine,
+  createAlertEngine,
+  createSink,
+  registerSink,
+  sinkTypes
+};
@@ -0,0 +1,13 @@
+const ICONS = { info: 'ℹ️ ', warning: '⚠️ ', critical: '🚨' };
+
+/**
+ * Stdout sink
+ * Prints alerts to the server log
+ */
+class StdoutSink {
+  async deliver(alert) {
+    console.log(`${ICONS[alert.severity] || '🔔'} [${alert.severity.toUpperCase()}] ${alert.title}: ${alert.message}`);
+  }
+}
+
+module.exports = StdoutSink;
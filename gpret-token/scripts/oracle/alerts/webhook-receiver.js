@@ -0,0 +1,45 @@
+const express = require('express');
+
+/**
+ * Local webhook receiver
+ * Stand-in for an alerting service: records every alert POSTed to it.
+ * Used by the tests, and handy for watching alerts locally:
+ *
+ *   node scripts/oracle/alerts/webhook-receiver.js 4010
+ *   ALERT_WEBHOOK=http://localhost:4010/alerts npm run oracle:start
+ *
+ * Resolves to { url, received, close() }; `status` forces a response code.
+ */
+function startWebhookReceiver({ port = 0, status = 200, log = false } = {}) {
+  const app = express();
+  const received = [];
+  
+  app.use(express.json());
+  app.post('/alerts', (req, res) => {
+    received.push(req.body);
+    
+    if (log) {
+      const { alert } = req.body;
+      console.log(`📨 ${alert.severity} ${alert.rule}: ${alert.message}`);
+    }
+    
+    res.status(status).json({ received: received.length });
+  });
+  
+  return new Promise(resolve => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/alerts`,
+        received,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startWebhookReceiver({ port: parseInt(process.argv[2]) || 4010, log: true })
+    .then(receiver => console.log(`📡 Alert webhook receiver listening at ${receiver.url}`));
+}
+
+module.exports = { startWebhookReceiver };
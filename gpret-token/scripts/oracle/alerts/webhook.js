@@ -0,0 +1,26 @@
+const axios = require('axios');
+
+/**
+ * Webhook sink
+ * POSTs { source: 'gpret-oracle', alert } as JSON
+ *
+ * Options:
+ *   url     - webhook URL (config.monitoring.alerts.webhook)
+ *   timeout - request timeout in ms (default 5000)
+ */
+class WebhookSink {
+  constructor({ url, timeout = 5000 }) {
+    if (!url) {
+      throw new Error('Webhook alert sink has no url (set ALERT_WEBHOOK)');
+    }
+    
+    this.url = url;
+    this.timeout = timeout;
+  }
+  
+  async deliver(alert) {
+    await axios.post(this.url, { source: 'gpret-oracle', alert }, { timeout: this.timeout });
+  }
+}
+
+module.exports = WebhookSink;
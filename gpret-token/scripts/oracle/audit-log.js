@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * GPRET Oracle Audit Log
+ * Append-only JSON lines (audit.log in the data directory) recording who
+ * triggered a manual action, why, and how it ended
+ */
+class AuditLog {
+  constructor({ dataPath }) {
+    this.logPath = path.join(dataPath, 'audit.log');
+  }
+  
+  /**
+   * Append an entry; the timestamp is added here
+   */
+  record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+    
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    fs.appendFileSync(this.logPath, line + '\n');
+  }
+  
+  /**
+   * The most recent `limit` entries, newest first
+   */
+  recent(limit = 50) {
+    if (!fs.existsSync(this.logPath)) return [];
+    
+    return fs.readFileSync(this.logPath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .slice(-limit)
+      .map(line => JSON.parse(line))
+      .reverse();
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * GPRET Oracle API Authentication
+ * Accepts either an API key (X-API-Key header) from config.security.apiKeys
+ * or a bearer JWT signed with config.security.jwt.secret.
+ * On success req.actor = { type: 'api-key' | 'jwt', id }
+ */
+function createAuthMiddleware(securityConfig) {
+  const apiKeys = securityConfig.apiKeys || [];
+  const jwtSecret = securityConfig.jwt ? securityConfig.jwt.secret : '';
+  
+  const reject = (res, error) => res.status(401).json({
+    success: false,
+    error,
+    code: 'UNAUTHORIZED',
+    timestamp: new Date().toISOString()
+  });
+  
+  return (req, res, next) => {
+    const apiKey = req.get('x-api-key');
+    const authorization = req.get('authorization') || '';
+    
+    if (apiKey) {
+      const match = findApiKey(apiKeys, apiKey);
+      if (!match) return reject(res, 'Invalid API key');
+      
+      req.actor = { type: 'api-key', id: match.name };
+      return next();
+    }
+    
+    if (authorization.startsWith('Bearer ')) {
+      if (!jwtSecret) return reject(res, 'Bearer tokens are not accepted (JWT_SECRET is not set)');
+      
+      try {
+        const payload = jwt.verify(authorization.slice(7), jwtSecret, { algorithms: ['HS256'] });
+        req.actor = { type: 'jwt', id: payload.sub || 'unknown' };
+        return next();
+      } catch (error) {
+        return reject(res, `Invalid token: ${error.message}`);
+      }
+    }
+    
+    return reject(res, 'Authentication required (X-API-Key header or Bearer token)');
+  };
+}
+
+/**
+ * Issue a token for the oracle API (e.g. for operators or CI)
+ */
+function issueToken(securityConfig, subject) {
+  if (!securityConfig.jwt.secret) {
+    throw new Error('JWT_SECRET is not set');
+  }
+  
+  return jwt.sign({}, securityConfig.jwt.secret, {
+    subject,
+    expiresIn: securityConfig.jwt.expiresIn,
+    algorithm: 'HS256'
+  });
+}
+
+/**
+ * The configured { name, key } entry for an API key, or undefined
+ */
+function findApiKey(apiKeys, apiKey) {
+  return apiKeys.find(entry => safeEqual(entry.key, apiKey));
+}
+
+// Constant-time comparison so keys cannot be guessed from response timing
+function safeEqual(expected, actual) {
+  const a = crypto.createHash('sha256').update(String(expected)).digest();
+  const b = crypto.createHash('sha256').update(String(actual)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  createAuthMiddleware,
+  issueToken,
+  findApiKey
+};
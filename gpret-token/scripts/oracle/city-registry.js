@@ -0,0 +1,233 @@
+const { ethers } = require('ethers');
+const defaultConfig = require('./config');
+
+/**
+ * GPRET City Registry
+ * Reconciles the oracle's configured cities with the cities stored in the
+ * GPRET contract (`getAllCities()`).
+ *
+ * Config cities are mapped to on-chain ids by an explicit `onChainId` on the
+ * city entry, or otherwise by name (case-insensitive). Anything that does not
+ * line up is reported as drift:
+ *   - missingOnChain:    active config cities with no on-chain counterpart
+ *   - missingOffChain:   active on-chain cities the config does not track
+ *   - weightMismatches:  share of the index differs by more than weightTolerance
+ *                        percentage points (shares are compared, not raw weights,
+ *                        since config uses percents and the contract 1e6 units)
+ *   - activeMismatches:  active in one place, inactive in the other
+ */
+class GPRETCityRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Oracle configuration (defaults to ./config)
+   * @param {ethers.Contract} options.contract - GPRET contract (needs getAllCities)
+   */
+  constructor(options = {}) {
+    this.config = options.config || defaultConfig;
+    this.contract = options.contract;
+    
+    const settings = this.config.blockchain.cityRegistry || {};
+    this.onDrift = settings.onDrift || 'refuse';
+    this.weightTolerance = settings.weightTolerance !== undefined ? settings.weightTolerance : 0.5;
+  }
+  
+  /**
+   * Read all cities from the contract
+   */
+  async loadOnChainCities() {
+    const [names, priceIndices, weights, activeStates] = await this.contract.getAllCities();
+    
+    return names.map((name, i) => ({
+      onChainId: i,
+      name,
+      priceIndex: priceIndices[i],
+      weight: Number(weights[i]),
+      isActive: activeStates[i]
+    }));
+  }
+  
+  /**
+   * Build the config-to-chain mapping and drift report
+   */
+  async reconcile() {
+    const onChainCities = await this.loadOnChainCities();
+    const configCities = this.config.cities;
+    
+    const report = {
+      mapped: [],
+      missingOnChain: [],
+      missingOffChain: [],
+      weightMismatches: [],
+      activeMismatches: [],
+      inSync: true
+    };
+    
+    const matchedOnChainIds = new Set();
+    
+    for (const city of configCities) {
+      const onChain = city.onChainId !== undefined
+        ? onChainCities.find(c => c.onChainId === city.onChainId)
+        : onChainCities.find(c => c.name.toLowerCase() === city.name.toLowerCase());
+      
+      if (!onChain) {
+        if (city.active) {
+          report.missingOnChain.push({
+            configId: city.id,
+            name: city.name,
+            reason: city.onChainId !== undefined ? `No on-chain city ${city.onChainId}` : 'No on-chain city with this name'
+          });
+        }
+        continue;
+      }
+      
+      matchedOnChainIds.add(onChain.onChainId);
+      report.mapped.push({
+        configId: city.id,
+        onChainId: onChain.onChainId,
+        name: city.name,
+        onChainName: onChain.name,
+        priceIndex: onChain.priceIndex,
+        configActive: city.active,
+        onChainActive: onChain.isActive
+      });
+      
+      if (city.active !== onChain.isActive) {
+        report.activeMismatches.push({
+          configId: city.id,
+          onChainId: onChain.onChainId,
+          name: city.name,
+          configActive: city.active,
+          onChainActive: onChain.isActive
+        });
+      }
+    }
+    
+    for (const onChain of onChainCities) {
+      if (onChain.isActive && !matchedOnChainIds.has(onChain.onChainId)) {
+        report.missingOffChain.push({ onChainId: onChain.onChainId, name: onChain.name });
+      }
+    }
+    
+    report.weightMismatches = this.compareWeights(report.mapped, configCities, onChainCities);
+    
+    report.inSync = report.missingOnChain.length === 0 &&
+      report.missingOffChain.length === 0 &&
+      report.weightMismatches.length === 0 &&
+      report.activeMismatches.length === 0;
+    
+    return report;
+  }
+  
+  /**
+   * Compare each mapped city's share of the total active weight
+   */
+  compareWeights(mapped, configCities, onChainCities) {
+    const configTotal = configCities.filter(c => c.active).reduce((sum, c) => sum + c.weight, 0);
+    const onChainTotal = onChainCities.filter(c => c.isActive).reduce((sum, c) => sum + c.weight, 0);
+    const mismatches = [];
+    
+    for (const entry of mapped) {
+      if (!entry.configActive || !entry.onChainActive) continue;
+      
+      const configCity = configCities.find(c => c.id === entry.configId);
+      const onChainCity = onChainCities.find(c => c.onChainId === entry.onChainId);
+      const configShare = configTotal > 0 ? (configCity.weight / configTotal) * 100 : 0;
+      const onChainShare = onChainTotal > 0 ? (onChainCity.weight / onChainTotal) * 100 : 0;
+      
+      if (Math.abs(configShare - onChainShare) > this.weightTolerance) {
+        mismatches.push({
+          configId: entry.configId,
+          onChainId: entry.onChainId,
+          name: entry.name,
+          configShare: Math.round(configShare * 100) / 100,
+          onChainShare: Math.round(onChainShare * 100) / 100
+        });
+      }
+    }
+    
+    return mismatches;
+  }
+  
+  /**
+   * Reconcile and enforce the drift policy
+   * Throws when drift is found and cityRegistry.onDrift is "refuse"
+   */
+  async resolve() {
+    const report = await this.reconcile();
+    
+    if (!report.inSync && this.onDrift === 'refuse') {
+      throw new Error(`City registry drift: ${GPRETCityRegistry.describeDrift(report).join('; ')}`);
+    }
+    
+    return report;
+  }
+  
+  /**
+   * Human-readable drift lines for a report
+   */
+  static describeDrift(report) {
+    const lines = [];
+    
+    for (const city of report.missingOnChain) {
+      lines.push(`${city.name} (config ${city.configId}) missing on-chain`);
+    }
+    for (const city of report.missingOffChain) {
+      lines.push(`${city.name} (on-chain ${city.onChainId}) missing from config`);
+    }
+    for (const city of report.weightMismatches) {
+      lines.push(`${city.name} weight ${city.configShare}% in config vs ${city.onChainShare}% on-chain`);
+    }
+    for (const city of report.activeMismatches) {
+      lines.push(`${city.name} is ${city.configActive ? 'active' : 'inactive'} in config but ${city.onChainActive ? 'active' : 'inactive'} on-chain`);
+    }
+    
+    return lines;
+  }
+}
+
+// ============ Main Execution ============
+
+async function main() {
+  console.log("🗺️  GPRET City Registry Check");
+  console.log("================================");
+  
+  const blockchain = defaultConfig.blockchain;
+  const network = blockchain.networks[blockchain.network];
+  
+  if (!network || !network.url || !blockchain.contracts.gpret.address) {
+    throw new Error("Deploy GPRET to ORACLE_NETWORK (or set GPRET_TOKEN_ADDRESS) and set its RPC URL first");
+  }
+  
+  const provider = new ethers.JsonRpcProvider(network.url, network.chainId);
+  const contract = new ethers.Contract(
+    blockchain.contracts.gpret.address,
+    ['function getAllCities() view returns (string[] names, uint256[] priceIndices, uint256[] weights, bool[] activeStates)'],
+    provider
+  );
+  
+  const report = await new GPRETCityRegistry({ contract }).reconcile();
+  
+  console.log("\n📋 Mapped cities:");
+  for (const city of report.mapped) {
+    console.log(`   ${city.configId} → ${city.onChainId}  ${city.name}`);
+  }
+  
+  if (report.inSync) {
+    console.log("\n✅ Config and contract cities are in sync");
+    return;
+  }
+  
+  console.log("\n⚠️  Drift detected:");
+  GPRETCityRegistry.describeDrift(report).forEach(line => console.log("   -", line));
+  process.exitCode = 1;
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error("\n❌ Registry check failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = GPRETCityRegistry;
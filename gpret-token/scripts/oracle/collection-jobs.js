@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A lock older than this is treated as abandoned even if its owner looks alive
+const DEFAULT_LOCK_STALE_MS = 30 * 60 * 1000;
+
+// An unreadable lock may still be being written by its owner; leave it alone this long
+const UNREADABLE_LOCK_GRACE_MS = 5000;
+
+/**
+ * Whether a run over `running` city ids also collects every city in `requested`
+ * (null means all cities)
+ */
+function coversCities(running, requested) {
+  if (!running) return true;
+  if (!requested) return false;
+  return requested.every(id => running.includes(id));
+}
+
+function mergeCities(a, b) {
+  if (!a || !b) return null;
+  return [...new Set([...a, ...b])];
+}
+
+/**
+ * GPRET Collection Job Manager
+ * Runs collector.collectAllPrices() one at a time.
+ *
+ * - Triggers arriving while a run is in flight join that run instead of
+ *   starting another (the caller gets the same results, coalesced: true),
+ *   as long as the running job collects every city they asked for
+ * - Other triggers wait for one follow-up run queued behind it; later
+ *   triggers join that follow-up and widen its city set
+ * - A lock file (collection.lock in the data directory) keeps other oracle
+ *   processes sharing the directory from collecting at the same time
+ *
+ * Events: 'started' (job), 'completed' (job, results), 'failed' (job, error),
+ * and 'progress' (collector progress events with the jobId added).
+ * A run the collector aborted (results.aborted) fails like one that threw.
+ */
+class CollectionJobManager extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {GPRETOracleCollector} options.collector
+   * @param {string} options.dataPath - Directory shared with other oracle processes
+   * @param {number} [options.lockStaleMs] - Age after which a lock is considered abandoned
+   */
+  constructor({ collector, dataPath, lockStaleMs = DEFAULT_LOCK_STALE_MS }) {
+    super();
+    this.collector = collector;
+    this.lockPath = path.join(dataPath, 'collection.lock');
+    this.lockStaleMs = lockStaleMs;
+    
+    this.current = null; // { job, promise }
+    this.next = null; // { request, coalesced, promise, resolve, reject }
+    this.lastJob = null;
+    this.completedRuns = 0;
+    
+    if (typeof collector.on === 'function') {
+      collector.on('progress', event => {
+        if (this.current) this.emit('progress', { jobId: this.current.job.id, ...event });
+      });
+    }
+  }
+  
+  /**
+   * Run a collection, join the one in flight, or wait for the follow-up run
+   * @param {Object} request - { trigger, actor, reason, cityIds }
+   * @returns {Promise<{ job, results, coalesced }>}
+   */
+  async run(request = {}) {
+    if (!this.current) {
+      const { job, results } = await this.start(request);
+      return { job, results, coalesced: false };
+    }
+    
+    if (coversCities(this.current.job.cityIds, request.cityIds)) {
+      const { job, promise } = this.current;
+      job.coalesced.push(this.coalescedEntry(request));
+      
+      const results = await promise;
+      return { job, results, coalesced: true };
+    }
+    
+    if (this.next) {
+      this.next.request.cityIds = mergeCities(this.next.request.cityIds, request.cityIds);
+      this.next.coalesced.push(this.coalescedEntry(request));
+      
+      const { job, results } = await this.next.promise;
+      return { job, results, coalesced: true };
+    }
+    
+    const next = { request: { ...request, cityIds: request.cityIds || null }, coalesced: [] };
+    next.promise = new Promise((resolve, reject) => {
+      next.resolve = resolve;
+      next.reject = reject;
+    });
+    this.next = next;
+    
+    const { job, results } = await next.promise;
+    return { job, results, coalesced: false };
+  }
+  
+  coalescedEntry(request) {
+    return { trigger: request.trigger || 'unknown', actor: request.actor || null };
+  }
+  
+  /**
+   * Start a job now
+   * @returns {Promise<{ job, results }>}
+   */
+  async start(request, coalesced = []) {
+    const job = {
+      id: crypto.randomUUID(),
+      trigger: request.trigger || 'unknown',
+      actor: request.actor || null,
+      reason: request.reason || null,
+      cityIds: request.cityIds || null,
+      startedAt: new Date().toISOString(),
+      coalesced
+    };
+    
+    // Take the lock before publishing the job so a lock conflict leaves no state behind
+    this.acquireLock(job);
+    
+    // Publish the job before starting it so progress events can be attributed
+    this.current = { job, promise: null };
+    this.current.promise = this.execute(job);
+    
+    try {
+      const results = await this.current.promise;
+      return { job, results };
+    } finally {
+      this.current = null;
+      this.startNext();
+    }
+  }
+  
+  /**
+   * Start the follow-up run queued behind the one that just finished
+   */
+  startNext() {
+    const next = this.next;
+    if (!next) return;
+    
+    this.next = null;
+    this.start(next.request, next.coalesced).then(next.resolve, next.reject);
+  }
+  
+  async execute(job) {
+    this.emit('started', job);
+    
+    try {
+      const results = await this.collector.collectAllPrices({ cityIds: job.cityIds || undefined });
+      
+      if (results.aborted) {
+        const last = results.errors[results.errors.length - 1];
+        const error = new Error(last ? last.error : 'Collection aborted');
+        error.code = 'COLLECTION_ABORTED';
+        error.results = results;
+        throw error;
+      }
+      
+      this.finish(job, {
+        outcome: results.errors.length > 0 ? 'completed-with-errors' : 'completed',
+        globalIndex: results.globalIndex,
+        errors: results.errors.length
+      });
+      this.emit('completed', job, results);
+      return results;
+    
+    } catch (error) {
+      this.finish(job, { outcome: 'failed', error: error.message });
+      this.emit('failed', job, error);
+      throw error;
+    
+    } finally {
+      this.releaseLock(job);
+    }
+  }
+  
+  finish(job, outcome) {
+    const finishedAt = new Date();
+    
+    this.lastJob = {
+      ...job,
+      ...outcome,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt.getTime() - new Date(job.startedAt).getTime()
+    };
+    this.completedRuns++;
+  }
+  
+  /**
+   * Current and last job, for the status endpoint
+   */
+  getState() {
+    return {
+      running: Boolean(this.current),
+      current: this.current ? this.current.job : null,
+      queued: this.next ? { ...this.next.request, coalesced: this.next.coalesced } : null,
+      last: this.lastJob,
+      completedRuns: this.completedRuns,
+      lock: this.readLock()
+    };
+  }
+  
+  // ============ Lock File ============
+  
+  acquireLock(job) {
+    fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+    
+    const owner = {
+      pid: process.pid,
+      hostname: os.hostname(),
+      jobId: job.id,
+      trigger: job.trigger,
+      startedAt: job.startedAt
+    };
+    
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(this.lockPath, JSON.stringify(owner, null, 2), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        
+        const holder = this.readLock();
+        if (holder ? !this.isStale(holder) : this.lockAge() < UNREADABLE_LOCK_GRACE_MS) {
+          const locked = new Error(holder
+            ? `Collection already running in another process (pid ${holder.pid} on ${holder.hostname} since ${holder.startedAt})`
+            : 'Collection already running in another process');
+          locked.code = 'COLLECTION_LOCKED';
+          locked.holder = holder;
+          throw locked;
+        }
+        
+        console.log(`   ⚠️  Removing stale collection lock${holder ? ` from pid ${holder.pid}` : ''}`);
+        fs.rmSync(this.lockPath, { force: true });
+      }
+    }
+    
+    throw new Error(`Could not acquire collection lock at ${this.lockPath}`);
+  }
+  
+  releaseLock(job) {
+    const holder = this.readLock();
+    
+    // Never remove a lock some other process has taken over
+    if (holder && holder.jobId === job.id) {
+      fs.rmSync(this.lockPath, { force: true });
+    }
+  }
+  
+  readLock() {
+    try {
+      return JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  lockAge() {
+    try {
+      return Date.now() - fs.statSync(this.lockPath).mtimeMs;
+    } catch (error) {
+      return Infinity;
+    }
+  }
+  
+  /**
+   * A lock is stale when it is too old, or its owner on this host is gone
+   */
+  isStale(holder) {
+    if (Date.now() - new Date(holder.startedAt).getTime() > this.lockStaleMs) return true;
+    if (holder.hostname !== os.hostname()) return false;
+    
+    try {
+      process.kill(holder.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+}
+
+module.exports = CollectionJobManager;
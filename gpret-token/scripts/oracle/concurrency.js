@@ -0,0 +1,112 @@
+/**
+ * GPRET Collection Concurrency
+ * Bounds how many source requests run at once during a collection and
+ * enforces the run deadline (config.updates.concurrency / runDeadline)
+ */
+
+/**
+ * Runs at most `limit` tasks at a time; the rest wait in FIFO order
+ */
+class ConcurrencyLimiter {
+  constructor(limit) {
+    this.limit = Math.max(1, limit || 1);
+    this.active = 0;
+    this.queue = [];
+  }
+  
+  get pending() {
+    return this.queue.length;
+  }
+  
+  async run(task) {
+    if (this.active >= this.limit) {
+      await new Promise(resolve => this.queue.push(resolve));
+    }
+    
+    this.active++;
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      const next = this.queue.shift();
+      if (next) next();
+    }
+  }
+}
+
+/**
+ * Schedules the source requests of one collection run
+ *
+ * A request waits for a slot of its source (`perSource`, or the source's own
+ * `maxConcurrent`), then for a global slot (`global`). Once the deadline has
+ * passed, queued requests fail without starting and running ones are
+ * abandoned with code RUN_DEADLINE_EXCEEDED; their late results are ignored.
+ * Each task is passed a `{ abandoned }` flag that turns true at that point,
+ * so work finishing after the run has returned can skip its side effects.
+ */
+class FetchScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.global - Requests in flight across all sources
+   * @param {number} options.perSource - Default requests in flight per source
+   * @param {number} [options.deadline] - Run time budget in ms (none when unset)
+   * @param {Function} [options.now] - Clock in ms
+   */
+  constructor({ global, perSource, deadline, now }) {
+    this.now = now || Date.now;
+    this.global = new ConcurrencyLimiter(global);
+    this.perSource = perSource;
+    this.deadline = deadline || null;
+    this.deadlineAt = deadline ? this.now() + deadline : null;
+    this.sources = new Map();
+  }
+  
+  get expired() {
+    return this.deadlineAt !== null && this.now() >= this.deadlineAt;
+  }
+  
+  limiterFor(source) {
+    if (!this.sources.has(source.id)) {
+      this.sources.set(source.id, new ConcurrencyLimiter(source.maxConcurrent || this.perSource));
+    }
+    return this.sources.get(source.id);
+  }
+  
+  /**
+   * Run `task` for `source` within the concurrency limits and the run deadline
+   * @param {Function} task - ({ abandoned }) => Promise
+   */
+  run(source, task) {
+    const request = { abandoned: false };
+    const scheduled = this.limiterFor(source).run(() => this.global.run(() => {
+      if (this.expired) throw this.deadlineError(source);
+      return task(request);
+    }));
+    
+    if (this.deadlineAt === null) return scheduled;
+    
+    let timer;
+    const deadline = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        request.abandoned = true;
+        reject(this.deadlineError(source));
+      }, Math.max(0, this.deadlineAt - this.now()));
+    });
+    
+    // Late results and failures of abandoned requests are dropped
+    scheduled.catch(() => {});
+    
+    return Promise.race([scheduled, deadline]).finally(() => clearTimeout(timer));
+  }
+  
+  deadlineError(source) {
+    const error = new Error(`${source.name} timed out: run deadline of ${this.deadline}ms exceeded`);
+    error.code = 'RUN_DEADLINE_EXCEEDED';
+    return error;
+  }
+}
+
+module.exports = {
+  ConcurrencyLimiter,
+  FetchScheduler
+};
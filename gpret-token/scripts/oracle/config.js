@@ -1,4 +1,6 @@
 require('dotenv').config();
+const path = require('path');
+const DeploymentRegistry = require('../deployment/registry');
 
 /**
  * GPRET Oracle Configuration
@@ -11,7 +13,17 @@ const config = {
     port: process.env.ORACLE_PORT || 3001,
     host: process.env.ORACLE_HOST || 'localhost',
     environment: process.env.NODE_ENV || 'development',
-    corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['*']
+    corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['*'],
+    
+    // Express "trust proxy" setting; set when behind a load balancer so rate limits see client IPs
+    trustProxy: process.env.ORACLE_TRUST_PROXY || false,
+    
+    // Real-time price stream (see ./price-stream)
+    websocket: {
+      enabled: process.env.ORACLE_WEBSOCKET !== 'false',
+      path: '/ws',
+      heartbeatInterval: 30000 // 30 seconds
+    }
   },
   
   // ============ Update Configuration ============
@@ -29,12 +41,45 @@ const config = {
     retryDelay: 5 * 60 * 1000,
     
     // Enable/disable automatic updates
-    autoUpdate: process.env.AUTO_UPDATE !== 'false'
+    autoUpdate: process.env.AUTO_UPDATE !== 'false',
+    
+    // Minimum time since the last collection before a manual update, unless "force" is set (1 hour)
+    minManualInterval: parseInt(process.env.ORACLE_MIN_MANUAL_INTERVAL) || 60 * 60 * 1000,
+    
+    // Source requests in flight during a collection (see ./concurrency);
+    // a data source's `maxConcurrent` overrides perSource
+    concurrency: {
+      global: parseInt(process.env.ORACLE_FETCH_CONCURRENCY) || 8,
+      perSource: 2
+    },
+    
+    // Collection time budget; source requests still pending are recorded as timed out (5 minutes)
+    runDeadline: parseInt(process.env.ORACLE_RUN_DEADLINE) || 5 * 60 * 1000
+  },
+  
+  // ============ Data Mode ============
+  // Where prices come from (see ./data-modes):
+  //   live      - the data sources below
+  //   replay    - snapshots of a recorded price-history.json, one per collection
+  //   simulated - seeded random walk per city from basePriceUSD (demos and tests)
+  // Replayed and simulated prices are tagged synthetic and never published
+  // on-chain unless allowSyntheticOnChain is set.
+  data: {
+    mode: process.env.ORACLE_DATA_MODE || 'live',
+    allowSyntheticOnChain: process.env.ORACLE_ALLOW_SYNTHETIC_ONCHAIN === 'true',
+    simulation: {
+      seed: parseInt(process.env.ORACLE_SIMULATION_SEED) || 1,
+      volatility: 1.5, // standard deviation of each step, percent
+      drift: 0.1 // mean of each step, percent
+    },
+    replay: {
+      file: process.env.ORACLE_REPLAY_FILE || "" // relative to the project root
+    }
   },
   
   // ============ Price Configuration ============
   prices: {
-    // Base index value
+    // Global index value at the recorded base snapshot (see ./global-index)
     baseIndex: 1000,
     
     // Maximum price change percentage per update
@@ -50,12 +95,25 @@ const config = {
       low: 50
     },
     
+    // How source quotes are combined into a city price (see ./aggregation)
+    // 'weighted-mean', 'weighted-median', 'trimmed-mean' or 'mad'
+    aggregation: {
+      strategy: process.env.AGGREGATION_STRATEGY || 'weighted-median',
+      trimPercent: 20, // trimmed-mean: share of quotes dropped from each end
+      madThreshold: 3  // mad: max distance from the median in scaled MADs
+    },
+    
     // Price validation
     validation: {
       enabled: true,
       minPrice: 1000,    // Minimum price per sqm in USD
       maxPrice: 50000,   // Maximum price per sqm in USD
-      maxVolatility: 20  // Maximum volatility percentage
+      maxVolatility: 20, // Maximum dispersion between source quotes (percent)
+      
+      // When a city moves more than maxChangePercent since the last accepted price:
+      // 'clamp' limits the move, 'hold' keeps the previous price,
+      // 'flag' keeps the new price but marks the city so it is not published
+      onExceed: 'clamp'
     }
   },
   
@@ -164,6 +222,8 @@ const config = {
   ],
   
   // ============ Data Sources Configuration ============
+  // Each source is fetched through the adapter for its `type`
+  // (rest, json-file, csv-file, static) - see ./adapters
   dataSources: [
     {
       id: 1,
@@ -172,6 +232,12 @@ const config = {
       endpoint: process.env.MOCK_API_ENDPOINT || "https://api.mockapi.com/real-estate",
       apiKey: process.env.MOCK_API_KEY || "",
       weight: 30,
+      params: { city: "{city}", country: "{country}" },
+      response: {
+        pricePath: "data.pricePerSqm",
+        confidencePath: "data.confidence",
+        timestampPath: "data.updatedAt"
+      },
       timeout: 10000,
       retries: 2,
       active: true,
@@ -187,6 +253,12 @@ const config = {
       endpoint: process.env.FREE_PROPERTY_API || "https://api.freepropertyindex.com/v1",
       apiKey: process.env.FREE_PROPERTY_KEY || "",
       weight: 25,
+      params: { city: "{city}", country: "{country}" },
+      response: {
+        pricePath: "data.pricePerSqm",
+        confidencePath: "data.confidence",
+        timestampPath: "data.updatedAt"
+      },
       timeout: 10000,
       retries: 2,
       active: true,
@@ -202,6 +274,12 @@ const config = {
       endpoint: process.env.OPEN_RE_API || "https://api.openrealestate.org/prices",
       apiKey: process.env.OPEN_RE_KEY || "",
       weight: 25,
+      params: { city: "{city}", country: "{country}" },
+      response: {
+        pricePath: "data.pricePerSqm",
+        confidencePath: "data.confidence",
+        timestampPath: "data.updatedAt"
+      },
       timeout: 10000,
       retries: 2,
       active: true,
@@ -217,6 +295,12 @@ const config = {
       endpoint: process.env.GLOBAL_TRENDS_API || "https://api.globalpropertytrends.com/free",
       apiKey: process.env.GLOBAL_TRENDS_KEY || "",
       weight: 20,
+      params: { city: "{city}", country: "{country}" },
+      response: {
+        pricePath: "data.pricePerSqm",
+        confidencePath: "data.confidence",
+        timestampPath: "data.updatedAt"
+      },
       timeout: 10000,
       retries: 2,
       active: true,
@@ -227,8 +311,21 @@ const config = {
     }
   ],
   
+  // Budgets, retries and circuit breaking for source requests (see ./source-client)
+  sourceClient: {
+    // First retry delay, doubled per retry and capped at updates.retryDelay
+    retryDelay: 1000,
+    circuitBreaker: {
+      failureThreshold: 5, // consecutive failed requests before a source is skipped
+      cooldown: 15 * 60 * 1000 // 15 minutes
+    }
+  },
+  
   // ============ Blockchain Configuration ============
   blockchain: {
+    // Network the oracle publishes to (key of `networks` below)
+    network: process.env.ORACLE_NETWORK || 'hardhat',
+    
     networks: {
       hardhat: {
         url: "http://127.0.0.1:8545",
@@ -247,22 +344,39 @@ const config = {
       }
     },
     
+    // Deployments registry (scripts/deployment/registry.js); contracts without
+    // an env address are taken from the manifest for the network's chainId
+    deployments: {
+      directory: process.env.GPRET_DEPLOYMENTS_DIR || './deployments'
+    },
+    
+    // Set from the registry by loadDeployment() when found
+    deployment: null,
+    
     contracts: {
       gpret: {
         address: process.env.GPRET_TOKEN_ADDRESS || "",
-        abi: [] // Will be loaded dynamically
+        abi: [] // Loaded from the deployments registry
       },
       staking: {
         address: process.env.GPRET_STAKING_ADDRESS || "",
-        abi: [] // Will be loaded dynamically
+        abi: [] // Loaded from the deployments registry
       }
     },
     
+    // Reconciliation of config cities with GPRET.getAllCities()
+    // Cities map by name unless they set an explicit `onChainId`
+    cityRegistry: {
+      onDrift: process.env.CITY_DRIFT_POLICY || 'refuse', // 'refuse' or 'warn'
+      weightTolerance: 0.5 // Allowed difference in index share (percentage points)
+    },
+    
     oracle: {
       privateKey: process.env.ORACLE_PRIVATE_KEY || "",
       gasLimit: 500000,
       maxGasPrice: "50000000000", // 50 gwei
-      confirmations: 2
+      confirmations: 2,
+      minBalance: process.env.ORACLE_MIN_BALANCE || "0.05" // ETH; readiness warns below this
     }
   },
   
@@ -270,6 +384,7 @@ const config = {
   storage: {
     dataDirectory: "./oracle-data",
     backupDirectory: "./oracle-backups",
+    backend: "json", // History store backend (see storage/index.js)
     maxHistoryEntries: 1000,
     backupInterval: 24 * 60 * 60 * 1000, // 24 hours
     compressionEnabled: true
@@ -296,16 +411,36 @@ const config = {
     apiRateLimit: {
       windowMs: 15 * 60 * 1000, // 15 minutes
       max: 100, // limit each IP to 100 requests per windowMs
-      message: "Too many requests from this IP"
+      message: "Too many requests from this IP",
+      // API key names (see apiKeys) exempt from rate limiting, comma separated
+      allowlist: (process.env.ORACLE_RATE_LIMIT_ALLOWLIST || "").split(',').map(name => name.trim()).filter(Boolean)
+    },
+    // Stricter limit for POST /api/update/prices, per IP
+    updateRateLimit: {
+      windowMs: 60 * 60 * 1000, // 1 hour
+      max: 10,
+      message: "Too many update requests from this IP"
     },
     cors: {
       origin: process.env.CORS_ORIGINS || "*",
       credentials: true
     },
     jwt: {
-      secret: process.env.JWT_SECRET || "gpret-oracle-secret",
+      // Bearer tokens are only accepted when a secret is set
+      secret: process.env.JWT_SECRET || "",
       expiresIn: '24h'
-    }
+    },
+    // API keys for protected routes: "name:key" pairs, comma separated
+    apiKeys: (process.env.ORACLE_API_KEYS || "")
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map((entry, i) => {
+        const separator = entry.indexOf(':');
+        return separator > 0
+          ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+          : { name: `key-${i + 1}`, key: entry };
+      })
   },
   
   // ============ Monitoring Configuration ============
@@ -313,7 +448,8 @@ const config = {
     healthCheck: {
       enabled: true,
       interval: 30000, // 30 seconds
-      timeout: 5000
+      timeout: 5000,
+      staleAfterIntervals: 2 // Readiness fails when data is older than this many update intervals
     },
     metrics: {
       enabled: process.env.METRICS_ENABLED === 'true',
@@ -327,7 +463,14 @@ const config = {
         priceChangePercent: 15,
         errorRate: 10,
         responseTime: 5000
-      }
+      },
+      // Where alerts are delivered (see ./alerts): stdout, file, webhook
+      sinks: process.env.ALERT_SINKS
+        ? process.env.ALERT_SINKS.split(',').map(sink => sink.trim())
+        : ['stdout', 'file'].concat(process.env.ALERT_WEBHOOK ? ['webhook'] : []),
+      file: "alerts.log", // Relative to the data directory
+      dedupeWindow: 60 * 60 * 1000, // Repeat an unchanged alert at most hourly
+      maxPerHour: 20 // Alerts beyond this are counted but not delivered
     }
   },
   
@@ -343,33 +486,75 @@ const config = {
 };
 
 // ============ Helper Functions ============
+// Helpers read from `this` so a copied config ({ ...config, cities }) can be
+// injected into the collector and still answer for its own cities/sources.
 
 /**
  * Get active cities
  */
-config.getActiveCities = () => {
-  return config.cities.filter(city => city.active);
+config.getActiveCities = function () {
+  return this.cities.filter(city => city.active);
 };
 
 /**
  * Get active data sources
  */
-config.getActiveDataSources = () => {
-  return config.dataSources.filter(source => source.active);
+config.getActiveDataSources = function () {
+  return this.dataSources.filter(source => source.active);
 };
 
 /**
  * Get city by ID
  */
-config.getCityById = (id) => {
-  return config.cities.find(city => city.id === id);
+config.getCityById = function (id) {
+  return this.cities.find(city => city.id === id);
 };
 
 /**
  * Get data source by ID
  */
-config.getDataSourceById = (id) => {
-  return config.dataSources.find(source => source.id === id);
+config.getDataSourceById = function (id) {
+  return this.dataSources.find(source => source.id === id);
+};
+
+/**
+ * Fill contract addresses and ABIs from the deployments registry manifest
+ * for the configured network's chainId. Addresses set through the
+ * environment win; their ABI is only taken when the manifest agrees.
+ * Returns the manifest, or null when none is registered
+ */
+config.loadDeployment = function () {
+  const blockchain = this.blockchain;
+  const network = blockchain.networks[blockchain.network];
+  if (!network) return null;
+  
+  const registry = new DeploymentRegistry({
+    deploymentsDir: path.resolve(__dirname, '..', '..', blockchain.deployments.directory)
+  });
+  const manifest = registry.loadByChainId(network.chainId);
+  if (!manifest) return null;
+  
+  const names = { gpret: 'GPRET', staking: 'GPRETStaking' };
+  for (const [key, name] of Object.entries(names)) {
+    const contract = blockchain.contracts[key];
+    const entry = manifest.contracts[name];
+    if (!entry) continue;
+    
+    if (!contract.address) {
+      contract.address = entry.address;
+    }
+    if (contract.abi.length === 0 && contract.address.toLowerCase() === entry.address.toLowerCase()) {
+      contract.abi = entry.abi;
+    }
+  }
+  
+  blockchain.deployment = {
+    network: manifest.network,
+    chainId: manifest.chainId,
+    deployedAt: manifest.deployedAt
+  };
+  
+  return manifest;
 };
 
 /**
@@ -382,7 +567,6 @@ config.validate = () => {
   if (config.server.environment === 'production') {
     const required = [
       'ORACLE_PORT',
-      'GPRET_TOKEN_ADDRESS',
       'ORACLE_PRIVATE_KEY'
     ];
     
@@ -391,6 +575,10 @@ config.validate = () => {
         errors.push(`Missing required environment variable: ${env}`);
       }
     }
+    
+    if (!config.blockchain.contracts.gpret.address) {
+      errors.push(`No GPRET address: deploy to ${config.blockchain.network} or set GPRET_TOKEN_ADDRESS`);
+    }
   }
   
   // Validate cities configuration
@@ -424,4 +612,6 @@ if (config.server.environment === 'test') {
   config.logging.console.enabled = false;
 }
 
+config.loadDeployment();
+
 module.exports = config;
\ No newline at end of file
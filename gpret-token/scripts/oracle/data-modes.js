@@ -0,0 +1,178 @@
+const path = require('path');
+const { writeJsonAtomic, readJson } = require('./storage/atomic-file');
+const { PriceSimulator } = require('./simulator');
+
+/**
+ * GPRET Oracle Data Modes (config.data.mode)
+ *
+ *   live      - quotes come from the configured data sources
+ *   replay    - each collection re-serves the next snapshot of a recorded
+ *               price history (data.replay.file), wrapping at the end
+ *   simulated - each collection advances a seeded random walk per city
+ *               (see ./simulator)
+ *
+ * Replayed and simulated quotes are synthetic: results carry the mode and a
+ * `synthetic` flag, and the publisher refuses them unless
+ * data.allowSyntheticOnChain is set.
+ *
+ * Synthetic modes implement:
+ *   beginRun()      - move to the next step / snapshot (persisted in data-mode-state.json)
+ *   quotesFor(city) - [{ source, price, weight, confidence, synthetic }] for the current step
+ *   describe()      - { mode, synthetic, ... } for /api/stats
+ */
+const SYNTHETIC_WEIGHT = 100;
+const SYNTHETIC_CONFIDENCE = 85;
+
+class LiveMode {
+  constructor() {
+    this.name = 'live';
+    this.synthetic = false;
+  }
+  
+  beginRun() {}
+  
+  describe() {
+    return { mode: this.name, synthetic: false };
+  }
+}
+
+/**
+ * Persisted position of a synthetic mode (step or replay cursor)
+ */
+class ModeState {
+  constructor(dataPath) {
+    this.statePath = path.join(dataPath, 'data-mode-state.json');
+  }
+  
+  readAll() {
+    try {
+      return readJson(this.statePath, {});
+    } catch (error) {
+      console.log(`   ⚠️  Could not read data mode state: ${error.message}`);
+      return {};
+    }
+  }
+  
+  read(mode) {
+    return this.readAll()[mode] || null;
+  }
+  
+  write(mode, value) {
+    writeJsonAtomic(this.statePath, { ...this.readAll(), [mode]: value });
+  }
+}
+
+class SimulatedMode {
+  constructor(settings, state) {
+    this.name = 'simulated';
+    this.synthetic = true;
+    this.simulator = new PriceSimulator(settings);
+    this.state = state;
+    
+    // A different seed starts a new walk
+    const saved = state.read(this.name);
+    this.step = saved && saved.seed === settings.seed ? saved.step : 0;
+  }
+  
+  beginRun() {
+    this.step++;
+    this.state.write(this.name, { seed: this.simulator.seed, step: this.step });
+  }
+  
+  quotesFor(city) {
+    return [{
+      source: 'Simulator',
+      price: this.simulator.priceAt(city, this.step),
+      weight: SYNTHETIC_WEIGHT,
+      confidence: SYNTHETIC_CONFIDENCE,
+      synthetic: true
+    }];
+  }
+  
+  describe() {
+    return { mode: this.name, synthetic: true, seed: this.simulator.seed, step: this.step };
+  }
+}
+
+class ReplayMode {
+  constructor(settings, state) {
+    this.name = 'replay';
+    this.synthetic = true;
+    this.file = settings.file;
+    this.state = state;
+    
+    const snapshots = readJson(this.file, null);
+    if (!Array.isArray(snapshots) || snapshots.length === 0) {
+      throw new Error(`Replay file ${this.file} has no history snapshots`);
+    }
+    this.snapshots = snapshots;
+    
+    // -1 until the first run; a different file starts from the beginning
+    const saved = state.read(this.name);
+    this.cursor = saved && saved.file === this.file ? saved.cursor : -1;
+  }
+  
+  get current() {
+    return this.cursor >= 0 ? this.snapshots[this.cursor % this.snapshots.length] : null;
+  }
+  
+  beginRun() {
+    this.cursor++;
+    this.state.write(this.name, { file: this.file, cursor: this.cursor });
+  }
+  
+  quotesFor(city) {
+    const recorded = this.current && this.current.cities.find(entry => entry.id === city.id);
+    if (!recorded || !(recorded.price > 0)) return [];
+    
+    return [{
+      source: 'Replay',
+      price: recorded.price,
+      weight: SYNTHETIC_WEIGHT,
+      confidence: recorded.confidence || SYNTHETIC_CONFIDENCE,
+      synthetic: true,
+      recordedAt: this.current.timestamp
+    }];
+  }
+  
+  describe() {
+    return {
+      mode: this.name,
+      synthetic: true,
+      file: this.file,
+      snapshot: this.cursor >= 0 ? this.cursor % this.snapshots.length : null,
+      snapshots: this.snapshots.length,
+      recordedAt: this.current ? this.current.timestamp : null
+    };
+  }
+}
+
+/**
+ * Create the configured data mode
+ * @param {Object} dataConfig - config.data
+ * @param {Object} options
+ * @param {string} options.dataPath - Oracle data directory (mode state)
+ * @param {string} options.rootPath - Base for a relative data.replay.file
+ */
+function createDataMode(dataConfig, { dataPath, rootPath }) {
+  const mode = dataConfig.mode || 'live';
+  const state = new ModeState(dataPath);
+  
+  switch (mode) {
+    case 'live':
+      return new LiveMode();
+    case 'simulated':
+      return new SimulatedMode(dataConfig.simulation, state);
+    case 'replay':
+      if (!dataConfig.replay.file) {
+        throw new Error('Replay mode needs data.replay.file (ORACLE_REPLAY_FILE)');
+      }
+      return new ReplayMode({ file: path.resolve(rootPath, dataConfig.replay.file) }, state);
+    default:
+      throw new Error(`Unknown data mode "${mode}"`);
+  }
+}
+
+module.exports = {
+  createDataMode
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./storage/atomic-file');
+
+/**
+ * GPRET Global Index
+ * Weighted index of city price relatives against a recorded base snapshot
+ *
+ *   index = link × Σ wᵢ·(pᵢ / bᵢ) / Σ wᵢ
+ *
+ * wᵢ is the city's configured weight, pᵢ its current price and bᵢ its price
+ * in the base snapshot. The first collection records the base snapshot with
+ * link = baseIndex (1000), so the index starts at exactly baseIndex.
+ *
+ * When the basket changes (a city is added or deactivated, or a weight is
+ * edited) the series is chain-linked: the old basket is evaluated on the
+ * cities it shares with the new data, that value becomes the new link, and
+ * current prices become the new base. The index therefore continues from
+ * where it was instead of jumping.
+ *
+ * A configured city without a price in one run is not a basket change: its
+ * last known price is carried forward, so a gap neither moves nor chain-links
+ * the index.
+ *
+ * State (base snapshot, link, chain-link history, last prices) is kept in
+ * index-base.json.
+ */
+class GlobalIndexCalculator {
+  /**
+   * @param {Object} options
+   * @param {number} options.baseIndex - Index value at the base snapshot
+   * @param {string} options.dataPath - Directory holding index-base.json
+   */
+  constructor({ baseIndex, dataPath }) {
+    this.baseIndex = baseIndex;
+    this.statePath = path.join(dataPath, 'index-base.json');
+    this.state = this.loadState();
+  }
+  
+  loadState() {
+    if (!fs.existsSync(this.statePath)) return null;
+    
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (error) {
+      console.log(`   ⚠️  Could not read index base: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Re-read index-base.json, picking up state saved by another collector
+   */
+  reload() {
+    this.state = this.loadState();
+  }
+  
+  /**
+   * Persist the current state (call once the collection results are saved)
+   */
+  save() {
+    if (!this.state) return;
+    
+    writeJsonAtomic(this.statePath, this.state);
+  }
+  
+  /**
+   * Calculate the index for a set of city prices
+   * @param {Array<{id, name, averagePrice, weight}>} cities - Priced cities with their weights
+   * @param {string} timestamp - Snapshot timestamp
+   * @returns {{ value: number, base: Object, chainLinked: Object|null }}
+   */
+  calculate(cities, timestamp) {
+    const lastPrices = (this.state && this.state.lastPrices) || {};
+    const prices = new Map();
+    const basket = {};
+    
+    for (const city of cities) {
+      if (!(city.weight > 0)) continue;
+      
+      const id = String(city.id);
+      const price = city.averagePrice > 0 ? city.averagePrice : lastPrices[id];
+      if (!(price > 0)) continue;
+      
+      prices.set(id, price);
+      basket[id] = { name: city.name, weight: city.weight, basePrice: price };
+    }
+    
+    if (Object.keys(basket).length === 0) {
+      return { value: this.state ? this.state.lastValue : this.baseIndex, base: this.describeBase(), chainLinked: null };
+    }
+    
+    // First snapshot: record the base
+    if (!this.state) {
+      this.state = {
+        baseIndex: this.baseIndex,
+        baseTimestamp: timestamp,
+        link: this.baseIndex,
+        linkTimestamp: timestamp,
+        basket,
+        chainLinks: [],
+        lastValue: this.baseIndex,
+        lastTimestamp: timestamp,
+        lastPrices: Object.fromEntries(prices)
+      };
+      return { value: this.baseIndex, base: this.describeBase(), chainLinked: null };
+    }
+    
+    let chainLinked = null;
+    
+    if (this.basketChanged(basket)) {
+      const linkValue = this.evaluate(this.state.basket, prices, this.state.link);
+      const value = linkValue !== null ? linkValue : this.state.lastValue;
+      
+      chainLinked = {
+        timestamp,
+        value,
+        reason: this.describeChange(basket),
+        previousBasket: Object.keys(this.state.basket).map(Number),
+        newBasket: Object.keys(basket).map(Number)
+      };
+      
+      this.state.chainLinks.push(chainLinked);
+      this.state.link = value;
+      this.state.linkTimestamp = timestamp;
+      this.state.basket = basket;
+    }
+    
+    const value = this.evaluate(this.state.basket, prices, this.state.link);
+    
+    this.state.lastValue = value;
+    this.state.lastTimestamp = timestamp;
+    this.state.lastPrices = Object.fromEntries(prices);
+    
+    return { value, base: this.describeBase(), chainLinked };
+  }
+  
+  /**
+   * Weighted average of price relatives for the basket cities present in `prices`
+   * Returns null when none of the basket cities is priced
+   */
+  evaluate(basket, prices, link) {
+    let weightedRelatives = 0;
+    let totalWeight = 0;
+    
+    for (const [id, entry] of Object.entries(basket)) {
+      const price = prices.get(id);
+      if (!(price > 0)) continue;
+      
+      weightedRelatives += entry.weight * (price / entry.basePrice);
+      totalWeight += entry.weight;
+    }
+    
+    if (totalWeight === 0) return null;
+    
+    return Math.round(link * (weightedRelatives / totalWeight) * 100) / 100;
+  }
+  
+  basketChanged(basket) {
+    const current = this.state.basket;
+    const ids = Object.keys(basket);
+    
+    if (ids.length !== Object.keys(current).length) return true;
+    
+    return ids.some(id => !current[id] || current[id].weight !== basket[id].weight);
+  }
+  
+  describeChange(basket) {
+    const current = this.state.basket;
+    const changes = [];
+    
+    for (const id of Object.keys(basket)) {
+      if (!current[id]) {
+        changes.push(`added ${basket[id].name}`);
+      } else if (current[id].weight !== basket[id].weight) {
+        changes.push(`${basket[id].name} weight ${current[id].weight} → ${basket[id].weight}`);
+      }
+    }
+    for (const id of Object.keys(current)) {
+      if (!basket[id]) changes.push(`removed ${current[id].name}`);
+    }
+    
+    return changes.join(', ');
+  }
+  
+  describeBase() {
+    if (!this.state) return null;
+    
+    return {
+      value: this.state.baseIndex,
+      timestamp: this.state.baseTimestamp,
+      link: this.state.link,
+      linkTimestamp: this.state.linkTimestamp,
+      chainLinks: this.state.chainLinks.length
+    };
+  }
+}
+
+module.exports = GlobalIndexCalculator;
@@ -0,0 +1,187 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { withTimeout } = require('./timeout');
+
+const STATUS_RANK = { pass: 0, warn: 1, fail: 2 };
+
+/**
+ * GPRET Oracle Health Checks
+ *
+ * Liveness  - the process is serving requests and no collection is stuck;
+ *             a failure means the process should be restarted.
+ * Readiness - per-component checks; a failure means traffic should be
+ *             drained until the component recovers:
+ *
+ *   data        - age of latest.json against the server's update schedule
+ *   collection  - outcome and source error rate of the last collection
+ *   storage     - the data directory is writable
+ *   rpc         - the RPC endpoint answers (only when publishing on-chain)
+ *   wallet      - the oracle wallet can pay for updates (only when publishing)
+ *
+ * Every component reports status "pass", "warn" or "fail"; the overall
+ * status is the worst of them.
+ */
+class GPRETHealthChecker {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Oracle configuration
+   * @param {string} options.dataPath - Oracle data directory
+   * @param {CollectionJobManager} options.jobs
+   * @param {Function} options.getLatest - Returns the latest collection results (or null)
+   * @param {number} options.updateInterval - Milliseconds between scheduled collections
+   * @param {GPRETOnChainPublisher|null} [options.publisher]
+   */
+  constructor({ config, dataPath, jobs, getLatest, updateInterval, publisher = null }) {
+    this.config = config;
+    this.updateInterval = updateInterval;
+    this.dataPath = dataPath;
+    this.jobs = jobs;
+    this.getLatest = getLatest;
+    this.publisher = publisher;
+    this.timeout = config.monitoring.healthCheck.timeout;
+  }
+  
+  /**
+   * Liveness: fails only when a collection has been running past the lock staleness limit
+   */
+  liveness() {
+    const current = this.jobs.current ? this.jobs.current.job : null;
+    const runningMs = current ? Date.now() - new Date(current.startedAt).getTime() : 0;
+    const stuck = current && runningMs > this.jobs.lockStaleMs;
+    
+    return {
+      status: stuck ? 'fail' : 'pass',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      collection: current
+        ? { jobId: current.id, runningMs, ...(stuck ? { error: `Collection running for ${Math.round(runningMs / 60000)} minutes` } : {}) }
+        : null
+    };
+  }
+  
+  /**
+   * Readiness: run every component check
+   */
+  async readiness() {
+    const checks = {
+      data: this.checkData(),
+      collection: this.checkCollection(),
+      storage: this.checkStorage()
+    };
+    
+    if (this.publisher) {
+      checks.rpc = await this.checkRpc();
+      checks.wallet = await this.checkWallet();
+    }
+    
+    const status = Object.values(checks)
+      .map(check => check.status)
+      .reduce((worst, s) => (STATUS_RANK[s] > STATUS_RANK[worst] ? s : worst), 'pass');
+    
+    return {
+      status,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      checks
+    };
+  }
+  
+  checkData() {
+    const interval = this.updateInterval;
+    const failAfter = interval * this.config.monitoring.healthCheck.staleAfterIntervals;
+    const latest = this.getLatest();
+    
+    if (!latest) {
+      // A fresh server has no data until its first collection
+      const uptimeMs = process.uptime() * 1000;
+      return uptimeMs < failAfter
+        ? { status: 'warn', message: 'No collection has completed yet' }
+        : { status: 'fail', message: `No collection has completed in ${Math.round(uptimeMs / 60000)} minutes` };
+    }
+    
+    const ageMs = Date.now() - new Date(latest.timestamp).getTime();
+    const details = { lastUpdate: latest.timestamp, ageMs, updateInterval: interval };
+    
+    if (ageMs > failAfter) {
+      return { status: 'fail', message: `Data is older than ${this.config.monitoring.healthCheck.staleAfterIntervals} update intervals`, ...details };
+    }
+    if (ageMs > interval) {
+      return { status: 'warn', message: 'Scheduled update is overdue', ...details };
+    }
+    return { status: 'pass', ...details };
+  }
+  
+  checkCollection() {
+    const last = this.jobs.lastJob;
+    if (last && last.outcome === 'failed') {
+      return { status: 'fail', message: `Last collection failed: ${last.error}`, jobId: last.id, finishedAt: last.finishedAt };
+    }
+    
+    const latest = this.getLatest();
+    if (!latest) return { status: 'pass', message: 'No collections yet' };
+    
+    const sources = latest.sources || [];
+    const failed = sources.reduce((sum, source) => sum + source.failed, 0);
+    const total = sources.reduce((sum, source) => sum + source.failed + source.succeeded, 0);
+    const errorRate = total > 0 ? Math.round((failed / total) * 100 * 10) / 10 : 0;
+    const threshold = this.config.monitoring.alerts.thresholds.errorRate;
+    
+    const details = { errorRate, errors: latest.errors.length, timestamp: latest.timestamp };
+    
+    if (total > 0 && failed === total) {
+      return { status: 'fail', message: 'Every source fetch failed in the last collection', ...details };
+    }
+    if (errorRate > threshold) {
+      return { status: 'warn', message: `Source error rate ${errorRate}% exceeds ${threshold}%`, ...details };
+    }
+    return { status: 'pass', ...details };
+  }
+  
+  checkStorage() {
+    const probe = path.join(this.dataPath, `.health-${process.pid}`);
+    
+    try {
+      fs.mkdirSync(this.dataPath, { recursive: true });
+      fs.writeFileSync(probe, String(Date.now()));
+      fs.rmSync(probe);
+      return { status: 'pass', path: this.dataPath };
+    } catch (error) {
+      return { status: 'fail', message: `Data directory is not writable: ${error.message}`, path: this.dataPath };
+    }
+  }
+  
+  async checkRpc() {
+    try {
+      const provider = this.publisher.signer.provider;
+      const [blockNumber, network] = await withTimeout(
+        Promise.all([provider.getBlockNumber(), provider.getNetwork()]),
+        this.timeout
+      );
+      return { status: 'pass', network: this.publisher.network, chainId: Number(network.chainId), blockNumber };
+    } catch (error) {
+      return { status: 'fail', message: `RPC unreachable: ${error.message}`, network: this.publisher.network };
+    }
+  }
+  
+  async checkWallet() {
+    try {
+      const address = await this.publisher.signer.getAddress();
+      const balance = await withTimeout(this.publisher.signer.provider.getBalance(address), this.timeout);
+      const minBalance = ethers.parseEther(this.config.blockchain.oracle.minBalance);
+      const details = { address, balance: ethers.formatEther(balance), minBalance: this.config.blockchain.oracle.minBalance };
+      
+      if (balance === 0n) {
+        return { status: 'fail', message: 'Oracle wallet is empty', ...details };
+      }
+      if (balance < minBalance) {
+        return { status: 'warn', message: 'Oracle wallet balance is below minBalance', ...details };
+      }
+      return { status: 'pass', ...details };
+    } catch (error) {
+      return { status: 'fail', message: `Could not read wallet balance: ${error.message}` };
+    }
+  }
+}
+
+module.exports = GPRETHealthChecker;
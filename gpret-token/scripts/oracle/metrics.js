@@ -0,0 +1,211 @@
+const client = require('prom-client');
+
+// Validation outcomes that count as a fresh price for the last-success gauge
+const FRESH_STATUSES = new Set(['accepted', 'clamped']);
+
+/**
+ * GPRET Oracle Metrics
+ * Prometheus metrics for the oracle server (config.monitoring.metrics)
+ *
+ * Uses its own registry so several servers (e.g. in tests) don't clash.
+ * Collection metrics are fed from the job manager's 'progress', 'completed'
+ * and 'failed' events; HTTP metrics from httpMiddleware().
+ */
+class GPRETOracleMetrics {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.collectDefault] - Include Node.js process metrics
+   * @param {string} [options.prefix] - Metric name prefix
+   */
+  constructor({ collectDefault = true, prefix = 'gpret_oracle_' } = {}) {
+    this.registry = new client.Registry();
+    
+    if (collectDefault) {
+      client.collectDefaultMetrics({ register: this.registry, prefix });
+    }
+    
+    const registers = [this.registry];
+    
+    this.httpRequests = new client.Counter({
+      name: `${prefix}http_requests_total`,
+      help: 'HTTP requests by route and status',
+      labelNames: ['method', 'route', 'status'],
+      registers
+    });
+    this.httpDuration = new client.Histogram({
+      name: `${prefix}http_request_duration_seconds`,
+      help: 'HTTP request latency by route',
+      labelNames: ['method', 'route', 'status'],
+      buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers
+    });
+    
+    this.collections = new client.Counter({
+      name: `${prefix}collections_total`,
+      help: 'Price collections by trigger and outcome',
+      labelNames: ['trigger', 'outcome'],
+      registers
+    });
+    this.collectionDuration = new client.Histogram({
+      name: `${prefix}collection_duration_seconds`,
+      help: 'Price collection duration',
+      labelNames: ['trigger'],
+      buckets: [1, 5, 10, 30, 60, 120, 300, 600],
+      registers
+    });
+    
+    this.sourceRequests = new client.Counter({
+      name: `${prefix}source_requests_total`,
+      help: 'Data source fetches by outcome',
+      labelNames: ['source', 'outcome'],
+      registers
+    });
+    this.sourceDuration = new client.Histogram({
+      name: `${prefix}source_request_duration_seconds`,
+      help: 'Data source fetch latency (including retries)',
+      labelNames: ['source'],
+      buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+      registers
+    });
+    
+    this.cityPrice = new client.Gauge({
+      name: `${prefix}city_price_usd`,
+      help: 'Last collected price per square meter (USD)',
+      labelNames: ['city_id', 'city'],
+      registers
+    });
+    this.cityConfidence = new client.Gauge({
+      name: `${prefix}city_confidence_percent`,
+      help: 'Confidence of the last collected city price',
+      labelNames: ['city_id', 'city'],
+      registers
+    });
+    this.globalIndex = new client.Gauge({
+      name: `${prefix}global_index`,
+      help: 'Last calculated global index',
+      registers
+    });
+    this.lastSuccess = new client.Gauge({
+      name: `${prefix}last_successful_update_timestamp_seconds`,
+      help: 'Unix time of the last collection that produced a fresh city price',
+      registers
+    });
+    
+    this.publishGas = new client.Counter({
+      name: `${prefix}onchain_gas_used_total`,
+      help: 'Gas used by on-chain price updates',
+      registers
+    });
+    this.publishTransactions = new client.Counter({
+      name: `${prefix}onchain_transactions_total`,
+      help: 'On-chain price update transactions by outcome',
+      labelNames: ['outcome'],
+      registers
+    });
+  }
+  
+  /**
+   * Express middleware recording request counts and latency per route
+   */
+  httpMiddleware() {
+    return (req, res, next) => {
+      const end = this.httpDuration.startTimer();
+      
+      res.on('finish', () => {
+        // Label by route pattern, not raw path, to keep cardinality bounded
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const labels = { method: req.method, route, status: String(res.statusCode) };
+        
+        this.httpRequests.inc(labels);
+        end(labels);
+      });
+      
+      next();
+    };
+  }
+  
+  /**
+   * Feed collection metrics from a CollectionJobManager
+   */
+  observeJobs(jobs) {
+    jobs.on('progress', event => {
+      if (event.type === 'source-fetched' || event.type === 'source-failed') {
+        const outcome = event.type === 'source-fetched' ? 'success' : 'failure';
+        
+        this.sourceRequests.inc({ source: event.source, outcome });
+        this.sourceDuration.observe({ source: event.source }, event.durationMs / 1000);
+      }
+    });
+    
+    jobs.on('completed', (job, results) => {
+      const outcome = results.errors.length > 0 ? 'completed-with-errors' : 'completed';
+      
+      this.collections.inc({ trigger: job.trigger, outcome });
+      this.collectionDuration.observe({ trigger: job.trigger }, (Date.now() - new Date(job.startedAt).getTime()) / 1000);
+      this.recordPrices(results);
+      this.recordPublication(results.onChain);
+    });
+    
+    jobs.on('failed', job => {
+      this.collections.inc({ trigger: job.trigger, outcome: 'failed' });
+    });
+  }
+  
+  /**
+   * Set price gauges from collection results (also used to seed from latest.json)
+   * Cities without a fresh price keep their gauges; the last-success time only
+   * advances when some city's price was accepted or clamped
+   */
+  recordPrices(results) {
+    let fresh = 0;
+    
+    for (const city of results.cities || []) {
+      if (city.carriedForward) continue;
+      
+      // Results written before validation existed count as accepted
+      const validation = city.validation || { status: 'accepted', collectedPrice: city.averagePrice };
+      
+      // A flagged city without quotes only repeats its previous price
+      if (validation.collectedPrice === null) continue;
+      
+      const labels = { city_id: String(city.id), city: city.name };
+      
+      this.cityPrice.set(labels, city.averagePrice);
+      this.cityConfidence.set(labels, city.confidence);
+      
+      if (FRESH_STATUSES.has(validation.status)) fresh++;
+    }
+    
+    this.globalIndex.set(results.globalIndex);
+    
+    if (fresh > 0) {
+      this.lastSuccess.set(Math.floor(new Date(results.timestamp).getTime() / 1000));
+    }
+  }
+  
+  /**
+   * Count gas and transactions of an on-chain publication (results.onChain)
+   */
+  recordPublication(onChain) {
+    if (!onChain || !onChain.transactions) return;
+    
+    for (const tx of onChain.transactions) {
+      this.publishGas.inc(Number(tx.gasUsed));
+    }
+    this.publishTransactions.inc({ outcome: 'success' }, onChain.transactions.length);
+    this.publishTransactions.inc({ outcome: 'failure' }, onChain.errors.length);
+  }
+  
+  get contentType() {
+    return this.registry.contentType;
+  }
+  
+  /**
+   * Metrics in Prometheus text format
+   */
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = GPRETOracleMetrics;
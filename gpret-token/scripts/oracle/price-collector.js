@@ -1,100 +1,185 @@
-const axios = require('axios');
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
+const defaultConfig = require('./config');
+const { createAdapter } = require('./adapters');
+const GPRETOnChainPublisher = require('./publisher');
+const PriceValidator = require('./price-validator');
+const { aggregate, weightedMean } = require('./aggregation');
+const GlobalIndexCalculator = require('./global-index');
+const GPRETSourceClient = require('./source-client');
+const { FetchScheduler } = require('./concurrency');
+const { createDataMode } = require('./data-modes');
+const { createHistoryStore, toSnapshot } = require('./storage');
+const { writeJsonAtomic } = require('./storage/atomic-file');
 require('dotenv').config();
 
 /**
  * GPRET Price Collector
  * Collects real estate price data from multiple free sources
  * 
+ * Prices come from the data sources (live), a recorded history (replay) or a
+ * seeded simulation (simulated) - see config.data and ./data-modes. Results
+ * and cities carry `dataMode` / `synthetic` so simulated data is never
+ * mistaken for real data.
+ * 
+ * Emits 'progress' events ({ type, timestamp, ... }) while collecting:
+ *   collection-started, source-fetched, source-failed, city-collected,
+ *   validation (a price was clamped, held or flagged), collection-completed,
+ *   collection-failed
+ * 
  * IMPORTANT: This uses only FREE APIs to maintain zero-cost operation
  */
-class GPRETOracleCollector {
-  constructor() {
-    this.cities = [
-      { id: 1, name: "New York", country: "US", coords: "40.7128,-74.0060" },
-      { id: 2, name: "London", country: "UK", coords: "51.5074,-0.1278" },
-      { id: 3, name: "Tokyo", country: "JP", coords: "35.6762,139.6503" },
-      { id: 4, name: "Hong Kong", country: "HK", coords: "22.3193,114.1694" },
-      { id: 5, name: "Singapore", country: "SG", coords: "1.3521,103.8198" },
-      { id: 6, name: "Paris", country: "FR", coords: "48.8566,2.3522" },
-      { id: 7, name: "Sydney", country: "AU", coords: "-33.8688,151.2093" },
-      { id: 8, name: "Toronto", country: "CA", coords: "43.6532,-79.3832" },
-      { id: 9, name: "Seoul", country: "KR", coords: "37.5665,126.9780" },
-      { id: 10, name: "Zurich", country: "CH", coords: "47.3769,8.5417" }
-    ];
-    
-    this.dataSources = [
-      {
-        name: "Mock Real Estate API",
-        endpoint: "https://api.mockapi.com/real-estate",
-        weight: 30,
-        active: true
-      },
-      {
-        name: "Free Property Index",
-        endpoint: "https://api.freepropertyindex.com/v1",
-        weight: 25,
-        active: true
-      },
-      {
-        name: "Open Real Estate Data",
-        endpoint: "https://api.openrealestate.org/prices",
-        weight: 25,
-        active: true
-      },
-      {
-        name: "Global Property Trends",
-        endpoint: "https://api.globalpropertytrends.com/free",
-        weight: 20,
-        active: true
-      }
-    ];
-    
-    this.baseIndex = 1000; // Starting index value
+class GPRETOracleCollector extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Oracle configuration (defaults to ./config)
+   * @param {GPRETOnChainPublisher|null} [options.publisher] - On-chain publisher
+   *   (created from config when the oracle key and token address are set; null disables)
+   */
+  constructor(options = {}) {
+    super();
+    this.config = options.config || defaultConfig;
+    
+    this.cities = this.config.getActiveCities();
+    this.dataSources = this.config.getActiveDataSources();
+    this.adapters = new Map(this.dataSources.map(source => [source.id, createAdapter(source)]));
+    
+    this.publisher = options.publisher !== undefined
+      ? options.publisher
+      : (GPRETOnChainPublisher.isConfigured(this.config) ? new GPRETOnChainPublisher({ config: this.config }) : null);
+    
+    this.validator = new PriceValidator(this.config.prices);
+    this.previousPrices = new Map(); // city id -> last accepted average price
+    
+    this.baseIndex = this.config.prices.baseIndex; // Starting index value
+    this.dataPath = path.resolve(__dirname, '..', '..', this.config.storage.dataDirectory);
+    this.globalIndex = new GlobalIndexCalculator({ baseIndex: this.baseIndex, dataPath: this.dataPath });
+    this.history = createHistoryStore(this.config.storage, this.dataPath);
+    this.sourceClient = new GPRETSourceClient({ config: this.config, dataPath: this.dataPath });
+    this.dataMode = createDataMode(this.config.data, { dataPath: this.dataPath, rootPath: path.resolve(__dirname, '..', '..') });
     this.lastUpdate = null;
-    this.priceHistory = [];
   }
   
   /**
    * Main collection function
+   * @param {Object} options
+   * @param {number[]} [options.cityIds] - Collect only these cities; the others
+   *   are carried forward from latest.json so the global index keeps its basket
    */
-  async collectAllPrices() {
+  async collectAllPrices(options = {}) {
     console.log("🏠 Starting GPRET Oracle Price Collection...");
     console.log("📅 Timestamp:", new Date().toISOString());
     
     const results = {
       timestamp: new Date().toISOString(),
+      dataMode: this.dataMode.name,
+      synthetic: this.dataMode.synthetic,
       cities: [],
       globalIndex: 0,
       sources: [],
-      errors: []
+      errors: [],
+      warnings: []
     };
     
     try {
-      // Collect prices for each city
-      for (const city of this.cities) {
+      // Another process may have collected since this one last ran; the
+      // collection lock is held here, so shared state read now stays current
+      this.history.load();
+      this.globalIndex.reload();
+      this.loadPreviousPrices();
+      this.dataMode.beginRun();
+      
+      if (this.dataMode.synthetic) {
+        console.log(`🧪 Data mode: ${this.dataMode.name} - prices are synthetic`);
+      }
+      
+      const requested = options.cityIds ? new Set(options.cityIds) : null;
+      const carried = requested ? this.loadLatestCities() : new Map();
+      
+      this.emitProgress('collection-started', {
+        cities: this.cities.filter(city => !requested || requested.has(city.id)).map(city => ({ id: city.id, name: city.name })),
+        sources: this.dataSources.map(source => source.name)
+      });
+      
+      // Collect all cities in parallel within the concurrency limits and run deadline
+      const scheduler = this.createScheduler();
+      const collected = await Promise.all(this.cities.map(city => {
+        if (requested && !requested.has(city.id)) return null;
+        
         console.log(`\n📍 Collecting data for ${city.name}...`);
         
-        const cityData = await this.collectCityPrice(city);
-        results.cities.push(cityData);
+        return this.collectCityPrice(city, scheduler).then(cityData => {
+          this.reportValidation(cityData);
+          this.emitProgress('city-collected', {
+            cityId: city.id,
+            city: city.name,
+            price: cityData.averagePrice,
+            confidence: cityData.confidence,
+            sources: cityData.sources,
+            status: cityData.validation.status
+          });
+          
+          console.log(`   ✅ ${city.name}: $${cityData.averagePrice.toLocaleString()} (±${cityData.confidence}%)`);
+          return cityData;
+        });
+      }));
+      
+      // Results keep the configured city order whatever order requests finished in
+      this.cities.forEach((city, i) => {
+        if (collected[i]) {
+          results.cities.push(collected[i]);
+          this.recordValidation(results, collected[i]);
+        } else if (carried.has(city.id)) {
+          results.cities.push({ ...carried.get(city.id), carriedForward: true });
+        }
+      });
+      
+      results.sources = this.summarizeSources(results.cities);
+      results.synthetic = results.cities.some(city => city.synthetic);
+      this.recordDeadline(results, scheduler);
+      
+      // Flagged cities keep their previous accepted price for the next comparison
+      for (const cityData of results.cities) {
+        if (cityData.carriedForward) continue;
         
-        console.log(`   ✅ ${city.name}: $${cityData.averagePrice.toLocaleString()} (±${cityData.confidence}%)`);
+        if (cityData.validation.status !== 'flagged') {
+          this.previousPrices.set(cityData.id, cityData.averagePrice);
+        }
       }
       
       // Calculate global index
-      results.globalIndex = this.calculateGlobalIndex(results.cities);
+      const index = this.calculateGlobalIndex(results.cities, results.timestamp);
+      results.globalIndex = index.value;
+      results.index = { base: index.base, chainLinked: index.chainLinked };
       console.log(`\n🌍 Global Index: ${results.globalIndex.toFixed(2)}`);
       
+      if (index.chainLinked) {
+        console.log(`   🔗 Chain-linked at ${index.chainLinked.value}: ${index.chainLinked.reason}`);
+      }
+      
+      // Publish to GPRET before saving so tx hashes are stored with the results
+      if (this.publisher) {
+        await this.publishResults(results);
+      }
+      
       // Save results
       await this.saveResults(results);
+      this.globalIndex.save();
       
       // Update price history
       this.updatePriceHistory(results);
       
+      this.emitProgress('collection-completed', {
+        globalIndex: results.globalIndex,
+        cities: results.cities.length,
+        errors: results.errors.length,
+        warnings: results.warnings.length
+      });
+      
       console.log("\n✅ Price collection completed successfully!");
       return results;
-      
+    
     } catch (error) {
       console.error("\n❌ Price collection failed:", error.message);
       results.errors.push({
@@ -102,14 +187,172 @@ class GPRETOracleCollector {
         timestamp: new Date().toISOString()
       });
       
+      // The run stopped part-way; the job manager reports it as failed
+      results.aborted = true;
+      
+      this.emitProgress('collection-failed', { error: error.message });
+      
       return results;
     }
   }
   
+  /**
+   * Publish results on-chain, recording the outcome in results.onChain
+   */
+  async publishResults(results) {
+    console.log("\n⛓️  Publishing prices on-chain...");
+    
+    try {
+      results.onChain = await this.publisher.publish(results);
+      
+      for (const failure of results.onChain.errors) {
+        results.errors.push({
+          error: `On-chain update failed for ${failure.name}: ${failure.error}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      console.log(`   ✅ ${results.onChain.transactions.length} cities updated on-chain`);
+    
+    } catch (error) {
+      console.error("   ❌ On-chain publish failed:", error.message);
+      results.onChain = { error: error.message };
+      results.errors.push({
+        error: `On-chain publish failed: ${error.message}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Load the last accepted city prices from latest.json
+   * Flagged cities carry the accepted price they were compared against
+   */
+  loadPreviousPrices() {
+    this.previousPrices.clear();
+    
+    const latestPath = path.join(this.dataPath, 'latest.json');
+    if (!fs.existsSync(latestPath)) return;
+    
+    try {
+      const latest = JSON.parse(fs.readFileSync(latestPath, 'utf8'));
+      for (const city of latest.cities || []) {
+        if (!city.validation || city.validation.status !== 'flagged') {
+          this.previousPrices.set(city.id, city.averagePrice);
+        } else if (city.previousPrice) {
+          this.previousPrices.set(city.id, city.previousPrice);
+        }
+      }
+    } catch (error) {
+      console.log(`   ⚠️  Could not read previous prices: ${error.message}`);
+    }
+  }
+  
+  /**
+   * City results from latest.json keyed by id
+   */
+  loadLatestCities() {
+    const latestPath = path.join(this.dataPath, 'latest.json');
+    if (!fs.existsSync(latestPath)) return new Map();
+    
+    try {
+      const latest = JSON.parse(fs.readFileSync(latestPath, 'utf8'));
+      return new Map((latest.cities || []).map(city => [city.id, city]));
+    } catch (error) {
+      console.log(`   ⚠️  Could not read latest results: ${error.message}`);
+      return new Map();
+    }
+  }
+  
+  /**
+   * Per-source outcome of this run: cities priced and cities failed
+   */
+  summarizeSources(cities) {
+    const collected = cities.filter(city => !city.carriedForward);
+    
+    return this.dataSources.map(source => ({
+      id: source.id,
+      name: source.name,
+      succeeded: collected.filter(city => (city.respondedSources || []).includes(source.name)).length,
+      failed: collected.filter(city => (city.sourceErrors || []).some(e => e.source === source.name)).length,
+      timedOut: collected.filter(city => (city.sourceErrors || []).some(e => e.source === source.name && e.timedOut)).length
+    }));
+  }
+  
+  /**
+   * Warn when the run deadline cut source requests short
+   */
+  recordDeadline(results, scheduler) {
+    const timedOut = results.sources.reduce((sum, source) => sum + source.timedOut, 0);
+    if (timedOut === 0) return;
+    
+    const warning = `Run deadline of ${scheduler.deadline}ms reached: ${timedOut} source requests timed out`;
+    
+    console.log(`   ⏱️  ${warning}`);
+    results.warnings.push({ warning, timestamp: new Date().toISOString() });
+  }
+  
+  /**
+   * Copy a city's validation outcome into results.warnings / results.errors
+   */
+  recordValidation(results, cityData) {
+    const timestamp = new Date().toISOString();
+    
+    for (const quote of cityData.rejectedPrices) {
+      results.warnings.push({
+        cityId: cityData.id,
+        city: cityData.name,
+        warning: `${quote.source} quote $${quote.price} rejected: ${quote.reason}`,
+        timestamp
+      });
+    }
+    
+    const { status, reasons } = cityData.validation;
+    
+    for (const reason of reasons) {
+      if (status === 'flagged') {
+        results.errors.push({ cityId: cityData.id, city: cityData.name, error: `Flagged: ${reason}`, timestamp });
+      } else {
+        const prefix = status === 'accepted' ? '' : `${status[0].toUpperCase()}${status.slice(1)}: `;
+        results.warnings.push({ cityId: cityData.id, city: cityData.name, warning: `${prefix}${reason}`, timestamp });
+      }
+    }
+  }
+  
+  /**
+   * Log and emit a city's validation outcome as soon as it is collected
+   */
+  reportValidation(cityData) {
+    const { status, reasons } = cityData.validation;
+    
+    if (status !== 'accepted') {
+      console.log(`   ⚠️  ${cityData.name} ${status}: ${reasons[0]}`);
+      this.emitProgress('validation', { cityId: cityData.id, city: cityData.name, status, reasons });
+    }
+  }
+  
+  /**
+   * Emit a 'progress' event for live collection feeds
+   */
+  emitProgress(type, data) {
+    this.emit('progress', { type, timestamp: new Date().toISOString(), ...data });
+  }
+  
+  /**
+   * Scheduler for one collection run (config.updates.concurrency / runDeadline)
+   */
+  createScheduler() {
+    const { concurrency, runDeadline } = this.config.updates;
+    
+    return new FetchScheduler({ global: concurrency.global, perSource: concurrency.perSource, deadline: runDeadline });
+  }
+  
   /**
    * Collect price data for a specific city
+   * @param {Object} city - City config
+   * @param {FetchScheduler} [scheduler] - Shared by the cities of one run
    */
-  async collectCityPrice(city) {
+  async collectCityPrice(city, scheduler = this.createScheduler()) {
     const cityResult = {
       id: city.id,
       name: city.name,
@@ -118,136 +361,186 @@ class GPRETOracleCollector {
       averagePrice: 0,
       confidence: 0,
       sources: 0,
+      respondedSources: [],
+      sourceErrors: [],
       lastUpdate: new Date().toISOString()
     };
     
-    // Try each data source
-    for (const source of this.dataSources) {
-      if (!source.active) continue;
+    const quotes = this.dataMode.synthetic
+      ? this.dataMode.quotesFor(city)
+      : await this.fetchLiveQuotes(city, scheduler, cityResult);
+    
+    if (this.dataMode.synthetic) {
+      cityResult.respondedSources = quotes.map(quote => quote.source);
+    }
+    
+    // Drop quotes outside the configured price range
+    const { accepted, rejected } = this.validator.filterQuotes(quotes);
+    for (const quote of rejected) {
+      console.log(`   🚫 ${quote.source} rejected: $${quote.price.toLocaleString()} (${quote.reason})`);
+    }
+    
+    cityResult.prices = accepted;
+    cityResult.rejectedPrices = rejected;
+    cityResult.sources = accepted.length;
+    cityResult.dataOrigin = accepted.length > 0 ? this.dataMode.name : 'none';
+    cityResult.synthetic = this.dataMode.synthetic;
+    
+    const previousPrice = this.previousPrices.get(city.id);
+    
+    // No usable quote: keep the previous price, flagged so it is neither
+    // accepted as a new reference nor published
+    if (accepted.length === 0) {
+      console.log(`   ❌ ${city.name}: no usable quotes`);
+      cityResult.previousPrice = previousPrice || null;
+      cityResult.averagePrice = previousPrice || 0;
+      cityResult.changePercent = previousPrice ? 0 : null;
+      cityResult.aggregation = { strategy: this.config.prices.aggregation.strategy, discarded: [] };
+      cityResult.validation = {
+        status: 'flagged',
+        collectedPrice: null,
+        reasons: [previousPrice ? 'No usable quotes from any source; previous price kept' : 'No usable quotes from any source']
+      };
+      return cityResult;
+    }
+    
+    // Aggregate with the configured strategy, keeping what was discarded and why
+    const aggregation = aggregate(cityResult.prices, this.config.prices.aggregation);
+    const averagePrice = aggregation.price;
+    
+    cityResult.prices = aggregation.used;
+    cityResult.sources = aggregation.used.length;
+    cityResult.aggregation = {
+      strategy: aggregation.strategy,
+      discarded: aggregation.discarded
+    };
+    cityResult.confidence = this.calculateConfidence(cityResult.prices);
+    
+    for (const quote of aggregation.discarded) {
+      console.log(`   🚫 ${quote.source} discarded: $${quote.price.toLocaleString()} (${quote.reason})`);
+    }
+    
+    // Limit the move against the previous accepted price
+    const limited = this.validator.applyChangeLimit(averagePrice, previousPrice);
+    cityResult.previousPrice = previousPrice || null;
+    cityResult.averagePrice = limited.price;
+    cityResult.changePercent = limited.changePercent;
+    cityResult.validation = {
+      status: limited.status,
+      collectedPrice: averagePrice,
+      reasons: []
+    };
+    
+    if (limited.reason) {
+      cityResult.validation.reasons.push(limited.reason);
+    }
+    
+    if (this.validator.exceedsVolatility(cityResult.prices)) {
+      cityResult.validation.reasons.push(
+        `Source dispersion ${this.validator.calculateDispersion(cityResult.prices)}% exceeds maxVolatility ${this.config.prices.validation.maxVolatility}%`
+      );
+    }
+    
+    return cityResult;
+  }
+  
+  /**
+   * Query every data source for a city; outcomes are kept in source order
+   * and failures recorded in cityResult.sourceErrors
+   */
+  async fetchLiveQuotes(city, scheduler, cityResult) {
+    const outcomes = await Promise.all(this.dataSources.map(async (source) => {
+      const startedAt = Date.now();
       
       try {
-        const priceData = await this.fetchFromSource(source, city);
+        const priceData = await scheduler.run(source, request => this.fetchWithRetries(source, city, request));
         
         if (priceData && priceData.price > 0) {
-          cityResult.prices.push({
+          this.emitProgress('source-fetched', {
+            cityId: city.id,
+            city: city.name,
             source: source.name,
             price: priceData.price,
-            weight: source.weight,
-            confidence: priceData.confidence || 85
+            confidence: priceData.confidence || 85,
+            durationMs: Date.now() - startedAt
           });
-          
-          cityResult.sources++;
         }
-        
+        return { source, priceData };
+      
       } catch (error) {
-        console.log(`   ⚠️  ${source.name} failed: ${error.message}`);
+        console.log(`   ⚠️  ${city.name} - ${source.name} failed: ${error.message}`);
+        this.emitProgress('source-failed', {
+          cityId: city.id,
+          city: city.name,
+          source: source.name,
+          error: error.message,
+          durationMs: Date.now() - startedAt
+        });
+        return { source, error };
       }
-    }
+    }));
     
-    // If no real data available, generate realistic mock data
-    if (cityResult.prices.length === 0) {
-      cityResult.prices = this.generateMockPrices(city);
-      cityResult.sources = cityResult.prices.length;
-    }
+    const quotes = [];
     
-    // Calculate weighted average
-    cityResult.averagePrice = this.calculateWeightedAverage(cityResult.prices);
-    cityResult.confidence = this.calculateConfidence(cityResult.prices);
+    for (const { source, priceData, error } of outcomes) {
+      if (error) {
+        const sourceError = { source: source.name, error: error.message };
+        if (error.code === 'RUN_DEADLINE_EXCEEDED') sourceError.timedOut = true;
+        
+        cityResult.sourceErrors.push(sourceError);
+      } else if (priceData && priceData.price > 0) {
+        cityResult.respondedSources.push(source.name);
+        quotes.push({
+          source: source.name,
+          price: priceData.price,
+          weight: source.weight,
+          confidence: priceData.confidence || 85
+        });
+      }
+    }
     
-    return cityResult;
+    return quotes;
   }
   
   /**
-   * Fetch data from a specific source
+   * Fetch from a source within its rate limit budget, timeout, retries and
+   * circuit breaker (see ./source-client)
+   */
+  async fetchWithRetries(source, city, request) {
+    return this.sourceClient.request(source, () => this.fetchFromSource(source, city), request);
+  }
+  
+  /**
+   * Fetch data from a specific source through its adapter
    */
   async fetchFromSource(source, city) {
-    // Since we're using mock APIs for demo, generate realistic data
-    // In production, these would be real API calls
+    const adapter = this.adapters.get(source.id);
     
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, Math.random() * 1000 + 500));
-      
-      // Generate realistic price based on city
-      const basePrice = this.getCityBasePrice(city);
-      const variation = (Math.random() - 0.5) * 0.1; // ±5% variation
-      const price = Math.round(basePrice * (1 + variation));
+      const quote = await adapter.fetchPrice(city);
       
       return {
-        price: price,
-        confidence: Math.floor(Math.random() * 20) + 80, // 80-100% confidence
-        timestamp: new Date().toISOString(),
+        ...quote,
         source: source.name
       };
-      
+    
     } catch (error) {
       throw new Error(`API call failed: ${error.message}`);
     }
   }
   
-  /**
-   * Generate mock prices for demo purposes
-   */
-  generateMockPrices(city) {
-    const basePrice = this.getCityBasePrice(city);
-    
-    return [
-      {
-        source: "Historical Data",
-        price: Math.round(basePrice * (0.95 + Math.random() * 0.1)),
-        weight: 40,
-        confidence: 90
-      },
-      {
-        source: "Market Trends",
-        price: Math.round(basePrice * (0.95 + Math.random() * 0.1)),
-        weight: 35,
-        confidence: 85
-      },
-      {
-        source: "Local Indices",
-        price: Math.round(basePrice * (0.95 + Math.random() * 0.1)),
-        weight: 25,
-        confidence: 80
-      }
-    ];
-  }
-  
   /**
    * Get base price for a city (per square meter in USD)
    */
   getCityBasePrice(city) {
-    const basePrices = {
-      "New York": 15000,
-      "London": 12000,
-      "Tokyo": 8000,
-      "Hong Kong": 18000,
-      "Singapore": 14000,
-      "Paris": 11000,
-      "Sydney": 9000,
-      "Toronto": 7000,
-      "Seoul": 6000,
-      "Zurich": 13000
-    };
-    
-    return basePrices[city.name] || 8000;
+    return city.basePriceUSD;
   }
   
   /**
    * Calculate weighted average price
    */
   calculateWeightedAverage(prices) {
-    if (prices.length === 0) return 0;
-    
-    let totalWeight = 0;
-    let weightedSum = 0;
-    
-    for (const priceData of prices) {
-      weightedSum += priceData.price * priceData.weight;
-      totalWeight += priceData.weight;
-    }
-    
-    return totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 0;
+    return weightedMean(prices);
   }
   
   /**
@@ -263,19 +556,16 @@ class GPRETOracleCollector {
   }
   
   /**
-   * Calculate global price index
+   * Calculate global price index using the configured city weights
+   * Returns { value, base, chainLinked } - see ./global-index
    */
-  calculateGlobalIndex(cities) {
-    if (cities.length === 0) return this.baseIndex;
-    
-    // Equal weight for all cities
-    const avgPrice = cities.reduce((sum, city) => sum + city.averagePrice, 0) / cities.length;
-    
-    // Convert to index (base 1000)
-    const globalAvg = 10000; // Global average price per sqm
-    const index = (avgPrice / globalAvg) * this.baseIndex;
+  calculateGlobalIndex(cities, timestamp = new Date().toISOString()) {
+    const weighted = cities.map(city => {
+      const configCity = this.config.getCityById(city.id);
+      return { ...city, weight: configCity ? configCity.weight : 0 };
+    });
     
-    return Math.round(index * 100) / 100; // Round to 2 decimals
+    return this.globalIndex.calculate(weighted, timestamp);
   }
   
   /**
@@ -284,51 +574,31 @@ class GPRETOracleCollector {
   async saveResults(results) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const filename = `price-data-${timestamp}.json`;
-    const filepath = path.join(__dirname, '..', '..', 'oracle-data', filename);
-    
-    // Create directory if it doesn't exist
-    const dir = path.dirname(filepath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+    const dir = this.dataPath;
     
     // Save detailed results
-    fs.writeFileSync(filepath, JSON.stringify(results, null, 2));
+    writeJsonAtomic(path.join(dir, filename), results);
     
     // Also save as latest.json for easy access
-    const latestPath = path.join(dir, 'latest.json');
-    fs.writeFileSync(latestPath, JSON.stringify(results, null, 2));
+    writeJsonAtomic(path.join(dir, 'latest.json'), results);
     
     console.log(`\n💾 Results saved to: ${filename}`);
   }
   
   /**
-   * Update price history
+   * Append the snapshot to the persistent price history
    */
   updatePriceHistory(results) {
-    this.priceHistory.push({
-      timestamp: results.timestamp,
-      globalIndex: results.globalIndex,
-      citiesCount: results.cities.length
-    });
-    
-    // Keep only last 100 entries
-    if (this.priceHistory.length > 100) {
-      this.priceHistory = this.priceHistory.slice(-100);
-    }
-    
-    // Save history
-    const historyPath = path.join(__dirname, '..', '..', 'oracle-data', 'price-history.json');
-    fs.writeFileSync(historyPath, JSON.stringify(this.priceHistory, null, 2));
+    this.history.append(toSnapshot(results));
   }
   
   /**
    * Get price statistics
    */
   getPriceStats() {
-    if (this.priceHistory.length === 0) return null;
+    if (this.history.size === 0) return null;
     
-    const recent = this.priceHistory.slice(-30); // Last 30 updates
+    const recent = this.history.getRecent(30); // Last 30 updates
     const indices = recent.map(h => h.globalIndex);
     
     return {
@@ -391,7 +661,7 @@ async function main() {
     
     console.log("\n✅ Oracle data collection completed!");
     console.log("💡 Data saved to oracle-data/ directory");
-    
+  
   } catch (error) {
     console.error("\n❌ Collection failed:", error);
     process.exit(1);
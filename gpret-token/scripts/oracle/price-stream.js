@@ -0,0 +1,242 @@
+const { WebSocketServer, WebSocket } = require('ws');
+
+const CHANNELS = ['prices', 'global-index'];
+
+/**
+ * GPRET Price Stream
+ * WebSocket endpoint pushing collection results to subscribers
+ *
+ * Client messages:
+ *   { type: 'subscribe', channels: ['prices', 'global-index'], cities: [1, 2] }
+ *   { type: 'unsubscribe', channels: [...] }   (no channels: everything)
+ *   { type: 'ping' }
+ *
+ * Server messages:
+ *   subscribed, unsubscribed, pong, error
+ *   price-update  - one per city on the 'prices' channel (cities optional filter)
+ *   index-update  - global index on the 'global-index' channel
+ *   heartbeat     - every heartbeatInterval; dead connections are dropped
+ *
+ * On subscribe the latest snapshot is replayed (replay: true) so clients
+ * start from current data without polling /api/prices/latest.
+ */
+class GPRETPriceStream {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getLatest - Returns the latest collection results (or null)
+   * @param {string} [options.path] - URL path of the endpoint
+   * @param {number} [options.heartbeatInterval] - Milliseconds between heartbeats
+   */
+  constructor({ getLatest, path = '/ws', heartbeatInterval = 30000 }) {
+    this.getLatest = getLatest;
+    this.path = path;
+    this.heartbeatInterval = heartbeatInterval;
+    this.wss = null;
+    this.heartbeat = null;
+    this.previous = null;
+  }
+  
+  /**
+   * Serve the stream on an existing HTTP server
+   */
+  attach(httpServer) {
+    this.previous = this.getLatest();
+    this.wss = new WebSocketServer({ server: httpServer, path: this.path });
+    
+    this.wss.on('connection', socket => {
+      socket.subscription = { channels: new Set(), cities: null };
+      socket.isAlive = true;
+      
+      socket.on('pong', () => { socket.isAlive = true; });
+      socket.on('message', data => {
+        // A bad frame must never throw out of the listener and crash the process
+        try {
+          this.handleMessage(socket, data);
+        } catch (error) {
+          this.send(socket, { type: 'error', error: `Could not handle message: ${error.message}` });
+        }
+      });
+    });
+    
+    this.heartbeat = setInterval(() => this.sendHeartbeats(), this.heartbeatInterval);
+    
+    return this;
+  }
+  
+  /**
+   * Stop heartbeats and close every connection
+   */
+  close() {
+    clearInterval(this.heartbeat);
+    
+    if (!this.wss) return Promise.resolve();
+    
+    for (const socket of this.wss.clients) {
+      socket.terminate();
+    }
+    return new Promise(resolve => this.wss.close(() => resolve()));
+  }
+  
+  get clientCount() {
+    return this.wss ? this.wss.clients.size : 0;
+  }
+  
+  handleMessage(socket, data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return this.send(socket, { type: 'error', error: 'Messages must be JSON' });
+    }
+    
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return this.send(socket, { type: 'error', error: 'Messages must be JSON objects' });
+    }
+    
+    switch (message.type) {
+      case 'subscribe':
+        return this.subscribe(socket, message);
+      case 'unsubscribe':
+        return this.unsubscribe(socket, message);
+      case 'ping':
+        return this.send(socket, { type: 'pong', timestamp: new Date().toISOString() });
+      default:
+        return this.send(socket, { type: 'error', error: `Unknown message type "${message.type}"` });
+    }
+  }
+  
+  subscribe(socket, message) {
+    const channels = message.channels || CHANNELS;
+    
+    if (!Array.isArray(channels)) {
+      return this.send(socket, { type: 'error', error: 'channels must be an array' });
+    }
+    
+    const unknown = channels.filter(channel => !CHANNELS.includes(channel));
+    if (unknown.length > 0) {
+      return this.send(socket, { type: 'error', error: `Unknown channels: ${unknown.join(', ')} (available: ${CHANNELS.join(', ')})` });
+    }
+    if (message.cities !== undefined && !(Array.isArray(message.cities) && message.cities.every(Number.isInteger))) {
+      return this.send(socket, { type: 'error', error: 'cities must be an array of city ids' });
+    }
+    
+    channels.forEach(channel => socket.subscription.channels.add(channel));
+    if (message.cities !== undefined) {
+      socket.subscription.cities = new Set(message.cities);
+    }
+    
+    this.send(socket, {
+      type: 'subscribed',
+      channels: [...socket.subscription.channels],
+      cities: socket.subscription.cities ? [...socket.subscription.cities] : 'all'
+    });
+    
+    // Replay the latest snapshot for the new subscription
+    const latest = this.getLatest();
+    if (latest) {
+      for (const update of this.buildUpdates(latest, null, true)) {
+        if (channels.includes(update.channel) && this.wants(socket, update)) {
+          this.send(socket, update.message);
+        }
+      }
+    }
+  }
+  
+  unsubscribe(socket, message) {
+    const channels = Array.isArray(message.channels) ? message.channels : CHANNELS;
+    channels.forEach(channel => socket.subscription.channels.delete(channel));
+    
+    if (socket.subscription.channels.size === 0) {
+      socket.subscription.cities = null;
+    }
+    
+    this.send(socket, { type: 'unsubscribed', channels: [...socket.subscription.channels] });
+  }
+  
+  /**
+   * Push a completed collection to subscribers
+   */
+  publish(results) {
+    const updates = this.buildUpdates(results, this.previous, false);
+    this.previous = results;
+    
+    if (!this.wss) return;
+    
+    for (const socket of this.wss.clients) {
+      for (const update of updates) {
+        if (socket.subscription.channels.has(update.channel) && this.wants(socket, update)) {
+          this.send(socket, update.message);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Messages for a set of results; previous results supply the old values
+   */
+  buildUpdates(results, previous, replay) {
+    const previousCities = new Map(((previous && previous.cities) || []).map(city => [city.id, city]));
+    const updates = [];
+    
+    for (const city of results.cities) {
+      if (city.carriedForward && !replay) continue;
+      
+      const before = previousCities.get(city.id);
+      updates.push({
+        channel: 'prices',
+        cityId: city.id,
+        message: {
+          type: 'price-update',
+          city: { id: city.id, name: city.name, country: city.country },
+          newPrice: city.averagePrice,
+          previousPrice: before ? before.averagePrice : null,
+          changePercent: city.changePercent !== undefined ? city.changePercent : null,
+          confidence: city.confidence,
+          status: city.validation ? city.validation.status : 'accepted',
+          timestamp: results.timestamp,
+          replay
+        }
+      });
+    }
+    
+    updates.push({
+      channel: 'global-index',
+      message: {
+        type: 'index-update',
+        newIndex: results.globalIndex,
+        previousIndex: previous ? previous.globalIndex : null,
+        citiesCount: results.cities.length,
+        timestamp: results.timestamp,
+        replay
+      }
+    });
+    
+    return updates;
+  }
+  
+  wants(socket, update) {
+    const { cities } = socket.subscription;
+    return update.cityId === undefined || !cities || cities.has(update.cityId);
+  }
+  
+  sendHeartbeats() {
+    for (const socket of this.wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      
+      socket.isAlive = false;
+      socket.ping();
+      this.send(socket, { type: 'heartbeat', timestamp: new Date().toISOString() });
+    }
+  }
+  
+  send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+}
+
+module.exports = GPRETPriceStream;
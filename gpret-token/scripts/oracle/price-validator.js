@@ -0,0 +1,94 @@
+/**
+ * GPRET Price Validator
+ * Applies config.prices.validation and config.prices.maxChangePercent
+ *
+ * - Source quotes outside [minPrice, maxPrice] are rejected
+ * - Quote dispersion above maxVolatility is reported
+ * - A city average moving more than maxChangePercent from the previous
+ *   accepted value is clamped, held or flagged (validation.onExceed)
+ */
+class PriceValidator {
+  constructor(priceConfig) {
+    this.validation = priceConfig.validation;
+    this.maxChangePercent = priceConfig.maxChangePercent;
+    this.onExceed = priceConfig.validation.onExceed || 'clamp';
+  }
+  
+  get enabled() {
+    return this.validation.enabled;
+  }
+  
+  /**
+   * Split quotes into accepted and rejected by the configured price range
+   */
+  filterQuotes(quotes) {
+    const accepted = [];
+    const rejected = [];
+    
+    for (const quote of quotes) {
+      if (!this.enabled) {
+        accepted.push(quote);
+      } else if (quote.price < this.validation.minPrice) {
+        rejected.push({ ...quote, reason: `Below minPrice $${this.validation.minPrice}` });
+      } else if (quote.price > this.validation.maxPrice) {
+        rejected.push({ ...quote, reason: `Above maxPrice $${this.validation.maxPrice}` });
+      } else {
+        accepted.push(quote);
+      }
+    }
+    
+    return { accepted, rejected };
+  }
+  
+  /**
+   * Coefficient of variation of the quotes, in percent
+   */
+  calculateDispersion(quotes) {
+    if (quotes.length < 2) return 0;
+    
+    const mean = quotes.reduce((sum, q) => sum + q.price, 0) / quotes.length;
+    const variance = quotes.reduce((sum, q) => sum + Math.pow(q.price - mean, 2), 0) / quotes.length;
+    
+    return Math.round((Math.sqrt(variance) / mean) * 100 * 100) / 100;
+  }
+  
+  /**
+   * Whether the quotes disagree more than maxVolatility allows
+   */
+  exceedsVolatility(quotes) {
+    return this.enabled && this.calculateDispersion(quotes) > this.validation.maxVolatility;
+  }
+  
+  /**
+   * Limit the change against the previous accepted price
+   * Returns { price, status, changePercent, reason }
+   *   status: "accepted", "clamped", "held" or "flagged"
+   */
+  applyChangeLimit(price, previousPrice) {
+    if (!previousPrice) {
+      return { price, status: 'accepted', changePercent: null };
+    }
+    
+    const changePercent = Math.round(((price - previousPrice) / previousPrice) * 100 * 100) / 100;
+    
+    if (!this.enabled || Math.abs(changePercent) <= this.maxChangePercent) {
+      return { price, status: 'accepted', changePercent };
+    }
+    
+    const reason = `Change of ${changePercent}% exceeds maxChangePercent ${this.maxChangePercent}%`;
+    
+    if (this.onExceed === 'hold') {
+      return { price: previousPrice, status: 'held', changePercent: 0, reason };
+    }
+    
+    if (this.onExceed === 'flag') {
+      return { price, status: 'flagged', changePercent, reason };
+    }
+    
+    const direction = Math.sign(changePercent);
+    const clamped = Math.round(previousPrice * (1 + direction * this.maxChangePercent / 100));
+    return { price: clamped, status: 'clamped', changePercent: direction * this.maxChangePercent, reason };
+  }
+}
+
+module.exports = PriceValidator;
@@ -0,0 +1,74 @@
+/**
+ * GPRET Collection Progress Feed
+ * Server-Sent Events stream of collection lifecycle events
+ *
+ * Each collector progress event is sent as `event: <type>` with the event as
+ * JSON data (including jobId). New clients first receive a `state` event
+ * with the job manager state so they know whether a run is in progress.
+ * A comment line is sent every keepAliveInterval to keep proxies from
+ * closing idle connections.
+ */
+class GPRETProgressFeed {
+  /**
+   * @param {Object} options
+   * @param {CollectionJobManager} options.jobs - Source of progress events
+   * @param {number} [options.keepAliveInterval] - Milliseconds between keep-alive comments
+   */
+  constructor({ jobs, keepAliveInterval = 15000 }) {
+    this.jobs = jobs;
+    this.clients = new Set();
+    this.nextEventId = 1;
+    
+    this.jobs.on('progress', event => this.broadcast(event.type, event));
+    this.jobs.on('failed', (job, error) => this.broadcast('job-failed', { jobId: job.id, error: error.message }));
+    
+    this.keepAlive = setInterval(() => {
+      for (const res of this.clients) res.write(': keep-alive\n\n');
+    }, keepAliveInterval);
+    this.keepAlive.unref();
+  }
+  
+  /**
+   * Express handler for the SSE endpoint
+   */
+  handle(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    
+    this.clients.add(res);
+    this.send(res, 'state', this.jobs.getState());
+    
+    req.on('close', () => this.clients.delete(res));
+  }
+  
+  broadcast(type, data) {
+    for (const res of this.clients) {
+      this.send(res, type, data);
+    }
+  }
+  
+  send(res, type, data) {
+    res.write(`id: ${this.nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+  
+  get clientCount() {
+    return this.clients.size;
+  }
+  
+  /**
+   * End every open stream and stop keep-alives
+   */
+  close() {
+    clearInterval(this.keepAlive);
+    
+    for (const res of this.clients) res.end();
+    this.clients.clear();
+  }
+}
+
+module.exports = GPRETProgressFeed;
@@ -0,0 +1,188 @@
+const { ethers } = require('ethers');
+const defaultConfig = require('./config');
+const GPRETCityRegistry = require('./city-registry');
+
+// GPRET stores every city at 1,000,000 when its price equals the base price
+const PRICE_INDEX_BASE = 1000000;
+
+// Fragments used when config.blockchain.contracts.gpret.abi is left empty
+const GPRET_ORACLE_ABI = [
+  'function oracleAddress() view returns (address)',
+  'function getAllCities() view returns (string[] names, uint256[] priceIndices, uint256[] weights, bool[] activeStates)',
+  'function updateCityPrice(uint256 _cityId, uint256 _newPriceIndex)'
+];
+
+/**
+ * GPRET On-Chain Publisher
+ * Writes collected city prices to the GPRET contract via updateCityPrice
+ */
+class GPRETOnChainPublisher {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Oracle configuration (defaults to ./config)
+   * @param {ethers.Signer} [options.signer] - Oracle signer (defaults to a wallet from config)
+   * @param {string} [options.contractAddress] - GPRET address (defaults to config)
+   */
+  constructor(options = {}) {
+    this.config = options.config || defaultConfig;
+    
+    const blockchain = this.config.blockchain;
+    this.oracleConfig = blockchain.oracle;
+    this.network = blockchain.network;
+    this.signer = options.signer || this.createWallet();
+    this.contractAddress = options.contractAddress || blockchain.contracts.gpret.address;
+    
+    const abi = blockchain.contracts.gpret.abi.length > 0 ? blockchain.contracts.gpret.abi : GPRET_ORACLE_ABI;
+    this.contract = new ethers.Contract(this.contractAddress, abi, this.signer);
+    this.registry = new GPRETCityRegistry({ config: this.config, contract: this.contract });
+  }
+  
+  /**
+   * Whether the config has what the publisher needs (oracle key and token address)
+   */
+  static isConfigured(config = defaultConfig) {
+    return Boolean(config.blockchain.oracle.privateKey && config.blockchain.contracts.gpret.address);
+  }
+  
+  /**
+   * Create the oracle wallet for the configured network
+   */
+  createWallet() {
+    const network = this.config.blockchain.networks[this.network];
+    if (!network || !network.url) {
+      throw new Error(`No RPC URL configured for network "${this.network}"`);
+    }
+    
+    const provider = new ethers.JsonRpcProvider(network.url, network.chainId);
+    return new ethers.Wallet(this.oracleConfig.privateKey, provider);
+  }
+  
+  /**
+   * Convert a city's average price into the contract's 1,000,000-based index
+   * relative to the city's configured basePriceUSD
+   */
+  toPriceIndex(city) {
+    const configCity = this.config.getCityById(city.id);
+    if (!configCity || !configCity.basePriceUSD) return 0;
+    
+    return Math.round((city.averagePrice / configCity.basePriceUSD) * PRICE_INDEX_BASE);
+  }
+  
+  /**
+   * Build fee overrides, refusing to send above config.blockchain.oracle.maxGasPrice
+   */
+  async getFeeOverrides() {
+    const maxGasPrice = BigInt(this.oracleConfig.maxGasPrice);
+    const feeData = await this.signer.provider.getFeeData();
+    const currentPrice = feeData.maxFeePerGas !== null ? feeData.maxFeePerGas : feeData.gasPrice;
+    
+    if (currentPrice > maxGasPrice) {
+      throw new Error(`Gas price ${currentPrice} exceeds maxGasPrice ${maxGasPrice}`);
+    }
+    
+    const overrides = { gasLimit: this.oracleConfig.gasLimit };
+    
+    if (feeData.maxFeePerGas !== null) {
+      overrides.maxFeePerGas = feeData.maxFeePerGas;
+      overrides.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+    } else {
+      overrides.gasPrice = feeData.gasPrice;
+    }
+    
+    return overrides;
+  }
+  
+  /**
+   * Publish the cities of a collection result
+   * Only cities whose index differs from the on-chain value are sent;
+   * synthetic (replayed or simulated) prices only with data.allowSyntheticOnChain
+   */
+  async publish(results) {
+    const oracleAddress = await this.signer.getAddress();
+    const publication = {
+      network: this.network,
+      contract: this.contractAddress,
+      oracle: oracleAddress,
+      timestamp: new Date().toISOString(),
+      transactions: [],
+      skipped: [],
+      errors: []
+    };
+    
+    const onChainOracle = await this.contract.oracleAddress();
+    if (onChainOracle.toLowerCase() !== oracleAddress.toLowerCase()) {
+      throw new Error(`Signer ${oracleAddress} is not the contract oracle (${onChainOracle})`);
+    }
+    
+    // Map config ids to on-chain ids; throws on drift unless cityRegistry.onDrift is "warn"
+    const registry = await this.registry.resolve();
+    if (!registry.inSync) {
+      publication.drift = GPRETCityRegistry.describeDrift(registry);
+    }
+    
+    const mapping = new Map(registry.mapped.map(entry => [entry.configId, entry]));
+    const overrides = await this.getFeeOverrides();
+    
+    for (const city of results.cities) {
+      const onChain = mapping.get(city.id);
+      
+      if (!onChain) {
+        publication.skipped.push({ cityId: city.id, name: city.name, reason: 'Not tracked on-chain' });
+        continue;
+      }
+      if (!onChain.onChainActive) {
+        publication.skipped.push({ cityId: city.id, name: city.name, reason: 'Inactive on-chain' });
+        continue;
+      }
+      
+      if (city.carriedForward) {
+        publication.skipped.push({ cityId: city.id, name: city.name, reason: 'Not collected in this run' });
+        continue;
+      }
+      if (city.synthetic && !this.config.data.allowSyntheticOnChain) {
+        publication.skipped.push({ cityId: city.id, name: city.name, reason: `Synthetic price (${city.dataOrigin} data)` });
+        continue;
+      }
+      if (city.validation && city.validation.status === 'flagged') {
+        publication.skipped.push({ cityId: city.id, name: city.name, reason: 'Flagged by validation' });
+        continue;
+      }
+      
+      const priceIndex = this.toPriceIndex(city);
+      if (!(priceIndex > 0)) {
+        publication.skipped.push({ cityId: city.id, name: city.name, reason: 'No valid price' });
+        continue;
+      }
+      if (BigInt(priceIndex) === onChain.priceIndex) {
+        publication.skipped.push({ cityId: city.id, name: city.name, reason: 'Unchanged' });
+        continue;
+      }
+      
+      try {
+        const tx = await this.contract.updateCityPrice(onChain.onChainId, priceIndex, overrides);
+        const receipt = await tx.wait(this.oracleConfig.confirmations);
+        
+        publication.transactions.push({
+          cityId: city.id,
+          onChainId: onChain.onChainId,
+          name: city.name,
+          priceIndex,
+          txHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString()
+        });
+        
+        console.log(`   ⛓️  ${city.name}: index ${priceIndex} (tx ${tx.hash})`);
+      
+      } catch (error) {
+        publication.errors.push({ cityId: city.id, name: city.name, error: error.message });
+        console.log(`   ⚠️  ${city.name} publish failed: ${error.message}`);
+      }
+    }
+    
+    return publication;
+  }
+}
+
+module.exports = GPRETOnChainPublisher;
+module.exports.PRICE_INDEX_BASE = PRICE_INDEX_BASE;
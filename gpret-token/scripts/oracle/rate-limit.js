@@ -0,0 +1,74 @@
+const { rateLimit } = require('express-rate-limit');
+const { findApiKey } = require('./auth');
+
+// Probes poll frequently and must not be throttled
+const HEALTH_PATHS = ['/health', '/health/live', '/health/ready'];
+
+/**
+ * GPRET Oracle Rate Limiting
+ * Per-IP limits from config.security.apiRateLimit (all routes) and
+ * config.security.updateRateLimit (POST /api/update/prices).
+ *
+ * Responses carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+ * headers, and Retry-After when the limit is exceeded. Requests with an
+ * X-API-Key whose name is in apiRateLimit.allowlist are not limited, nor are
+ * health checks and the `metricsEndpoint` Prometheus scrapes.
+ *
+ * Counters live in express-rate-limit's in-memory store by default; pass
+ * `createStore` to share them (e.g. a Redis store across instances). It is
+ * called once per limiter, as stores cannot be shared between limiters.
+ */
+function createRateLimiters(securityConfig, { createStore, metricsEndpoint } = {}) {
+  const unlimitedPaths = metricsEndpoint ? [...HEALTH_PATHS, metricsEndpoint] : HEALTH_PATHS;
+  const allowlist = new Set(securityConfig.apiRateLimit.allowlist || []);
+  
+  const isTrusted = (req) => {
+    const apiKey = req.get('x-api-key');
+    if (!apiKey || allowlist.size === 0) return false;
+    
+    const match = findApiKey(securityConfig.apiKeys || [], apiKey);
+    return Boolean(match && allowlist.has(match.name));
+  };
+  
+  const build = (limits, skipPath) => rateLimit({
+    windowMs: limits.windowMs,
+    limit: limits.max,
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    store: createStore ? createStore() : undefined,
+    skip: (req) => skipPath(req) || isTrusted(req),
+    handler: (req, res, next, options) => {
+      res.status(options.statusCode).json({
+        success: false,
+        error: 'Rate limit exceeded',
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: limits.message,
+        details: {
+          limit: limits.max,
+          window: describeWindow(limits.windowMs),
+          resetTime: req.rateLimit.resetTime ? req.rateLimit.resetTime.toISOString() : null
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+  
+  return {
+    api: build(securityConfig.apiRateLimit, req => unlimitedPaths.includes(req.path)),
+    update: build(securityConfig.updateRateLimit, () => false)
+  };
+}
+
+function describeWindow(ms) {
+  const minutes = Math.round(ms / 60000);
+  
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  createRateLimiters
+};
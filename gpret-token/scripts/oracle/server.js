@@ -3,31 +3,116 @@ const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
 const GPRETOracleCollector = require('./price-collector');
+const { createAuthMiddleware } = require('./auth');
+const AuditLog = require('./audit-log');
+const CollectionJobManager = require('./collection-jobs');
+const GPRETPriceStream = require('./price-stream');
+const GPRETProgressFeed = require('./progress-feed');
+const GPRETOracleMetrics = require('./metrics');
+const { createAlertEngine } = require('./alerts');
+const GPRETHealthChecker = require('./health');
+const { createRateLimiters } = require('./rate-limit');
 require('dotenv').config();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HISTORY_LIMIT = 365;
+const MAX_REASON_LENGTH = 500;
+
+// /health keeps its original vocabulary for existing monitors
+const HEALTH_STATUS = { pass: 'healthy', warn: 'degraded', fail: 'unhealthy' };
+
 /**
  * GPRET Oracle Server
  * Provides REST API for real estate price data
  * Runs automated price collection
  */
 class GPRETOracleServer {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {GPRETOracleCollector} [options.collector] - Collector to serve (defaults to one built from config.js)
+   * @param {boolean} [options.scheduleUpdates] - Set false to skip scheduled collection (tests)
+   * @param {Function} [options.createRateLimitStore] - Factory for express-rate-limit stores (defaults to in-memory)
+   * @param {number} [options.updateInterval] - Milliseconds between scheduled collections (defaults to ORACLE_UPDATE_INTERVAL or 24 hours)
+   */
+  constructor(options = {}) {
     this.app = express();
     this.port = process.env.ORACLE_PORT || 3001;
-    this.collector = new GPRETOracleCollector();
-    this.updateInterval = process.env.ORACLE_UPDATE_INTERVAL || 24 * 60 * 60 * 1000; // 24 hours
-    this.dataPath = path.join(__dirname, '..', '..', 'oracle-data');
+    this.collector = options.collector || new GPRETOracleCollector();
+    // The schedule health checks and stale-data alerts measure data age against
+    this.updateInterval = options.updateInterval || parseInt(process.env.ORACLE_UPDATE_INTERVAL) || 24 * 60 * 60 * 1000; // 24 hours
+    this.dataPath = this.collector.dataPath;
+    this.config = this.collector.config;
+    this.requireAuth = createAuthMiddleware(this.config.security);
+    this.rateLimiters = createRateLimiters(this.config.security, {
+      createStore: options.createRateLimitStore,
+      metricsEndpoint: this.config.monitoring.metrics.endpoint
+    });
+    this.auditLog = new AuditLog({ dataPath: this.dataPath });
+    this.jobs = new CollectionJobManager({ collector: this.collector, dataPath: this.dataPath });
+    
+    const websocket = this.config.server.websocket;
+    this.stream = websocket.enabled
+      ? new GPRETPriceStream({ getLatest: () => this.getLatestData(), path: websocket.path, heartbeatInterval: websocket.heartbeatInterval })
+      : null;
+    
+    this.progressFeed = new GPRETProgressFeed({ jobs: this.jobs });
+    this.health = new GPRETHealthChecker({
+      config: this.config,
+      dataPath: this.dataPath,
+      jobs: this.jobs,
+      getLatest: () => this.getLatestData(),
+      updateInterval: this.updateInterval,
+      publisher: this.collector.publisher
+    });
+    
+    const metrics = this.config.monitoring.metrics;
+    this.metrics = metrics.enabled ? new GPRETOracleMetrics({ collectDefault: metrics.collectDefault }) : null;
+    if (this.metrics) {
+      this.metrics.observeJobs(this.jobs);
+      
+      const latest = this.getLatestData();
+      if (latest) this.metrics.recordPrices(latest);
+    }
+    
+    const alerts = this.config.monitoring.alerts;
+    this.alerts = alerts.enabled ? createAlertEngine(alerts, { dataPath: this.dataPath }) : null;
+    if (this.alerts) {
+      this.alerts.observeJobs(this.jobs);
+      
+      this.alertHealthTimer = setInterval(() => this.checkAlertHealth(), this.config.monitoring.healthCheck.interval);
+      this.alertHealthTimer.unref();
+    }
+    
+    // Push every completed collection to WebSocket subscribers
+    this.jobs.on('completed', (job, results) => {
+      if (this.stream) this.stream.publish(results);
+    });
     
     this.setupMiddleware();
     this.setupRoutes();
-    this.startScheduledUpdates();
+    
+    if (options.scheduleUpdates !== false) {
+      this.startScheduledUpdates();
+    }
   }
   
   /**
    * Setup Express middleware
    */
   setupMiddleware() {
+    if (this.config.server.trustProxy) {
+      this.app.set('trust proxy', this.parseTrustProxy(this.config.server.trustProxy));
+    }
+    
+    if (this.metrics) {
+      this.app.use(this.metrics.httpMiddleware());
+    }
+    if (this.alerts) {
+      this.app.use(this.alerts.httpMiddleware());
+    }
+    
     this.app.use(cors());
+    this.app.use(this.rateLimiters.api);
     this.app.use(express.json());
     this.app.use(express.static('public'));
     
@@ -42,16 +127,51 @@ class GPRETOracleServer {
    * Setup API routes
    */
   setupRoutes() {
-    // Health check
-    this.app.get('/health', (req, res) => {
-      res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        version: '1.0.0'
-      });
+    // Health check (summary of the readiness checks)
+    this.app.get('/health', async (req, res) => {
+      try {
+        const report = await this.health.readiness();
+        
+        res.status(report.status === 'fail' ? 503 : 200).json({
+          status: HEALTH_STATUS[report.status],
+          timestamp: report.timestamp,
+          uptime: report.uptime,
+          version: '1.0.0',
+          checks: report.checks
+        });
+      } catch (error) {
+        res.status(503).json({ status: 'unhealthy', error: error.message });
+      }
     });
     
+    // Liveness: restart the process when this fails
+    this.app.get('/health/live', (req, res) => {
+      const report = this.health.liveness();
+      res.status(report.status === 'fail' ? 503 : 200).json(report);
+    });
+    
+    // Readiness: stop routing traffic when this fails
+    this.app.get('/health/ready', async (req, res) => {
+      try {
+        const report = await this.health.readiness();
+        res.status(report.status === 'fail' ? 503 : 200).json(report);
+      } catch (error) {
+        res.status(503).json({ status: 'fail', error: error.message });
+      }
+    });
+    
+    // Prometheus metrics
+    if (this.metrics) {
+      this.app.get(this.config.monitoring.metrics.endpoint, async (req, res) => {
+        try {
+          res.set('Content-Type', this.metrics.contentType);
+          res.end(await this.metrics.render());
+        } catch (error) {
+          res.status(500).end(error.message);
+        }
+      });
+    }
+    
     // Get latest price data
     this.app.get('/api/prices/latest', (req, res) => {
       try {
@@ -116,7 +236,8 @@ class GPRETOracleServer {
           data: {
             globalIndex: data.globalIndex,
             timestamp: data.timestamp,
-            citiesCount: data.cities.length
+            citiesCount: data.cities.length,
+            base: data.index ? data.index.base : null
           }
         });
       } catch (error) {
@@ -130,13 +251,31 @@ class GPRETOracleServer {
     // Get price history
     this.app.get('/api/prices/history', (req, res) => {
       try {
-        const limit = parseInt(req.query.limit) || 30;
-        const history = this.getPriceHistory(limit);
+        const filters = this.parseHistoryQuery(req.query);
+        
+        if (filters.error) {
+          return res.status(filters.status || 400).json({
+            success: false,
+            error: filters.error,
+            code: filters.code,
+            timestamp: new Date().toISOString()
+          });
+        }
+        
+        const { entries, total } = this.getPriceHistory(filters);
         
         res.json({
           success: true,
-          data: history,
-          count: history.length
+          data: entries,
+          count: entries.length,
+          total,
+          pagination: {
+            limit: filters.limit,
+            offset: filters.offset,
+            hasMore: filters.offset + entries.length < total
+          },
+          period: this.describePeriod(entries, filters),
+          timestamp: new Date().toISOString()
         });
       } catch (error) {
         res.status(500).json({ 
@@ -168,23 +307,125 @@ class GPRETOracleServer {
       }
     });
     
-    // Trigger manual price update (POST)
-    this.app.post('/api/update/prices', async (req, res) => {
+    // Trigger manual price update (POST, authenticated)
+    this.app.post('/api/update/prices', this.requireAuth, this.rateLimiters.update, async (req, res) => {
+      const startedAt = Date.now();
+      const request = this.parseUpdateRequest(req.body || {});
+      
+      if (request.error) {
+        this.auditLog.record({ action: 'price-update', actor: req.actor, outcome: 'rejected', error: request.error });
+        
+        return res.status(400).json({
+          success: false,
+          error: request.error,
+          code: 'INVALID_PARAMETER',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const audit = {
+        action: 'price-update',
+        actor: req.actor,
+        reason: request.reason,
+        cities: request.cityIds || 'all',
+        force: request.force
+      };
+      
+      const waitMs = this.timeUntilManualUpdate();
+      if (waitMs > 0 && !request.force && !this.jobs.current) {
+        this.auditLog.record({ ...audit, outcome: 'rejected', error: 'Minimum update interval not elapsed' });
+        
+        return res.status(429).json({
+          success: false,
+          error: 'Minimum update interval has not elapsed (set "force" to override)',
+          code: 'UPDATE_TOO_SOON',
+          details: {
+            retryAfter: Math.ceil(waitMs / 1000),
+            nextAllowed: new Date(Date.now() + waitMs).toISOString()
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       try {
-        console.log('📡 Manual price update triggered');
+        console.log(`📡 Manual price update triggered by ${req.actor.id}${request.reason ? ` (${request.reason})` : ''}`);
         
-        const results = await this.collector.collectAllPrices();
+        const { job, results, coalesced } = await this.jobs.run({
+          trigger: 'manual',
+          actor: req.actor,
+          reason: request.reason,
+          cityIds: request.cityIds
+        });
+        const durationMs = Date.now() - startedAt;
+        const sourcesSucceeded = results.sources.filter(source => source.succeeded > 0).length;
+        
+        this.auditLog.record({
+          ...audit,
+          outcome: coalesced ? 'coalesced' : (results.errors.length > 0 ? 'completed-with-errors' : 'completed'),
+          jobId: job.id,
+          durationMs,
+          globalIndex: results.globalIndex,
+          errors: results.errors.length
+        });
         
         res.json({
           success: true,
-          message: 'Price update completed',
+          message: 'Price update completed successfully',
           data: {
             timestamp: results.timestamp,
-            citiesUpdated: results.cities.length,
+            citiesUpdated: results.cities.filter(city => !city.carriedForward).length,
+            citiesRequested: request.cityIds ? request.cityIds.length : this.collector.cities.length,
             globalIndex: results.globalIndex,
-            errors: results.errors.length
+            updateDuration: Math.round(durationMs / 100) / 10,
+            errors: results.errors,
+            warnings: results.warnings,
+            sources: {
+              successful: sourcesSucceeded,
+              failed: results.sources.length - sourcesSucceeded,
+              total: results.sources.length
+            },
+            triggeredBy: req.actor,
+            reason: request.reason,
+            job: {
+              id: job.id,
+              trigger: job.trigger,
+              coalesced
+            }
           }
         });
+      } catch (error) {
+        this.auditLog.record({ ...audit, outcome: 'failed', error: error.message });
+        
+        if (error.code === 'COLLECTION_LOCKED') {
+          return res.status(409).json({
+            success: false,
+            error: error.message,
+            code: 'COLLECTION_IN_PROGRESS',
+            details: error.holder,
+            timestamp: new Date().toISOString()
+          });
+        }
+        
+        res.status(500).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    });
+    
+    // Live collection progress (Server-Sent Events)
+    this.app.get('/api/collection/events', (req, res) => {
+      this.progressFeed.handle(req, res);
+    });
+    
+    // Get collection job state
+    this.app.get('/api/collection/status', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          data: this.jobs.getState(),
+          timestamp: new Date().toISOString()
+        });
       } catch (error) {
         res.status(500).json({ 
           success: false, 
@@ -196,6 +437,7 @@ class GPRETOracleServer {
     // Get server statistics
     this.app.get('/api/stats', (req, res) => {
       try {
+        this.collector.history.load();
         const stats = this.collector.getPriceStats();
         const latestData = this.getLatestData();
         
@@ -208,6 +450,9 @@ class GPRETOracleServer {
               version: '1.0.0'
             },
             prices: stats,
+            dataMode: this.collector.dataMode.describe(),
+            sources: this.collector.sourceClient.getState(),
+            alerts: this.alerts ? this.alerts.getState() : null,
             lastUpdate: latestData ? latestData.timestamp : null,
             citiesTracked: this.collector.cities.length
           }
@@ -228,12 +473,16 @@ class GPRETOracleServer {
         description: 'Real estate price data API for GPRET token',
         endpoints: {
           'GET /health': 'Server health check',
+          'GET /health/live': 'Liveness probe',
+          'GET /health/ready': 'Readiness probe with per-component checks',
           'GET /api/prices/latest': 'Get latest price data for all cities',
           'GET /api/prices/city/:cityId': 'Get price data for specific city',
           'GET /api/index/global': 'Get global price index',
-          'GET /api/prices/history': 'Get price history (query: limit)',
+          'GET /api/prices/history': 'Get price history (query: cityId, from, to, days, limit, offset)',
           'GET /api/cities': 'Get list of all tracked cities',
-          'POST /api/update/prices': 'Trigger manual price update',
+          'POST /api/update/prices': 'Trigger manual price update (requires X-API-Key or Bearer token)',
+          'GET /api/collection/status': 'Get the running and last collection job',
+          'GET /api/collection/events': 'Stream collection progress (Server-Sent Events)',
           'GET /api/stats': 'Get server and price statistics'
         },
         zeroRevenue: 'This API provides free data - no charges or fees',
@@ -248,12 +497,16 @@ class GPRETOracleServer {
         error: 'Endpoint not found',
         availableEndpoints: [
           'GET /health',
+          'GET /health/live',
+          'GET /health/ready',
           'GET /api/prices/latest',
           'GET /api/prices/city/:cityId',
           'GET /api/index/global',
           'GET /api/prices/history',
           'GET /api/cities',
           'POST /api/update/prices',
+          'GET /api/collection/status',
+          'GET /api/collection/events',
           'GET /api/stats'
         ]
       });
@@ -290,24 +543,163 @@ class GPRETOracleServer {
   }
   
   /**
-   * Get price history
+   * Get price history from the stored snapshots, newest first
+   * Reloaded from disk so collections run by another process are included
    */
-  getPriceHistory(limit = 30) {
-    try {
-      const historyPath = path.join(this.dataPath, 'price-history.json');
+  getPriceHistory(filters = {}) {
+    return this.collector.history.load().query(filters);
+  }
+  
+  /**
+   * Parse and validate /api/prices/history query parameters
+   * Returns the store filters, or { error, code, status } for invalid input
+   */
+  parseHistoryQuery(query) {
+    const invalid = (error) => ({ error, code: 'INVALID_PARAMETER', status: 400 });
+    const filters = { limit: 30, offset: 0 };
+    
+    const parseInteger = (value) => (/^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN);
+    
+    if (query.limit !== undefined) {
+      filters.limit = parseInteger(query.limit);
+      if (!(filters.limit >= 1 && filters.limit <= MAX_HISTORY_LIMIT)) {
+        return invalid(`limit must be an integer between 1 and ${MAX_HISTORY_LIMIT}`);
+      }
+    }
+    
+    if (query.offset !== undefined) {
+      filters.offset = parseInteger(query.offset);
+      if (Number.isNaN(filters.offset)) {
+        return invalid('offset must be a non-negative integer');
+      }
+    }
+    
+    if (query.cityId !== undefined) {
+      filters.cityId = parseInteger(query.cityId);
+      if (Number.isNaN(filters.cityId)) {
+        return invalid('cityId must be an integer');
+      }
+      if (!this.collector.config.getCityById(filters.cityId)) {
+        return { error: 'City not found', code: 'CITY_NOT_FOUND', status: 404 };
+      }
+    }
+    
+    if (query.days !== undefined && query.from !== undefined) {
+      return invalid('Use either days or from, not both');
+    }
+    
+    if (query.days !== undefined) {
+      const days = parseInteger(query.days);
+      if (!(days >= 1 && days <= MAX_HISTORY_LIMIT)) {
+        return invalid(`days must be an integer between 1 and ${MAX_HISTORY_LIMIT}`);
+      }
+      filters.days = days;
+      filters.from = new Date(Date.now() - days * DAY_MS);
+    }
+    
+    for (const key of ['from', 'to']) {
+      if (query[key] === undefined) continue;
       
-      if (!fs.existsSync(historyPath)) {
-        return [];
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) {
+        return invalid(`${key} must be an ISO 8601 date`);
+      }
+      filters[key] = date;
+    }
+    
+    if (filters.from && filters.to && filters.from > filters.to) {
+      return invalid('from must be before to');
+    }
+    
+    return filters;
+  }
+  
+  /**
+   * Parse and validate the POST /api/update/prices body
+   * Returns { force, cityIds, reason }, or { error } for invalid input
+   */
+  parseUpdateRequest(body) {
+    const { force = false, cities, reason = null } = body;
+    
+    if (typeof force !== 'boolean') {
+      return { error: 'force must be a boolean' };
+    }
+    
+    if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+      return { error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters` };
+    }
+    
+    let cityIds = null;
+    if (cities !== undefined) {
+      if (!Array.isArray(cities) || cities.length === 0 || !cities.every(Number.isInteger)) {
+        return { error: 'cities must be a non-empty array of city ids' };
       }
       
-      const data = fs.readFileSync(historyPath, 'utf8');
-      const history = JSON.parse(data);
+      const tracked = new Set(this.collector.cities.map(city => city.id));
+      const unknown = cities.filter(id => !tracked.has(id));
+      if (unknown.length > 0) {
+        return { error: `Unknown or inactive cities: ${unknown.join(', ')}` };
+      }
       
-      return history.slice(-limit);
-    } catch (error) {
-      console.error('Error reading price history:', error);
-      return [];
+      cityIds = [...new Set(cities)];
     }
+    
+    return { force, cityIds, reason };
+  }
+  
+  /**
+   * Express "trust proxy" value from config: a hop count, true/false,
+   * or a list of trusted addresses/subnets as given
+   */
+  parseTrustProxy(value) {
+    if (typeof value !== 'string') return value;
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^\d+$/.test(value)) return Number(value);
+    return value;
+  }
+  
+  /**
+   * Milliseconds until a manual update is allowed without "force"
+   */
+  timeUntilManualUpdate() {
+    const latest = this.getLatestData();
+    if (!latest) return 0;
+    
+    const nextAllowed = new Date(latest.timestamp).getTime() + this.config.updates.minManualInterval;
+    return Math.max(0, nextAllowed - Date.now());
+  }
+  
+  /**
+   * Period covered by a history response: the requested range, or the
+   * span of the returned records where a bound was not given
+   */
+  describePeriod(entries, filters) {
+    const newest = entries.length > 0 ? new Date(entries[0].timestamp) : null;
+    const oldest = entries.length > 0 ? new Date(entries[entries.length - 1].timestamp) : null;
+    
+    const start = filters.from || oldest;
+    const end = filters.to || (filters.from ? new Date() : newest);
+    
+    if (!start || !end) return null;
+    
+    return {
+      start: start.toISOString(),
+      end: end.toISOString(),
+      days: filters.days || Math.round((end - start) / DAY_MS)
+    };
+  }
+  
+  /**
+   * Raise a stale-data alert when collections stop completing
+   */
+  checkAlertHealth() {
+    const latest = this.getLatestData();
+    
+    this.alerts.evaluateHealth({
+      lastUpdate: latest ? latest.timestamp : null,
+      updateInterval: this.updateInterval,
+      staleAfterIntervals: this.config.monitoring.healthCheck.staleAfterIntervals
+    });
   }
   
   /**
@@ -334,15 +726,23 @@ class GPRETOracleServer {
     try {
       console.log('🔄 Running scheduled price update...');
       
-      const results = await this.collector.collectAllPrices();
+      const { results, coalesced } = await this.jobs.run({ trigger: 'scheduled' });
+      
+      if (coalesced) {
+        console.log('ℹ️  Scheduled update joined the collection already in progress');
+      }
       
       console.log(`✅ Scheduled update completed - Global Index: ${results.globalIndex}`);
       
       if (results.errors.length > 0) {
         console.log(`⚠️  Update had ${results.errors.length} errors`);
       }
-      
+    
     } catch (error) {
+      if (error.code === 'COLLECTION_LOCKED') {
+        console.log(`⏭️  Scheduled update skipped: ${error.message}`);
+        return;
+      }
       console.error('❌ Scheduled update failed:', error);
     }
   }
@@ -356,14 +756,19 @@ class GPRETOracleServer {
       fs.mkdirSync(this.dataPath, { recursive: true });
     }
     
-    this.app.listen(this.port, () => {
+    this.httpServer = this.app.listen(this.port, () => {
+      const port = this.httpServer.address().port;
+      
       console.log('🚀 GPRET Oracle Server Started');
       console.log('================================');
-      console.log(`🌐 Server: http://localhost:${this.port}`);
-      console.log(`📊 API: http://localhost:${this.port}/api`);
-      console.log(`❤️  Health: http://localhost:${this.port}/health`);
-      console.log(`📈 Latest Prices: http://localhost:${this.port}/api/prices/latest`);
-      console.log(`🌍 Global Index: http://localhost:${this.port}/api/index/global`);
+      console.log(`🌐 Server: http://localhost:${port}`);
+      console.log(`📊 API: http://localhost:${port}/api`);
+      console.log(`❤️  Health: http://localhost:${port}/health`);
+      console.log(`📈 Latest Prices: http://localhost:${port}/api/prices/latest`);
+      console.log(`🌍 Global Index: http://localhost:${port}/api/index/global`);
+      if (this.stream) {
+        console.log(`📡 Price Stream: ws://localhost:${port}${this.stream.path}`);
+      }
       console.log('');
       console.log('🔄 Scheduled Updates: Every 24 hours');
       console.log('💰 Revenue Model: FREE (Zero Cost)');
@@ -371,6 +776,27 @@ class GPRETOracleServer {
       console.log('');
       console.log('✅ Oracle server ready!');
     });
+    
+    if (this.stream) {
+      this.stream.attach(this.httpServer);
+    }
+    
+    return this.httpServer;
+  }
+  
+  /**
+   * Stop accepting connections and close the price stream
+   */
+  async stop() {
+    this.progressFeed.close();
+    clearInterval(this.alertHealthTimer);
+    
+    if (this.stream) {
+      await this.stream.close();
+    }
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(() => resolve()));
+    }
   }
   
   /**
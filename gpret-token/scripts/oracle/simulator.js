@@ -0,0 +1,69 @@
+/**
+ * GPRET Price Simulator
+ * Deterministic synthetic prices for demos and tests
+ *
+ * Each city follows its own random walk from basePriceUSD:
+ *
+ *   priceₙ = priceₙ₋₁ × (1 + (drift + volatility × zₙ) / 100)
+ *
+ * where zₙ is a standard normal draw from a mulberry32 generator seeded with
+ * the simulation seed and the city id. The same seed, city and step always
+ * give the same price, on any machine.
+ */
+
+/**
+ * mulberry32 PRNG: returns a function yielding floats in [0, 1)
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  
+  return function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ */
+function gaussian(random) {
+  const u = 1 - random(); // (0, 1], keeps log finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+class PriceSimulator {
+  /**
+   * @param {Object} options
+   * @param {number} options.seed - Simulation seed
+   * @param {number} options.volatility - Standard deviation of each step, in percent
+   * @param {number} options.drift - Mean of each step, in percent
+   */
+  constructor({ seed, volatility, drift }) {
+    this.seed = seed;
+    this.volatility = volatility;
+    this.drift = drift;
+  }
+  
+  /**
+   * A city's simulated price after `step` steps (step 0 is basePriceUSD)
+   */
+  priceAt(city, step) {
+    const random = mulberry32(this.seed ^ Math.imul(city.id, 0x9E3779B1));
+    let price = city.basePriceUSD;
+    
+    for (let i = 0; i < step; i++) {
+      price *= 1 + (this.drift + this.volatility * gaussian(random)) / 100;
+    }
+    
+    return Math.round(price);
+  }
+}
+
+module.exports = {
+  PriceSimulator,
+  mulberry32
+};
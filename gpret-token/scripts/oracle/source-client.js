@@ -0,0 +1,241 @@
+const path = require('path');
+const { writeJsonAtomic, readJson } = require('./storage/atomic-file');
+const { withTimeout } = require('./timeout');
+
+/**
+ * GPRET Source Client
+ * Wraps every data source request with the source's limits:
+ *
+ * - Budget: a token bucket per source holding `rateLimit.requests` tokens,
+ *   refilled evenly over `rateLimit.period`. Each attempt takes a token; an
+ *   empty bucket fails the request instead of calling the source.
+ * - Timeout: each attempt is abandoned after `source.timeout` ms.
+ * - Retries: `source.retries` (or updates.maxRetries) further attempts, waiting
+ *   sourceClient.retryDelay, then twice that, and so on, capped at updates.retryDelay.
+ * - Circuit breaker: after circuitBreaker.failureThreshold consecutive failed
+ *   requests the source is skipped for circuitBreaker.cooldown. The first
+ *   request after the cooldown is a trial: success closes the circuit,
+ *   failure opens it again. Other requests are skipped while it is in flight.
+ *
+ * Buckets and circuits are kept in source-state.json so limits hold across
+ * runs and restarts.
+ */
+class GPRETSourceClient {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Oracle configuration
+   * @param {string} options.dataPath - Directory holding source-state.json
+   * @param {Function} [options.sleep] - Backoff wait (ms) => Promise
+   * @param {Function} [options.now] - Clock in ms
+   */
+  constructor({ config, dataPath, sleep, now }) {
+    this.settings = config.sourceClient;
+    this.maxRetries = config.updates.maxRetries;
+    this.maxRetryDelay = config.updates.retryDelay;
+    this.statePath = path.join(dataPath, 'source-state.json');
+    this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.now = now || Date.now;
+    this.sources = new Map(config.getActiveDataSources().map(source => [String(source.id), source]));
+    this.state = this.loadState();
+    this.trials = new Set(); // ids of sources with a trial request in flight
+  }
+  
+  loadState() {
+    try {
+      return readJson(this.statePath, { buckets: {}, circuits: {} });
+    } catch (error) {
+      console.log(`   ⚠️  Could not read source state: ${error.message}`);
+      return { buckets: {}, circuits: {} };
+    }
+  }
+  
+  save() {
+    writeJsonAtomic(this.statePath, this.state);
+  }
+  
+  /**
+   * Run `fetchFn` for a source within its budget, timeout, retries and circuit
+   * @param {Object} source - Data source config
+   * @param {Function} fetchFn - () => Promise of the source's quote
+   * @param {Object} [run] - { abandoned } flag from the FetchScheduler; once it
+   *   is set the run has moved on and the request leaves source state alone
+   */
+  async request(source, fetchFn, run = { abandoned: false }) {
+    // A trial request after the cooldown gets a single attempt
+    const trial = this.checkCircuit(source) === 'half-open';
+    
+    try {
+      return await this.runAttempts(source, fetchFn, trial ? 1 : this.retriesFor(source) + 1, run);
+    } finally {
+      if (trial) this.trials.delete(String(source.id));
+    }
+  }
+  
+  /**
+   * Up to `attempts` attempts with backoff, recording the outcome on the circuit
+   */
+  async runAttempts(source, fetchFn, attempts, run) {
+    let lastError;
+    
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (attempt > 1) {
+        await this.sleep(this.backoffDelay(attempt - 1));
+        if (run.abandoned) throw lastError;
+      }
+      
+      try {
+        this.takeToken(source);
+      } catch (error) {
+        if (lastError) this.recordFailure(source);
+        this.save();
+        throw error;
+      }
+      
+      try {
+        const result = await withTimeout(fetchFn(), source.timeout, `${source.name} timed out after ${source.timeout}ms`);
+        if (run.abandoned) return result;
+        
+        this.recordSuccess(source);
+        this.save();
+        return result;
+      } catch (error) {
+        if (run.abandoned) throw error;
+        lastError = error;
+      }
+    }
+    
+    this.recordFailure(source);
+    this.save();
+    throw lastError;
+  }
+  
+  retriesFor(source) {
+    return source.retries !== undefined ? source.retries : this.maxRetries;
+  }
+  
+  /**
+   * Wait before retry number `retry` (1-based)
+   */
+  backoffDelay(retry) {
+    return Math.min(this.settings.retryDelay * Math.pow(2, retry - 1), this.maxRetryDelay);
+  }
+  
+  // ============ Budget ============
+  
+  /**
+   * Bucket for a source with tokens refilled up to now (null when unlimited)
+   */
+  refill(source) {
+    const limit = source.rateLimit;
+    if (!limit || !limit.requests || !limit.period) return null;
+    
+    const now = this.now();
+    const bucket = this.state.buckets[source.id] || { tokens: limit.requests, updatedAt: now };
+    const refilled = (now - bucket.updatedAt) * limit.requests / limit.period;
+    
+    bucket.tokens = Math.min(limit.requests, bucket.tokens + refilled);
+    bucket.updatedAt = now;
+    this.state.buckets[source.id] = bucket;
+    
+    return bucket;
+  }
+  
+  takeToken(source) {
+    const bucket = this.refill(source);
+    if (!bucket) return;
+    
+    if (bucket.tokens < 1) {
+      const { requests, period } = source.rateLimit;
+      const waitMs = Math.ceil((1 - bucket.tokens) * period / requests);
+      const error = new Error(`${source.name} rate limit reached (${requests} per ${period}ms); next request in ${Math.ceil(waitMs / 1000)}s`);
+      error.code = 'SOURCE_RATE_LIMITED';
+      throw error;
+    }
+    
+    bucket.tokens -= 1;
+  }
+  
+  // ============ Circuit breaker ============
+  
+  circuitFor(source) {
+    return this.state.circuits[source.id] || { state: 'closed', consecutiveFailures: 0, openedAt: null, retryAt: null };
+  }
+  
+  /**
+   * Throws while the circuit is open or its trial request is in flight;
+   * returns the circuit state otherwise ('half-open' makes the caller the trial)
+   */
+  checkCircuit(source) {
+    const circuit = this.circuitFor(source);
+    if (circuit.state === 'closed') return 'closed';
+    
+    if (circuit.state === 'open' && this.now() < circuit.retryAt) {
+      const error = new Error(`${source.name} skipped: circuit open until ${new Date(circuit.retryAt).toISOString()}`);
+      error.code = 'SOURCE_CIRCUIT_OPEN';
+      throw error;
+    }
+    
+    // One trial at a time; a half-open circuit with no trial in flight here was
+    // left by an earlier process and takes a new one
+    if (this.trials.has(String(source.id))) {
+      const error = new Error(`${source.name} skipped: circuit half-open, trial request in flight`);
+      error.code = 'SOURCE_CIRCUIT_OPEN';
+      throw error;
+    }
+    
+    this.trials.add(String(source.id));
+    this.state.circuits[source.id] = { ...circuit, state: 'half-open' };
+    return 'half-open';
+  }
+  
+  recordSuccess(source) {
+    const circuit = this.circuitFor(source);
+    
+    if (circuit.state !== 'closed') {
+      console.log(`   🔌 ${source.name} recovered, circuit closed`);
+    }
+    this.state.circuits[source.id] = { state: 'closed', consecutiveFailures: 0, openedAt: null, retryAt: null };
+  }
+  
+  recordFailure(source) {
+    const circuit = this.circuitFor(source);
+    const { failureThreshold, cooldown } = this.settings.circuitBreaker;
+    const consecutiveFailures = circuit.consecutiveFailures + 1;
+    
+    if (circuit.state === 'half-open' || consecutiveFailures >= failureThreshold) {
+      const now = this.now();
+      
+      console.log(`   🔌 ${source.name} circuit open for ${Math.round(cooldown / 1000)}s after ${consecutiveFailures} consecutive failures`);
+      this.state.circuits[source.id] = { state: 'open', consecutiveFailures, openedAt: now, retryAt: now + cooldown };
+      return;
+    }
+    
+    this.state.circuits[source.id] = { ...circuit, consecutiveFailures };
+  }
+  
+  /**
+   * Budget and circuit per active source (for /api/stats)
+   */
+  getState() {
+    return [...this.sources.values()].map(source => {
+      const bucket = this.refill(source);
+      const circuit = this.circuitFor(source);
+      
+      return {
+        id: source.id,
+        name: source.name,
+        budget: bucket
+          ? { requests: source.rateLimit.requests, period: source.rateLimit.period, remaining: Math.floor(bucket.tokens) }
+          : null,
+        circuit: {
+          state: circuit.state,
+          consecutiveFailures: circuit.consecutiveFailures,
+          openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+          retryAt: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null
+        }
+      };
+    });
+  }
+}
+
+module.exports = GPRETSourceClient;
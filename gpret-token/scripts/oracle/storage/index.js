@@ -0,0 +1,84 @@
+const JsonHistoryStore = require('./json-history-store');
+
+/**
+ * GPRET Oracle History Storage
+ *
+ * A history store keeps one snapshot per collection:
+ *   { timestamp, dataMode, globalIndex, citiesCount, averageConfidence,
+ *     cities: [{ id, name, price, confidence, sources, status, synthetic }] }
+ *
+ * Backends implement:
+ *   load()             - read persisted snapshots; returns the store
+ *   append(snapshot)   - persist a snapshot on top of what is on disk and
+ *                        enforce retention
+ *   getAll()           - retained snapshots, oldest first
+ *   getRecent(count)   - the last `count` snapshots, oldest first
+ *   query(filters)     - { entries, total } filtered by cityId, from, to and
+ *                        paginated by limit/offset, newest first
+ *   size               - number of retained snapshots
+ *
+ * Select a backend with config.storage.backend. Another backend (for example
+ * an embedded SQLite store) only needs to implement the methods above and be
+ * registered with registerHistoryStore.
+ */
+const backends = {
+  json: JsonHistoryStore
+};
+
+/**
+ * Register a history store backend
+ */
+function registerHistoryStore(name, StoreClass) {
+  backends[name] = StoreClass;
+}
+
+/**
+ * Create and load the configured history store
+ */
+function createHistoryStore(storageConfig, dataPath) {
+  const backend = storageConfig.backend || 'json';
+  const StoreClass = backends[backend];
+  
+  if (!StoreClass) {
+    throw new Error(`Unknown history storage backend "${backend}"`);
+  }
+  
+  return new StoreClass({
+    dataPath,
+    maxEntries: storageConfig.maxHistoryEntries
+  }).load();
+}
+
+/**
+ * Build a history snapshot from collection results
+ */
+function toSnapshot(results) {
+  const confidences = results.cities.map(city => city.confidence || 0);
+  const averageConfidence = confidences.length > 0
+    ? Math.round(confidences.reduce((a, b) => a + b, 0) / confidences.length * 10) / 10
+    : 0;
+  
+  return {
+    timestamp: results.timestamp,
+    dataMode: results.dataMode || 'live',
+    globalIndex: results.globalIndex,
+    citiesCount: results.cities.length,
+    averageConfidence,
+    cities: results.cities.map(city => ({
+      id: city.id,
+      name: city.name,
+      price: city.averagePrice,
+      confidence: city.confidence,
+      sources: city.sources,
+      status: city.carriedForward ? 'carried-forward' : (city.validation ? city.validation.status : 'accepted'),
+      synthetic: Boolean(city.synthetic)
+    }))
+  };
+}
+
+module.exports = {
+  createHistoryStore,
+  registerHistoryStore,
+  toSnapshot,
+  JsonHistoryStore
+};
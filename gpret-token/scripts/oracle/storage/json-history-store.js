@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic, readJson } = require('./atomic-file');
+
+/**
+ * JSON file history store
+ * Keeps every snapshot in price-history.json, rewritten atomically on append
+ */
+class JsonHistoryStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataPath - Directory holding price-history.json
+   * @param {number} options.maxEntries - Snapshots to retain (oldest are dropped)
+   */
+  constructor({ dataPath, maxEntries }) {
+    this.historyPath = path.join(dataPath, 'price-history.json');
+    this.maxEntries = maxEntries;
+    this.entries = [];
+    this.unreadable = null;
+  }
+  
+  /**
+   * Load existing history from disk
+   * An unreadable file is moved aside so the next append cannot overwrite it
+   */
+  load() {
+    try {
+      const entries = readJson(this.historyPath, []);
+      if (!Array.isArray(entries)) throw new Error('expected an array of snapshots');
+      
+      this.entries = entries;
+      this.unreadable = null;
+    } catch (error) {
+      this.entries = [];
+      this.setAside(error);
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Rename an unreadable history file to price-history.json.corrupt-<timestamp>
+   * If that fails too, appends are refused until the file is fixed by hand
+   */
+  setAside(error) {
+    const corruptPath = `${this.historyPath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    
+    try {
+      fs.renameSync(this.historyPath, corruptPath);
+      this.unreadable = null;
+      console.log(`   ⚠️  Could not read price history (${error.message}); moved it to ${path.basename(corruptPath)}`);
+    } catch (renameError) {
+      this.unreadable = error;
+      console.log(`   ⚠️  Could not read price history (${error.message}) or move it aside: ${renameError.message}`);
+    }
+  }
+  
+  /**
+   * Append a snapshot and enforce retention
+   * Re-reads the file first so snapshots written by another process are kept
+   */
+  append(snapshot) {
+    this.load();
+    if (this.unreadable) {
+      throw new Error(`Refusing to overwrite unreadable price history: ${this.unreadable.message}`);
+    }
+    
+    const entries = [...this.entries, snapshot];
+    const retained = entries.length > this.maxEntries ? entries.slice(-this.maxEntries) : entries;
+    
+    writeJsonAtomic(this.historyPath, retained);
+    this.entries = retained;
+  }
+  
+  /**
+   * All retained snapshots, oldest first
+   */
+  getAll() {
+    return this.entries;
+  }
+  
+  /**
+   * The last `count` snapshots, oldest first
+   */
+  getRecent(count) {
+    return this.entries.slice(-count);
+  }
+  
+  /**
+   * Filter snapshots, newest first
+   * @param {Object} filters
+   * @param {number} [filters.cityId] - Only snapshots with this city, reduced to it
+   * @param {Date} [filters.from] - Earliest timestamp (inclusive)
+   * @param {Date} [filters.to] - Latest timestamp (inclusive)
+   * @param {number} [filters.limit] - Page size
+   * @param {number} [filters.offset] - Snapshots to skip
+   * @returns {{ entries: Array, total: number }}
+   */
+  query({ cityId, from, to, limit = 30, offset = 0 } = {}) {
+    const matched = [];
+    
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      const time = new Date(entry.timestamp).getTime();
+      
+      if (from && time < from.getTime()) continue;
+      if (to && time > to.getTime()) continue;
+      
+      if (cityId !== undefined) {
+        const city = (entry.cities || []).find(c => c.id === cityId);
+        if (!city) continue;
+        
+        matched.push({ ...entry, cities: [city] });
+      } else {
+        matched.push(entry);
+      }
+    }
+    
+    return {
+      entries: matched.slice(offset, offset + limit),
+      total: matched.length
+    };
+  }
+  
+  get size() {
+    return this.entries.length;
+  }
+}
+
+module.exports = JsonHistoryStore;
@@ -0,0 +1,20 @@
+/**
+ * Reject if `promise` does not settle within `ms` (no limit when unset)
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} [message] - Rejection message, "timed out after <ms>ms" by default
+ */
+function withTimeout(promise, ms, message = `timed out after ${ms}ms`) {
+  if (!ms) return promise;
+  
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  withTimeout
+};
@@ -1,182 +1,70 @@
-const { run, network } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { DeploymentRegistry, ContractVerifier, DEFAULT_DEPLOYMENTS_DIR } = require("./deployment");
 
-async function main() {
+/**
+ * GPRET contract verification
+ *
+ *   npx hardhat verify-deployment --network <network> [--dry-run]
+ *   npx hardhat run scripts/verify.js --network <network>   (VERIFY_DRY_RUN=true for a dry run)
+ *
+ * Verifies every contract in deployments/registry/<network>.json with the
+ * constructor arguments recorded at deployment; results are written back to
+ * the manifest per contract. A dry run only prints the encoded arguments.
+ */
+async function main(hre, options = {}) {
+  const { network } = hre;
+  const dryRun = Boolean(options.dryRun);
+  
   console.log("🔍 Starting contract verification...");
   console.log("Network:", network.name);
+  if (dryRun) console.log("Dry run: nothing is sent to the explorer");
+  console.log("=".repeat(50));
   
-  // Read deployment info
-  const deploymentsDir = path.join(__dirname, "..", "deployments");
+  const registry = new DeploymentRegistry({ deploymentsDir: options.deploymentsDir || DEFAULT_DEPLOYMENTS_DIR });
+  const verifier = new ContractVerifier({
+    registry,
+    network: network.name,
+    verifyFn: options.verifyFn || (args => hre.run("verify:verify", args))
+  });
   
-  if (!fs.existsSync(deploymentsDir)) {
-    throw new Error("❌ Deployments directory not found. Run deployment first!");
-  }
+  const results = await verifier.verifyAll({ dryRun });
   
-  // Find the latest deployment file for current network
-  const files = fs.readdirSync(deploymentsDir);
-  const networkFiles = files.filter(f => f.startsWith(network.name) && f.endsWith('.json'));
+  // ============ Verification Summary ============
+  console.log("\n📊 Verification Summary:");
+  console.log("=".repeat(50));
   
-  if (networkFiles.length === 0) {
-    throw new Error(`❌ No deployment found for network: ${network.name}`);
+  for (const [name, result] of Object.entries(results)) {
+    const link = result.explorerUrl ? ` ${result.explorerUrl}` : "";
+    console.log(`   ${name}: ${result.status}${link}`);
   }
   
-  // Get the latest deployment
-  const latestFile = networkFiles.sort().pop();
-  const deploymentPath = path.join(deploymentsDir, latestFile);
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  
-  console.log("📄 Using deployment file:", latestFile);
-  console.log("📋 Deployment Info:");
-  console.log("   Network:", deploymentInfo.network);
-  console.log("   Deployer:", deploymentInfo.deployer);
-  console.log("   Timestamp:", deploymentInfo.timestamp);
-  
-  // ============ Verify GPRET Token ============
-  console.log("\n1️⃣ Verifying GPRET Token...");
-  
-  const gpretAddress = deploymentInfo.contracts.GPRET.address;
-  console.log("   Contract Address:", gpretAddress);
-  
-  try {
-    await run("verify:verify", {
-      address: gpretAddress,
-      constructorArguments: [], // GPRET constructor has no arguments
-      contract: "contracts/GPRET.sol:GPRET"
-    });
-    console.log("   ✅ GPRET Token verified successfully!");
-  } catch (error) {
-    if (error.message.includes("Already Verified")) {
-      console.log("   ℹ️  GPRET Token already verified");
-    } else {
-      console.error("   ❌ GPRET Token verification failed:", error.message);
-    }
+  if (!dryRun) {
+    console.log(`\n💾 Results saved to ${registry.manifestPath(network.name)}`);
   }
   
-  // ============ Verify Staking Contract ============
-  console.log("\n2️⃣ Verifying GPRET Staking...");
-  
-  const stakingAddress = deploymentInfo.contracts.GPRETStaking.address;
-  console.log("   Contract Address:", stakingAddress);
-  
-  try {
-    await run("verify:verify", {
-      address: stakingAddress,
-      constructorArguments: [gpretAddress], // Staking constructor takes token address
-      contract: "contracts/GPRETStaking.sol:GPRETStaking"
-    });
-    console.log("   ✅ GPRET Staking verified successfully!");
-  } catch (error) {
-    if (error.message.includes("Already Verified")) {
-      console.log("   ℹ️  GPRET Staking already verified");
-    } else {
-      console.error("   ❌ GPRET Staking verification failed:", error.message);
-    }
+  const failed = Object.keys(results).filter(name => results[name].status === "failed");
+  if (failed.length > 0) {
+    throw new Error(`Verification failed for ${failed.join(", ")}`);
   }
   
-  // ============ Verification Summary ============
-  console.log("\n📊 Verification Summary:");
-  console.log("=" .repeat(50));
-  
-  const explorerUrls = {
-    mainnet: "https://etherscan.io",
-    goerli: "https://goerli.etherscan.io",
-    arbitrumOne: "https://arbiscan.io",
-    arbitrumGoerli: "https://goerli.arbiscan.io"
-  };
-  
-  const explorerUrl = explorerUrls[network.name] || "https://etherscan.io";
-  
-  console.log("📋 Verified Contracts:");
-  console.log(`   GPRET Token: ${explorerUrl}/address/${gpretAddress}`);
-  console.log(`   GPRET Staking: ${explorerUrl}/address/${stakingAddress}`);
-  
-  // ============ Contract Information ============
-  console.log("\n📄 Contract Information:");
-  console.log("   Token Name:", deploymentInfo.verification.tokenName);
-  console.log("   Token Symbol:", deploymentInfo.verification.tokenSymbol);
-  console.log("   Total Supply:", deploymentInfo.verification.totalSupply);
-  console.log("   Decimals:", deploymentInfo.verification.decimals);
-  console.log("   Oracle:", deploymentInfo.verification.oracle);
-  
-  // ============ Update Deployment File ============
-  deploymentInfo.verification = {
-    ...deploymentInfo.verification,
-    verified: true,
-    verificationTime: new Date().toISOString(),
-    explorerUrls: {
-      gpret: `${explorerUrl}/address/${gpretAddress}`,
-      staking: `${explorerUrl}/address/${stakingAddress}`
-    }
-  };
-  
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-  console.log("\n✅ Deployment file updated with verification info");
-  
-  // ============ Next Steps ============
-  console.log("\n🎉 Verification completed!");
-  console.log("=" .repeat(50));
-  
-  console.log("\n🔗 Useful Links:");
-  console.log(`   📊 GPRET Token: ${explorerUrl}/address/${gpretAddress}`);
-  console.log(`   🏦 Staking Contract: ${explorerUrl}/address/${stakingAddress}`);
-  
-  console.log("\n📋 What's Verified:");
-  console.log("   ✅ Source code is public and readable");
-  console.log("   ✅ Constructor arguments are validated");
-  console.log("   ✅ Contract bytecode matches source code");
-  console.log("   ✅ All functions are transparent and auditable");
-  
-  console.log("\n🔍 Security Features Confirmed:");
-  console.log("   ✅ Zero revenue structure verified");
-  console.log("   ✅ No hidden profit mechanisms");
-  console.log("   ✅ Open source and transparent");
-  console.log("   ✅ Community can audit all functions");
-  
-  console.log("\n💡 For Developers:");
-  console.log("   - Contract ABI is now available on block explorer");
-  console.log("   - You can interact directly through the explorer");
-  console.log("   - Source code is verified and readable");
-  console.log("   - Use these addresses in your frontend/dApp");
+  if (!dryRun) {
+    console.log("\n✨ GPRET contracts successfully verified!");
+    console.log("Remember: All code is transparent - Zero Revenue Guaranteed! 🔍💯");
+  }
   
-  console.log("\n✨ GPRET contracts successfully verified!");
-  console.log("Remember: All code is transparent - Zero Revenue Guaranteed! 🔍💯");
+  return results;
 }
 
-// Helper function to wait for verification
-async function waitForVerification(address, timeout = 300000) { // 5 minutes
-  console.log(`   ⏳ Waiting for verification of ${address}...`);
-  
-  const startTime = Date.now();
-  
-  while (Date.now() - startTime < timeout) {
-    try {
-      await run("verify:verify", {
-        address: address,
-        constructorArguments: []
-      });
-      return true;
-    } catch (error) {
-      if (error.message.includes("Already Verified")) {
-        return true;
-      }
-      
-      // Wait 10 seconds before retrying
-      await new Promise(resolve => setTimeout(resolve, 10000));
-    }
-  }
-  
-  throw new Error("Verification timeout");
+if (require.main === module) {
+  main(require("hardhat"), { dryRun: process.env.VERIFY_DRY_RUN === "true" })
+    .then(() => {
+      console.log("\n🏁 Verification script completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌ Verification failed:");
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-// Error handling
-main()
-  .then(() => {
-    console.log("\n🏁 Verification script completed!");
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error("\n❌ Verification failed:");
-    console.error(error);
-    process.exit(1);
-  });
\ No newline at end of file
+module.exports = main;
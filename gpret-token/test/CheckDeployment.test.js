@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runDeployment, DeploymentRegistry, checkDeployment } = require("../scripts/deployment");
+const check = require("../scripts/check-deployment");
+
+describe("GPRET Deployment Check", function () {
+  const { ethers } = hre;
+  
+  let deploymentsDir;
+  let manifest;
+  let gpret;
+  let staking;
+  
+  function failures(report) {
+    return report.results.filter(result => !result.passed).map(result => result.id);
+  }
+  
+  beforeEach(async function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-check-"));
+    await runDeployment(hre, { deploymentsDir, log: () => {} });
+    
+    manifest = new DeploymentRegistry({ deploymentsDir }).load("hardhat");
+    gpret = await ethers.getContractAt("GPRET", manifest.contracts.GPRET.address);
+    staking = await ethers.getContractAt("GPRETStaking", manifest.contracts.GPRETStaking.address);
+  });
+  
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+  
+  it("Should pass every invariant on a fresh deployment", async function () {
+    const report = await checkDeployment({ manifest, provider: ethers.provider });
+    
+    expect(report.passed).to.be.true;
+    expect(report.results.map(result => result.id)).to.deep.equal([
+      "code-deployed",
+      "total-supply",
+      "gpret-zero-revenue",
+      "staking-zero-revenue",
+      "staking-token",
+      "period-multipliers",
+      "oracle-set",
+      "not-paused",
+      "emergency-unstake-off"
+    ]);
+    expect(report.results.find(result => result.id === "total-supply").detail).to.equal("1000000000.0");
+  });
+  
+  it("Should report a paused contract", async function () {
+    await staking.pause();
+    
+    const report = await checkDeployment({ manifest, provider: ethers.provider });
+    
+    expect(report.passed).to.be.false;
+    expect(failures(report)).to.deep.equal(["not-paused"]);
+    expect(report.results.find(result => result.id === "not-paused").detail).to.equal("Paused: GPRETStaking");
+  });
+  
+  it("Should report changed lock period multipliers", async function () {
+    await staking.updatePeriodMultiplier(30 * 24 * 60 * 60, 12000);
+    
+    const report = await checkDeployment({ manifest, provider: ethers.provider });
+    
+    expect(failures(report)).to.deep.equal(["period-multipliers"]);
+    expect(report.results.find(result => result.id === "period-multipliers").detail)
+      .to.equal("30 days is 12000, expected 11000");
+  });
+  
+  it("Should report a staking contract bound to another token", async function () {
+    const Staking = await ethers.getContractFactory("GPRETStaking");
+    const [deployer] = await ethers.getSigners();
+    const other = await Staking.deploy(deployer.address, deployer.address);
+    manifest.contracts.GPRETStaking.address = other.target;
+    
+    const report = await checkDeployment({ manifest, provider: ethers.provider });
+    
+    expect(failures(report)).to.deep.equal(["staking-token"]);
+  });
+  
+  it("Should report contracts missing from the chain", async function () {
+    manifest.contracts.GPRET.address = "0x000000000000000000000000000000000000dEaD";
+    
+    const report = await checkDeployment({ manifest, provider: ethers.provider });
+    
+    expect(failures(report)).to.include("code-deployed");
+    expect(report.results.find(result => result.id === "code-deployed").detail)
+      .to.equal("GPRET has no code at 0x000000000000000000000000000000000000dEaD");
+  });
+  
+  it("Should refuse a manifest from another chain", async function () {
+    let error;
+    try {
+      await checkDeployment({ manifest: { ...manifest, chainId: 1 }, provider: ethers.provider });
+    } catch (err) {
+      error = err;
+    }
+    
+    expect(error.message).to.equal("Manifest for hardhat is for chainId 1, connected to 31337");
+  });
+  
+  it("Should fail the check script when an invariant does not hold", async function () {
+    await gpret.pause();
+    
+    const log = console.log;
+    console.log = () => {};
+    
+    let error;
+    try {
+      await check(hre, { deploymentsDir });
+    } catch (err) {
+      error = err;
+    } finally {
+      console.log = log;
+    }
+    
+    expect(error.message).to.equal("Deployment check failed: not-paused");
+  });
+});
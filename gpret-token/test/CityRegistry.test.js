@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const config = require("../scripts/oracle/config");
+const GPRETCityRegistry = require("../scripts/oracle/city-registry");
+
+describe("GPRET Oracle City Registry", function () {
+  let gpret;
+  let owner;
+  
+  // Mirrors GPRET._initializeCities (weights in percent)
+  const contractCities = [
+    ["New York", 20], ["London", 15], ["Tokyo", 12], ["Hong Kong", 10], ["Singapore", 8],
+    ["Sydney", 8], ["Toronto", 7], ["Dubai", 7], ["Paris", 7], ["Frankfurt", 6]
+  ];
+  
+  function registryFor(cities, cityRegistry = {}) {
+    return new GPRETCityRegistry({
+      config: {
+        ...config,
+        cities,
+        blockchain: { ...config.blockchain, cityRegistry: { onDrift: "refuse", weightTolerance: 0.5, ...cityRegistry } }
+      },
+      contract: gpret
+    });
+  }
+  
+  function alignedCities() {
+    return contractCities.map(([name, weight], i) => ({ id: i + 1, name, weight, active: true }));
+  }
+  
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+    
+    const GPRET = await ethers.getContractFactory("GPRET");
+    gpret = await GPRET.deploy(owner.address);
+    await gpret.waitForDeployment();
+  });
+  
+  it("Should map config ids to on-chain ids by name", async function () {
+    const report = await registryFor(alignedCities()).reconcile();
+    
+    expect(report.inSync).to.be.true;
+    expect(report.mapped).to.have.length(10);
+    expect(report.mapped[0]).to.include({ configId: 1, onChainId: 0, name: "New York" });
+    expect(report.mapped[9]).to.include({ configId: 10, onChainId: 9, name: "Frankfurt" });
+  });
+  
+  it("Should report drift for the default oracle config", async function () {
+    const report = await registryFor(config.cities).reconcile();
+    
+    expect(report.inSync).to.be.false;
+    expect(report.missingOnChain.map(c => c.name)).to.deep.equal(["Seoul", "Zurich"]);
+    expect(report.missingOffChain.map(c => c.name)).to.deep.equal(["Dubai", "Frankfurt"]);
+    expect(report.weightMismatches.map(c => c.name)).to.include("New York");
+  });
+  
+  it("Should honor explicit onChainId mappings", async function () {
+    const cities = alignedCities();
+    cities[7] = { id: 8, name: "Dubai Marina", onChainId: 7, weight: 7, active: true };
+    
+    const report = await registryFor(cities).reconcile();
+    
+    expect(report.inSync).to.be.true;
+    expect(report.mapped[7]).to.include({ configId: 8, onChainId: 7, onChainName: "Dubai" });
+  });
+  
+  it("Should report active state mismatches", async function () {
+    await gpret.toggleCityStatus(2);
+    
+    const report = await registryFor(alignedCities()).reconcile();
+    
+    expect(report.activeMismatches).to.have.length(1);
+    expect(report.activeMismatches[0]).to.include({ name: "Tokyo", configActive: true, onChainActive: false });
+  });
+  
+  it("Should refuse on drift unless the policy is warn", async function () {
+    let error;
+    try {
+      await registryFor(config.cities).resolve();
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.include("Zurich (config 10) missing on-chain");
+    
+    const report = await registryFor(config.cities, { onDrift: "warn" }).resolve();
+    expect(report.inSync).to.be.false;
+  });
+});
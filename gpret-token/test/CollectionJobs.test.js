@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CollectionJobManager = require("../scripts/oracle/collection-jobs");
+
+describe("GPRET Oracle Collection Jobs", function () {
+  let dataDir;
+  let collector;
+  
+  // Stand-in collector whose runs finish when release() is called
+  function slowCollector() {
+    const pending = [];
+    return {
+      runs: 0,
+      cityIds: [],
+      collectAllPrices(options = {}) {
+        this.runs++;
+        this.cityIds.push(options.cityIds || null);
+        return new Promise(resolve => pending.push(resolve));
+      },
+      release(results = { globalIndex: 1000, errors: [] }) {
+        pending.splice(0).forEach(resolve => resolve(results));
+      }
+    };
+  }
+  
+  function writeLock(owner) {
+    fs.writeFileSync(path.join(dataDir, "collection.lock"), JSON.stringify(owner));
+  }
+  
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-jobs-"));
+    collector = slowCollector();
+  });
+  
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it("Should coalesce concurrent triggers onto the running collection", async function () {
+    const jobs = new CollectionJobManager({ collector, dataPath: dataDir });
+    
+    const scheduled = jobs.run({ trigger: "scheduled" });
+    const manual = jobs.run({ trigger: "manual", actor: { type: "api-key", id: "ops" } });
+    
+    expect(jobs.getState().running).to.be.true;
+    expect(jobs.getState().current.coalesced).to.deep.equal([{ trigger: "manual", actor: { type: "api-key", id: "ops" } }]);
+    
+    collector.release();
+    const [first, second] = await Promise.all([scheduled, manual]);
+    
+    expect(collector.runs).to.equal(1);
+    expect(first.coalesced).to.be.false;
+    expect(second.coalesced).to.be.true;
+    expect(second.job.id).to.equal(first.job.id);
+    expect(second.results).to.equal(first.results);
+  });
+  
+  it("Should queue one follow-up run for triggers asking for cities the running job skips", async function () {
+    const jobs = new CollectionJobManager({ collector, dataPath: dataDir });
+    
+    const partial = jobs.run({ trigger: "manual", cityIds: [1] });
+    const covered = jobs.run({ trigger: "manual", cityIds: [1] });
+    const other = jobs.run({ trigger: "manual", cityIds: [2] });
+    const another = jobs.run({ trigger: "manual", cityIds: [3] });
+    
+    expect(jobs.getState().current.coalesced).to.have.length(1);
+    expect(jobs.getState().queued).to.include({ trigger: "manual" });
+    expect(jobs.getState().queued.cityIds).to.deep.equal([2, 3]);
+    
+    collector.release({ globalIndex: 1000, errors: [] });
+    const [first, second] = await Promise.all([partial, covered]);
+    expect(second.job.id).to.equal(first.job.id);
+    
+    // The follow-up starts once the first run has settled
+    await new Promise(resolve => setImmediate(resolve));
+    expect(jobs.getState().current.cityIds).to.deep.equal([2, 3]);
+    expect(jobs.getState().queued).to.be.null;
+    
+    collector.release({ globalIndex: 1001, errors: [] });
+    const [third, fourth] = await Promise.all([other, another]);
+    
+    expect(collector.runs).to.equal(2);
+    expect(collector.cityIds).to.deep.equal([[1], [2, 3]]);
+    expect(third.coalesced).to.be.false;
+    expect(fourth.coalesced).to.be.true;
+    expect(fourth.job.id).to.equal(third.job.id);
+    expect(third.job.id).to.not.equal(first.job.id);
+    expect(third.results.globalIndex).to.equal(1001);
+  });
+  
+  it("Should not coalesce a full collection onto a partial one", async function () {
+    const jobs = new CollectionJobManager({ collector, dataPath: dataDir });
+    
+    const partial = jobs.run({ trigger: "manual", cityIds: [1] });
+    const scheduled = jobs.run({ trigger: "scheduled" });
+    const manual = jobs.run({ trigger: "manual", cityIds: [2] });
+    
+    collector.release();
+    await partial;
+    await new Promise(resolve => setImmediate(resolve));
+    collector.release();
+    const [full, joined] = await Promise.all([scheduled, manual]);
+    
+    expect(collector.cityIds).to.deep.equal([[1], null]);
+    expect(full.job.cityIds).to.be.null;
+    expect(joined.job.id).to.equal(full.job.id);
+  });
+  
+  it("Should hold the lock file while running and record the last job", async function () {
+    const jobs = new CollectionJobManager({ collector, dataPath: dataDir });
+    const events = [];
+    jobs.on("started", job => events.push(`started:${job.trigger}`));
+    jobs.on("completed", job => events.push(`completed:${job.trigger}`));
+    
+    const run = jobs.run({ trigger: "scheduled" });
+    expect(jobs.getState().lock).to.include({ pid: process.pid, trigger: "scheduled" });
+    
+    collector.release({ globalIndex: 1012.5, errors: [] });
+    await run;
+    
+    const state = jobs.getState();
+    expect(state.running).to.be.false;
+    expect(state.lock).to.be.null;
+    expect(state.completedRuns).to.equal(1);
+    expect(state.last).to.include({ trigger: "scheduled", outcome: "completed", globalIndex: 1012.5 });
+    expect(events).to.deep.equal(["started:scheduled", "completed:scheduled"]);
+  });
+  
+  it("Should refuse to run while another process holds the lock", async function () {
+    writeLock({ pid: process.pid, hostname: os.hostname(), jobId: "other", startedAt: new Date().toISOString() });
+    const jobs = new CollectionJobManager({ collector, dataPath: dataDir });
+    
+    let error;
+    try {
+      await jobs.run({ trigger: "manual" });
+    } catch (err) {
+      error = err;
+    }
+    
+    expect(error.code).to.equal("COLLECTION_LOCKED");
+    expect(error.holder.jobId).to.equal("other");
+    expect(collector.runs).to.equal(0);
+    expect(jobs.getState().running).to.be.false;
+  });
+  
+  it("Should take over locks left by dead or long-running processes", async function () {
+    const jobs = new CollectionJobManager({ collector, dataPath: dataDir, lockStaleMs: 60 * 1000 });
+    
+    const stale = [
+      { pid: 2 ** 22 + 1, hostname: os.hostname(), jobId: "dead", startedAt: new Date().toISOString() },
+      { pid: process.pid, hostname: "elsewhere", jobId: "old", startedAt: new Date(Date.now() - 120 * 1000).toISOString() }
+    ];
+    
+    for (const owner of stale) {
+      writeLock(owner);
+      
+      const run = jobs.run({ trigger: "scheduled" });
+      collector.release();
+      await run;
+    }
+    
+    expect(collector.runs).to.equal(2);
+  });
+  
+  it("Should release the lock when the collection throws", async function () {
+    const jobs = new CollectionJobManager({
+      collector: { collectAllPrices: async () => { throw new Error("disk full"); } },
+      dataPath: dataDir
+    });
+    let failed;
+    jobs.on("failed", (job, error) => { failed = error.message; });
+    
+    let error;
+    try {
+      await jobs.run({ trigger: "manual" });
+    } catch (err) {
+      error = err;
+    }
+    
+    expect(error.message).to.equal("disk full");
+    expect(failed).to.equal("disk full");
+    expect(jobs.getState().lock).to.be.null;
+    expect(jobs.getState().last.outcome).to.equal("failed");
+  });
+});
@@ -0,0 +1,86 @@
+const { expect } = require("chai");
+const { ConcurrencyLimiter, FetchScheduler } = require("../scripts/oracle/concurrency");
+
+describe("GPRET Oracle Collection Concurrency", function () {
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  
+  it("Should run at most `limit` tasks at once in FIFO order", async function () {
+    const limiter = new ConcurrencyLimiter(2);
+    const started = [];
+    let active = 0;
+    let maxActive = 0;
+    
+    await Promise.all([1, 2, 3, 4, 5].map(n => limiter.run(async () => {
+      started.push(n);
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(10);
+      active--;
+    })));
+    
+    expect(maxActive).to.equal(2);
+    expect(started).to.deep.equal([1, 2, 3, 4, 5]);
+    expect(limiter.active).to.equal(0);
+    expect(limiter.pending).to.equal(0);
+  });
+  
+  it("Should free the slot when a task fails", async function () {
+    const limiter = new ConcurrencyLimiter(1);
+    
+    const failed = limiter.run(async () => { throw new Error("boom"); });
+    const next = limiter.run(async () => "ok");
+    
+    let error;
+    try {
+      await failed;
+    } catch (err) {
+      error = err;
+    }
+    
+    expect(error.message).to.equal("boom");
+    expect(await next).to.equal("ok");
+  });
+  
+  it("Should abandon running requests and skip queued ones at the deadline", async function () {
+    const source = { id: 1, name: "Source A" };
+    const scheduler = new FetchScheduler({ global: 1, perSource: 1, deadline: 50 });
+    let queuedStarted = false;
+    
+    const outcomes = await Promise.allSettled([
+      scheduler.run(source, () => delay(200).then(() => "late")),
+      scheduler.run(source, async () => { queuedStarted = true; return "queued"; })
+    ]);
+    
+    expect(outcomes.map(o => o.status)).to.deep.equal(["rejected", "rejected"]);
+    expect(outcomes[0].reason.code).to.equal("RUN_DEADLINE_EXCEEDED");
+    expect(outcomes[0].reason.message).to.include("Source A timed out");
+    expect(scheduler.expired).to.be.true;
+    
+    await delay(200);
+    expect(queuedStarted).to.be.false;
+  });
+  
+  it("Should flag abandoned requests so late work can skip its side effects", async function () {
+    const source = { id: 1, name: "Source A" };
+    const scheduler = new FetchScheduler({ global: 1, perSource: 1, deadline: 50 });
+    let flag;
+    
+    const outcome = await scheduler.run(source, async request => {
+      flag = request;
+      await delay(100);
+    }).catch(error => error);
+    
+    expect(outcome.code).to.equal("RUN_DEADLINE_EXCEEDED");
+    expect(flag.abandoned).to.be.true;
+    
+    const finished = await new FetchScheduler({ global: 1, perSource: 1, deadline: 50 }).run(source, async request => request);
+    expect(finished.abandoned).to.be.false;
+  });
+  
+  it("Should not limit run time without a deadline", async function () {
+    const scheduler = new FetchScheduler({ global: 2, perSource: 2 });
+    
+    expect(await scheduler.run({ id: 1, name: "Source A" }, async () => 42)).to.equal(42);
+    expect(scheduler.expired).to.be.false;
+  });
+});
@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DeploymentRegistry, ContractVerifier } = require("../scripts/deployment");
+const verify = require("../scripts/verify");
+
+describe("GPRET Contract Verifier", function () {
+  const { ethers } = hre;
+  
+  const OWNER = "0x1111111111111111111111111111111111111111";
+  const GPRET = "0x2222222222222222222222222222222222222222";
+  const STAKING = "0x3333333333333333333333333333333333333333";
+  
+  let deploymentsDir;
+  let registry;
+  let calls;
+  let sleeps;
+  
+  function verifier(verifyFn, options = {}) {
+    return new ContractVerifier({
+      registry,
+      network: "arbitrumOne",
+      verifyFn: async args => {
+        calls.push(args);
+        return verifyFn(args, calls.length);
+      },
+      retries: 3,
+      retryDelay: 100,
+      sleep: async ms => sleeps.push(ms),
+      log: () => {},
+      ...options
+    });
+  }
+  
+  beforeEach(async function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-verify-"));
+    registry = new DeploymentRegistry({ deploymentsDir });
+    calls = [];
+    sleeps = [];
+    
+    const artifacts = {
+      GPRET: await hre.artifacts.readArtifact("GPRET"),
+      GPRETStaking: await hre.artifacts.readArtifact("GPRETStaking")
+    };
+    for (const network of ["arbitrumOne", "hardhat"]) {
+      registry.publish({
+        network,
+        chainId: 42161,
+        deployer: OWNER,
+        completedAt: "2024-01-01T00:00:00.000Z",
+        contracts: {
+          GPRET: { address: GPRET, txHash: "0xaa", blockNumber: 1, args: [OWNER] },
+          GPRETStaking: { address: STAKING, txHash: "0xbb", blockNumber: 2, args: [GPRET, OWNER] }
+        }
+      }, artifacts);
+    }
+  });
+  
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+  
+  it("Should verify every contract with its recorded constructor arguments", async function () {
+    const results = await verifier(async () => {}).verifyAll();
+    
+    expect(calls).to.deep.equal([
+      { address: GPRET, constructorArguments: [OWNER], contract: "contracts/GPRET.sol:GPRET" },
+      { address: STAKING, constructorArguments: [GPRET, OWNER], contract: "contracts/GPRETStaking.sol:GPRETStaking" }
+    ]);
+    expect(results.GPRET).to.include({ status: "verified", attempts: 1, explorerUrl: `https://arbiscan.io/address/${GPRET}` });
+    expect(results.GPRETStaking.status).to.equal("verified");
+  });
+  
+  it("Should write each contract's result back to the manifest", async function () {
+    await verifier(async ({ contract }) => {
+      if (contract.endsWith("GPRETStaking")) throw new Error("Invalid constructor arguments");
+    }).verifyAll();
+    
+    const manifest = registry.load("arbitrumOne");
+    
+    expect(manifest.contracts.GPRET.verification).to.include({ status: "verified", attempts: 1 });
+    expect(manifest.contracts.GPRET.verification).to.not.have.property("error");
+    expect(manifest.contracts.GPRETStaking.verification).to.include({
+      status: "failed",
+      attempts: 1,
+      error: "Invalid constructor arguments"
+    });
+  });
+  
+  it("Should retry with backoff while the explorer indexes the bytecode", async function () {
+    const results = await verifier(async ({ contract }, call) => {
+      if (contract.endsWith("GPRET") && call < 3) {
+        throw new Error(`The address ${GPRET} does not have bytecode`);
+      }
+    }).verifyAll();
+    
+    expect(results.GPRET).to.include({ status: "verified", attempts: 3 });
+    expect(sleeps).to.deep.equal([100, 200]);
+  });
+  
+  it("Should give up after the configured retries", async function () {
+    const results = await verifier(async () => {
+      throw new Error("Unable to locate ContractCode");
+    }).verifyAll();
+    
+    expect(results.GPRET).to.include({ status: "failed", attempts: 3, error: "Unable to locate ContractCode" });
+    expect(calls).to.have.length(6);
+  });
+  
+  it("Should treat an already verified contract as done", async function () {
+    const results = await verifier(async () => {
+      throw new Error("Contract source code already verified");
+    }).verifyAll();
+    
+    expect(results.GPRET.status).to.equal("already-verified");
+    expect(calls).to.have.length(2);
+  });
+  
+  it("Should only print the encoded arguments in a dry run", async function () {
+    const results = await verifier(async () => {}).verifyAll({ dryRun: true });
+    
+    expect(calls).to.deep.equal([]);
+    expect(results.GPRETStaking).to.deep.equal({
+      status: "dry-run",
+      encodedArgs: ethers.AbiCoder.defaultAbiCoder().encode(["address", "address"], [GPRET, OWNER])
+    });
+    expect(registry.load("arbitrumOne").contracts.GPRET).to.not.have.property("verification");
+  });
+  
+  it("Should refuse arguments that do not match the constructor", function () {
+    const entry = { ...registry.load("arbitrumOne").contracts.GPRETStaking, args: [GPRET] };
+    
+    expect(() => ContractVerifier.encodeArgs(entry)).to.throw("takes 2 constructor arguments, 1 recorded");
+  });
+  
+  it("Should keep verification results when a deployment is republished unchanged", async function () {
+    await verifier(async () => {}).verifyAll();
+    const { contracts } = registry.load("arbitrumOne");
+    
+    registry.publish({
+      network: "arbitrumOne",
+      chainId: 42161,
+      deployer: OWNER,
+      completedAt: "2024-01-01T00:00:00.000Z",
+      contracts: {
+        GPRET: { address: GPRET, txHash: "0xaa", blockNumber: 1, args: [OWNER] },
+        GPRETStaking: { address: STAKING, txHash: "0xbb", blockNumber: 2, args: [GPRET, OWNER] }
+      }
+    }, { GPRET: await hre.artifacts.readArtifact("GPRET"), GPRETStaking: await hre.artifacts.readArtifact("GPRETStaking") });
+    
+    expect(registry.load("arbitrumOne").contracts.GPRET.verification).to.deep.equal(contracts.GPRET.verification);
+  });
+  
+  it("Should fail the verify script when a contract fails", async function () {
+    const log = console.log;
+    console.log = () => {};
+    
+    let error;
+    try {
+      await verify(hre, {
+        deploymentsDir,
+        verifyFn: async () => {
+          throw new Error("Invalid API key");
+        }
+      });
+    } catch (err) {
+      error = err;
+    } finally {
+      console.log = log;
+    }
+    
+    expect(error.message).to.equal("Verification failed for GPRET, GPRETStaking");
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../scripts/oracle/config");
+const { CITIES, staticSources, buildConfig } = require("./helpers/oracle-config");
+const GPRETOracleCollector = require("../scripts/oracle/price-collector");
+const { PriceSimulator, mulberry32 } = require("../scripts/oracle/simulator");
+
+describe("GPRET Oracle Data Modes", function () {
+  let dataDir;
+  
+  function collectorFor(data, dataSources = []) {
+    return new GPRETOracleCollector({
+      config: buildConfig(dataDir, { dataSources, data: { ...config.data, ...data } }),
+      publisher: null
+    });
+  }
+  
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-modes-"));
+  });
+  
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  describe("Simulator", function () {
+    it("Should produce the same sequence for the same seed", function () {
+      const a = mulberry32(42);
+      const b = mulberry32(42);
+      const sequence = [a(), a(), a()];
+      
+      expect([b(), b(), b()]).to.deep.equal(sequence);
+      expect(sequence.every(value => value >= 0 && value < 1)).to.be.true;
+      expect(mulberry32(43)()).to.not.equal(sequence[0]);
+    });
+    
+    it("Should walk each city from its base price deterministically", function () {
+      const simulator = new PriceSimulator({ seed: 7, volatility: 1.5, drift: 0.1 });
+      const again = new PriceSimulator({ seed: 7, volatility: 1.5, drift: 0.1 });
+      
+      expect(simulator.priceAt(CITIES[0], 0)).to.equal(15000);
+      expect(simulator.priceAt(CITIES[0], 30)).to.equal(again.priceAt(CITIES[0], 30));
+      expect(simulator.priceAt(CITIES[0], 1)).to.not.equal(15000);
+      expect(simulator.priceAt(CITIES[0], 1)).to.be.within(15000 * 0.9, 15000 * 1.1);
+      
+      // Cities walk independently
+      const newYork = simulator.priceAt(CITIES[0], 5) / 15000;
+      const london = simulator.priceAt(CITIES[1], 5) / 12000;
+      expect(newYork).to.not.equal(london);
+    });
+  });
+  
+  describe("Collection", function () {
+    it("Should tag live results as real data", async function () {
+      const collector = collectorFor({ mode: "live" }, staticSources());
+      
+      const results = await collector.collectAllPrices();
+      
+      expect(results).to.include({ dataMode: "live", synthetic: false });
+      expect(results.cities[0]).to.include({ dataOrigin: "live", synthetic: false, averagePrice: 15000 });
+    });
+    
+    it("Should flag cities without quotes instead of inventing prices", async function () {
+      const collector = collectorFor({ mode: "live" }, []);
+      
+      const results = await collector.collectAllPrices();
+      
+      expect(results.cities[0]).to.include({ dataOrigin: "none", synthetic: false, averagePrice: 0, sources: 0 });
+      expect(results.cities[0].validation.status).to.equal("flagged");
+      expect(results.cities[0].prices).to.have.length(0);
+      expect(results.errors.map(e => e.error)).to.include("Flagged: No usable quotes from any source");
+    });
+    
+    it("Should serve the same simulated prices for the same seed and step", async function () {
+      const first = await collectorFor({ mode: "simulated", simulation: { seed: 7, volatility: 1.5, drift: 0.1 } }).collectAllPrices();
+      const expected = new PriceSimulator({ seed: 7, volatility: 1.5, drift: 0.1 }).priceAt(CITIES[0], 1);
+      
+      expect(first).to.include({ dataMode: "simulated", synthetic: true });
+      expect(first.cities[0]).to.include({ dataOrigin: "simulated", synthetic: true, averagePrice: expected });
+      expect(first.cities[0].prices[0]).to.include({ source: "Simulator", synthetic: true });
+      
+      // The step persists across collectors, so the walk continues
+      const second = await collectorFor({ mode: "simulated", simulation: { seed: 7, volatility: 1.5, drift: 0.1 } }).collectAllPrices();
+      const step2 = new PriceSimulator({ seed: 7, volatility: 1.5, drift: 0.1 }).priceAt(CITIES[0], 2);
+      expect(second.cities[0].validation.collectedPrice).to.equal(step2);
+      expect(collectorFor({ mode: "simulated", simulation: { seed: 7, volatility: 1.5, drift: 0.1 } }).dataMode.describe())
+        .to.include({ mode: "simulated", seed: 7, step: 2 });
+    });
+    
+    it("Should replay recorded snapshots in order", async function () {
+      const replayFile = path.join(dataDir, "recorded.json");
+      fs.writeFileSync(replayFile, JSON.stringify([
+        { timestamp: "2025-01-01T00:00:00.000Z", cities: [{ id: 1, price: 15100, confidence: 90 }, { id: 2, price: 12100, confidence: 90 }] },
+        { timestamp: "2025-01-02T00:00:00.000Z", cities: [{ id: 1, price: 15200, confidence: 90 }] }
+      ]));
+      
+      const collector = collectorFor({ mode: "replay", replay: { file: replayFile } });
+      
+      const first = await collector.collectAllPrices();
+      expect(first).to.include({ dataMode: "replay", synthetic: true });
+      expect(first.cities.map(city => city.averagePrice)).to.deep.equal([15100, 12100]);
+      expect(first.cities[0].prices[0]).to.include({ source: "Replay", recordedAt: "2025-01-01T00:00:00.000Z" });
+      
+      const second = await collector.collectAllPrices();
+      expect(second.cities[0].averagePrice).to.equal(15200);
+      expect(second.cities[1]).to.include({ dataOrigin: "none" });
+      expect(collector.dataMode.describe()).to.include({ snapshot: 1, snapshots: 2 });
+    });
+    
+    it("Should reject unknown modes and replay without a file", function () {
+      expect(() => collectorFor({ mode: "mock" })).to.throw('Unknown data mode "mock"');
+      expect(() => collectorFor({ mode: "replay", replay: { file: "" } })).to.throw("Replay mode needs data.replay.file");
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const express = require("express");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAdapter, registerAdapter } = require("../scripts/oracle/adapters");
+const { getByPath, buildQuote } = require("../scripts/oracle/adapters/utils");
+
+describe("GPRET Oracle Data Source Adapters", function () {
+  const newYork = { id: 1, name: "New York", country: "US", coords: "40.7128,-74.0060", basePriceUSD: 15000 };
+  const london = { id: 2, name: "London", country: "UK", coords: "51.5074,-0.1278", basePriceUSD: 12000 };
+  
+  let tmpDir;
+  
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-adapters-"));
+  });
+  
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+  
+  describe("REST adapter", function () {
+    let server;
+    let baseUrl;
+    let lastRequest;
+    
+    before(function (done) {
+      const app = express();
+      app.get("/prices/:cityId", (req, res) => {
+        lastRequest = { params: req.params, query: req.query, apiKey: req.get("x-api-key") };
+        if (req.params.cityId === "404") {
+          return res.status(404).json({ error: "unknown city" });
+        }
+        res.json({
+          data: {
+            quotes: [{ pricePerSqm: 15250, confidence: 91, updatedAt: "2025-01-20T10:00:00.000Z" }]
+          }
+        });
+      });
+      server = app.listen(0, "127.0.0.1", () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+    
+    after(function (done) {
+      server.close(done);
+    });
+    
+    function restSource(overrides = {}) {
+      return {
+        id: 1,
+        name: "Local REST",
+        type: "rest",
+        endpoint: `${baseUrl}/prices/{cityId}`,
+        params: { city: "{city}" },
+        apiKey: "test-key",
+        timeout: 2000,
+        response: {
+          pricePath: "$.data.quotes[0].pricePerSqm",
+          confidencePath: "data.quotes[0].confidence",
+          timestampPath: "data.quotes[0].updatedAt"
+        },
+        ...overrides
+      };
+    }
+    
+    it("Should request the templated endpoint and parse the quote", async function () {
+      const quote = await createAdapter(restSource()).fetchPrice(newYork);
+      
+      expect(quote).to.deep.equal({
+        price: 15250,
+        confidence: 91,
+        timestamp: "2025-01-20T10:00:00.000Z"
+      });
+      expect(lastRequest.params.cityId).to.equal("1");
+      expect(lastRequest.query.city).to.equal("New York");
+      expect(lastRequest.apiKey).to.equal("test-key");
+    });
+    
+    it("Should reject when the price path is missing", async function () {
+      const adapter = createAdapter(restSource({ response: { pricePath: "data.missing" } }));
+      
+      let error;
+      try {
+        await adapter.fetchPrice(newYork);
+      } catch (err) {
+        error = err;
+      }
+      
+      expect(error.message).to.include("No valid price");
+    });
+    
+    it("Should reject on HTTP errors", async function () {
+      const adapter = createAdapter(restSource({ endpoint: `${baseUrl}/prices/404` }));
+      
+      let error;
+      try {
+        await adapter.fetchPrice(newYork);
+      } catch (err) {
+        error = err;
+      }
+      
+      expect(error.message).to.include("404");
+    });
+    
+    it("Should require an endpoint and price path", function () {
+      expect(() => createAdapter(restSource({ endpoint: "" }))).to.throw("has no endpoint");
+      expect(() => createAdapter(restSource({ response: {} }))).to.throw("has no response.pricePath");
+    });
+  });
+  
+  describe("File adapters", function () {
+    it("Should read city prices from a JSON file", async function () {
+      const file = path.join(tmpDir, "prices.json");
+      fs.writeFileSync(file, JSON.stringify({
+        cities: { "New York": { price: 14900, confidence: 88 } }
+      }));
+      
+      const adapter = createAdapter({
+        name: "Local JSON",
+        type: "json-file",
+        file,
+        response: { pricePath: "cities.{city}.price", confidencePath: "cities.{city}.confidence" }
+      });
+      
+      const quote = await adapter.fetchPrice(newYork);
+      expect(quote.price).to.equal(14900);
+      expect(quote.confidence).to.equal(88);
+    });
+    
+    it("Should read the newest CSV row for a city", async function () {
+      const file = path.join(tmpDir, "prices.csv");
+      fs.writeFileSync(file, [
+        "city,price_per_sqm,confidence,timestamp",
+        "New York,14000,80,2025-01-01T00:00:00Z",
+        "\"New York\",15500,95,2025-01-15T00:00:00Z",
+        "London,12100,90,2025-01-15T00:00:00Z"
+      ].join("\n"));
+      
+      const adapter = createAdapter({
+        name: "Local CSV",
+        type: "csv-file",
+        file,
+        columns: { price: "price_per_sqm" }
+      });
+      
+      const quote = await adapter.fetchPrice(newYork);
+      expect(quote.price).to.equal(15500);
+      expect(quote.confidence).to.equal(95);
+      expect(quote.timestamp).to.equal("2025-01-15T00:00:00.000Z");
+      
+      let error;
+      try {
+        await adapter.fetchPrice({ id: 9, name: "Seoul" });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.include("No CSV row for Seoul");
+    });
+  });
+  
+  describe("Static adapter", function () {
+    it("Should return configured prices and fall back to base prices", async function () {
+      const adapter = createAdapter({
+        name: "Fixed",
+        type: "static",
+        prices: { "New York": 16000 },
+        useBasePrice: true,
+        confidence: 70
+      });
+      
+      expect((await adapter.fetchPrice(newYork)).price).to.equal(16000);
+      expect((await adapter.fetchPrice(london)).price).to.equal(12000);
+      expect((await adapter.fetchPrice(london)).confidence).to.equal(70);
+    });
+  });
+  
+  describe("Registry", function () {
+    it("Should reject unknown source types", function () {
+      expect(() => createAdapter({ name: "Unknown", type: "ftp" })).to.throw("Unknown data source type");
+    });
+    
+    it("Should allow registering custom adapter types", async function () {
+      registerAdapter("fixed-test", class {
+        async fetchPrice() {
+          return { price: 1234, confidence: 99, timestamp: "2025-01-01T00:00:00.000Z" };
+        }
+      });
+      
+      const quote = await createAdapter({ name: "Custom", type: "fixed-test" }).fetchPrice(newYork);
+      expect(quote.price).to.equal(1234);
+    });
+    
+    it("Should resolve JSON paths with array indexes", function () {
+      expect(getByPath({ a: { b: [{ c: 5 }] } }, "$.a.b[0].c")).to.equal(5);
+      expect(getByPath({ a: 1 }, "a.b.c")).to.equal(undefined);
+    });
+    
+    it("Should fall back to the current time for unparseable quote timestamps", function () {
+      const source = { name: "Custom" };
+      
+      expect(buildQuote(source, { price: 1000, timestamp: "2025-01-15T00:00:00Z" }).timestamp).to.equal("2025-01-15T00:00:00.000Z");
+      for (const timestamp of ["not a date", 1e20, {}]) {
+        const quote = buildQuote(source, { price: 1000, timestamp });
+        expect(Date.now() - Date.parse(quote.timestamp), String(timestamp)).to.be.within(0, 1000);
+      }
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runDeployment, gpretSteps, rolesFor, verifyRoles } = require("../scripts/deployment");
+
+describe("GPRET Deployment Pipeline", function () {
+  const { ethers } = hre;
+  
+  let deploymentsDir;
+  let deployer;
+  let oracle;
+  let multisig;
+  let logs;
+  
+  function deploy(options = {}) {
+    return runDeployment(hre, { deploymentsDir, log: line => logs.push(line), ...options });
+  }
+  
+  function readRecord() {
+    return JSON.parse(fs.readFileSync(path.join(deploymentsDir, "hardhat.json"), "utf8"));
+  }
+  
+  beforeEach(async function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-deploy-"));
+    [deployer, , oracle, multisig] = await ethers.getSigners();
+    logs = [];
+  });
+  
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+  
+  it("Should deploy and configure GPRET and staking with the current constructors", async function () {
+    const deployment = await deploy({ oracle: oracle.address });
+    
+    const gpret = await ethers.getContractAt("GPRET", deployment.contracts.GPRET.address);
+    const staking = await ethers.getContractAt("GPRETStaking", deployment.contracts.GPRETStaking.address);
+    
+    expect(await gpret.owner()).to.equal(deployer.address);
+    expect(await gpret.balanceOf(deployer.address)).to.equal(await gpret.totalSupply());
+    expect(await gpret.oracleAddress()).to.equal(oracle.address);
+    expect(await staking.gpretToken()).to.equal(deployment.contracts.GPRET.address);
+    expect(await staking.owner()).to.equal(deployer.address);
+    
+    expect(deployment.chainId).to.equal(31337);
+    expect(deployment.completedAt).to.be.a("string");
+    expect(deployment.contracts.GPRETStaking.args).to.deep.equal([deployment.contracts.GPRET.address, deployer.address]);
+    expect(Object.keys(deployment.steps)).to.deep.equal([
+      "deploy-gpret", "deploy-staking", "set-oracle", "transfer-gpret-ownership", "transfer-staking-ownership"
+    ]);
+    expect(readRecord()).to.deep.equal(deployment);
+  });
+  
+  it("Should skip steps that are already done", async function () {
+    const first = await deploy();
+    logs = [];
+    
+    const second = await deploy();
+    
+    expect(second.contracts).to.deep.equal(first.contracts);
+    expect(logs.filter(line => line.includes("(done)"))).to.have.length(5);
+  });
+  
+  it("Should resume from the step that failed", async function () {
+    const steps = gpretSteps();
+    const failing = [...steps.slice(0, 2), { ...steps[2], run: async () => { throw new Error("RPC dropped"); } }];
+    
+    let error;
+    try {
+      await deploy({ steps: failing });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal("RPC dropped");
+    
+    const partial = readRecord();
+    expect(partial.completedAt).to.be.null;
+    expect(partial.steps["deploy-staking"].status).to.equal("done");
+    expect(partial.steps["set-oracle"]).to.be.undefined;
+    
+    const resumed = await deploy({ oracle: oracle.address });
+    
+    expect(resumed.contracts).to.deep.equal(partial.contracts);
+    expect(resumed.steps["set-oracle"]).to.include({ status: "done", oracle: oracle.address });
+    expect(resumed.completedAt).to.be.a("string");
+  });
+  
+  it("Should adopt a deployment broadcast before an interrupted run stopped", async function () {
+    await deploy({ steps: gpretSteps().slice(0, 1) });
+    
+    // Broadcast the staking deployment, then stop before it was recorded as done
+    const record = readRecord();
+    const Staking = await ethers.getContractFactory("GPRETStaking");
+    const staking = await Staking.deploy(record.contracts.GPRET.address, deployer.address);
+    record.steps["deploy-staking"] = { status: "pending", txHash: staking.deploymentTransaction().hash };
+    fs.writeFileSync(path.join(deploymentsDir, "hardhat.json"), JSON.stringify(record));
+    
+    const resumed = await deploy();
+    
+    expect(resumed.contracts.GPRETStaking.address).to.equal(staking.target);
+    expect(logs.some(line => line.includes("Resuming GPRETStaking deployment"))).to.be.true;
+  });
+  
+  it("Should start over when the recorded contracts are not on the chain", async function () {
+    fs.writeFileSync(path.join(deploymentsDir, "hardhat.json"), JSON.stringify({
+      network: "hardhat",
+      chainId: 31337,
+      contracts: { GPRET: { address: "0x000000000000000000000000000000000000dEaD" } },
+      steps: { "deploy-gpret": { status: "done" } }
+    }));
+    
+    const deployment = await deploy();
+    
+    expect(deployment.contracts.GPRET.address).to.not.equal("0x000000000000000000000000000000000000dEaD");
+    expect(await ethers.provider.getCode(deployment.contracts.GPRET.address)).to.not.equal("0x");
+  });
+  
+  it("Should refuse a record from another chain", async function () {
+    fs.writeFileSync(path.join(deploymentsDir, "hardhat.json"), JSON.stringify({
+      network: "hardhat", chainId: 1, contracts: {}, steps: {}
+    }));
+    
+    let error;
+    try {
+      await deploy();
+    } catch (err) {
+      error = err;
+    }
+    
+    expect(error.message).to.include("is for chainId 1, connected to 31337");
+  });
+  
+  describe("Roles", function () {
+    // The in-process chain under another network's name, to exercise the public-network rules
+    const asMainnet = () => ({ ...hre, network: { ...hre.network, name: "mainnet" } });
+    
+    it("Should hand ownership of both contracts and the oracle role over", async function () {
+      const deployment = await deploy({ owner: multisig.address, oracle: oracle.address });
+      
+      const gpret = await ethers.getContractAt("GPRET", deployment.contracts.GPRET.address);
+      const staking = await ethers.getContractAt("GPRETStaking", deployment.contracts.GPRETStaking.address);
+      
+      expect(await gpret.owner()).to.equal(multisig.address);
+      expect(await staking.owner()).to.equal(multisig.address);
+      expect(await gpret.oracleAddress()).to.equal(oracle.address);
+      expect(deployment.steps["transfer-gpret-ownership"]).to.include({ owner: multisig.address, previousOwner: deployer.address });
+      expect(deployment.steps["transfer-staking-ownership"].txHash).to.be.a("string");
+    });
+    
+    it("Should require an owner and oracle other than the deployer off local networks", async function () {
+      const errors = [];
+      for (const options of [{ oracle: oracle.address }, { owner: multisig.address, oracle: deployer.address }]) {
+        try {
+          await runDeployment(asMainnet(), { deploymentsDir, log: () => {}, ...options });
+        } catch (err) {
+          errors.push(err.message);
+        }
+      }
+      
+      expect(errors).to.deep.equal([
+        "No owner configured for mainnet; set MAINNET_OWNER_ADDRESS or DEPLOY_OWNER_ADDRESS",
+        `The oracle on mainnet must not be the deployer ${deployer.address}`
+      ]);
+      expect(fs.existsSync(path.join(deploymentsDir, "mainnet.json"))).to.be.false;
+    });
+    
+    it("Should check roles strictly off local networks", async function () {
+      const deployment = await runDeployment(asMainnet(), {
+        deploymentsDir,
+        log: line => logs.push(line),
+        owner: multisig.address,
+        oracle: oracle.address,
+        confirmations: 1
+      });
+      
+      expect(deployment.network).to.equal("mainnet");
+      expect(logs.some(line => line.includes("a multisig or timelock is expected"))).to.be.true;
+    });
+    
+    it("Should fail loudly when the deployer still holds a role", async function () {
+      const deployment = await deploy();
+      
+      let error;
+      try {
+        await verifyRoles({
+          ethers,
+          deployment,
+          deployer: deployer.address,
+          owner: deployer.address,
+          oracle: deployer.address,
+          strict: true
+        });
+      } catch (err) {
+        error = err;
+      }
+      
+      expect(error.message).to.include("Deployer still owns GPRET");
+      expect(error.message).to.include("Deployer still owns GPRETStaking");
+      expect(error.message).to.include("Deployer is still the GPRET oracle");
+    });
+    
+    it("Should read roles per network before the shared defaults", function () {
+      const env = {
+        DEPLOY_OWNER_ADDRESS: "0x1111111111111111111111111111111111111111",
+        DEPLOY_ORACLE_ADDRESS: "0x2222222222222222222222222222222222222222",
+        ARBITRUM_OWNER_ADDRESS: "0x3333333333333333333333333333333333333333"
+      };
+      
+      expect(rolesFor("arbitrumOne", env)).to.deep.equal({
+        owner: env.ARBITRUM_OWNER_ADDRESS,
+        oracle: env.DEPLOY_ORACLE_ADDRESS
+      });
+      expect(rolesFor("mainnet", env)).to.deep.equal({
+        owner: env.DEPLOY_OWNER_ADDRESS,
+        oracle: env.DEPLOY_ORACLE_ADDRESS
+      });
+      expect(rolesFor("mainnet", {})).to.deep.equal({ owner: undefined, oracle: undefined });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runDeployment, DeploymentRegistry } = require("../scripts/deployment");
+const config = require("../scripts/oracle/config");
+
+describe("GPRET Deployments Registry", function () {
+  const { ethers } = hre;
+  
+  let deploymentsDir;
+  let registry;
+  let artifacts;
+  
+  function record(network, addresses, completedAt = "2024-01-01T00:00:00.000Z") {
+    return {
+      network,
+      chainId: 31337,
+      deployer: "0x1111111111111111111111111111111111111111",
+      completedAt,
+      contracts: {
+        GPRET: { address: addresses[0], txHash: "0xaa", blockNumber: 1, args: ["0x1111111111111111111111111111111111111111"] },
+        GPRETStaking: { address: addresses[1], txHash: "0xbb", blockNumber: 2, args: [addresses[0], "0x1111111111111111111111111111111111111111"] }
+      }
+    };
+  }
+  
+  const FIRST = ["0x2222222222222222222222222222222222222222", "0x3333333333333333333333333333333333333333"];
+  const SECOND = ["0x4444444444444444444444444444444444444444", "0x5555555555555555555555555555555555555555"];
+  
+  before(async function () {
+    artifacts = {
+      GPRET: await hre.artifacts.readArtifact("GPRET"),
+      GPRETStaking: await hre.artifacts.readArtifact("GPRETStaking")
+    };
+  });
+  
+  beforeEach(function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-registry-"));
+    registry = new DeploymentRegistry({ deploymentsDir });
+  });
+  
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+  
+  it("Should publish a manifest with ABIs, arguments and bytecode hashes after deploying", async function () {
+    const deployment = await runDeployment(hre, { deploymentsDir, log: () => {} });
+    
+    const manifest = registry.load("hardhat");
+    const gpret = manifest.contracts.GPRET;
+    
+    expect(manifest).to.include({ network: "hardhat", chainId: 31337, deployer: deployment.deployer });
+    expect(gpret).to.include({
+      contract: "contracts/GPRET.sol:GPRET",
+      address: deployment.contracts.GPRET.address,
+      blockNumber: deployment.contracts.GPRET.blockNumber,
+      bytecodeHash: ethers.keccak256(artifacts.GPRET.bytecode)
+    });
+    expect(gpret.abi).to.deep.equal(artifacts.GPRET.abi);
+    expect(manifest.contracts.GPRETStaking.args).to.deep.equal(deployment.contracts.GPRETStaking.args);
+    expect(manifest.history).to.deep.equal([]);
+  });
+  
+  it("Should keep the manifest it replaces in history when addresses change", function () {
+    registry.publish(record("localhost", FIRST), artifacts);
+    registry.publish(record("localhost", FIRST), artifacts);
+    expect(registry.load("localhost").history).to.have.length(0);
+    
+    const manifest = registry.publish(record("localhost", SECOND, "2024-02-01T00:00:00.000Z"), artifacts);
+    
+    expect(manifest.contracts.GPRET.address).to.equal(SECOND[0]);
+    expect(manifest.history).to.have.length(1);
+    expect(manifest.history[0]).to.deep.include({ deployedAt: "2024-01-01T00:00:00.000Z" });
+    expect(manifest.history[0].contracts.GPRET).to.deep.equal({
+      address: FIRST[0],
+      txHash: "0xaa",
+      blockNumber: 1,
+      args: ["0x1111111111111111111111111111111111111111"],
+      bytecodeHash: ethers.keccak256(artifacts.GPRET.bytecode)
+    });
+  });
+  
+  it("Should look manifests up by chainId, ignoring ephemeral networks", function () {
+    registry.publish(record("hardhat", SECOND), artifacts);
+    expect(registry.loadByChainId(31337)).to.be.null;
+    
+    registry.publish(record("localhost", FIRST), artifacts);
+    registry.publish(record("hardhat", SECOND), artifacts);
+    
+    expect(registry.loadByChainId(31337).contracts.GPRET.address).to.equal(FIRST[0]);
+    expect(registry.loadByChainId("31337").network).to.equal("localhost");
+    expect(registry.loadByChainId(1)).to.be.null;
+  });
+  
+  describe("Oracle configuration", function () {
+    let saved;
+    
+    beforeEach(function () {
+      saved = JSON.parse(JSON.stringify({
+        deployments: config.blockchain.deployments,
+        deployment: config.blockchain.deployment,
+        contracts: config.blockchain.contracts,
+        network: config.blockchain.network
+      }));
+      config.blockchain.network = "hardhat";
+      config.blockchain.deployments.directory = deploymentsDir;
+      config.blockchain.contracts.gpret = { address: "", abi: [] };
+      config.blockchain.contracts.staking = { address: "", abi: [] };
+    });
+    
+    afterEach(function () {
+      Object.assign(config.blockchain, saved);
+    });
+    
+    it("Should take contract addresses and ABIs from the manifest for its chainId", function () {
+      registry.publish(record("localhost", FIRST), artifacts);
+      
+      const manifest = config.loadDeployment();
+      
+      expect(manifest.network).to.equal("localhost");
+      expect(config.blockchain.contracts.gpret.address).to.equal(FIRST[0]);
+      expect(config.blockchain.contracts.gpret.abi).to.deep.equal(artifacts.GPRET.abi);
+      expect(config.blockchain.contracts.staking.address).to.equal(FIRST[1]);
+      expect(config.blockchain.deployment).to.deep.equal({
+        network: "localhost",
+        chainId: 31337,
+        deployedAt: "2024-01-01T00:00:00.000Z"
+      });
+    });
+    
+    it("Should let an address from the environment win over the manifest", function () {
+      registry.publish(record("localhost", FIRST), artifacts);
+      config.blockchain.contracts.gpret.address = SECOND[0];
+      
+      config.loadDeployment();
+      
+      expect(config.blockchain.contracts.gpret.address).to.equal(SECOND[0]);
+      expect(config.blockchain.contracts.gpret.abi).to.deep.equal([]);
+      expect(config.blockchain.contracts.staking.address).to.equal(FIRST[1]);
+    });
+    
+    it("Should leave the configuration alone without a manifest", function () {
+      expect(config.loadDeployment()).to.be.null;
+      expect(config.blockchain.contracts.gpret.address).to.equal("");
+    });
+  });
+});
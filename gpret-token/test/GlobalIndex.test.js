@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const GlobalIndexCalculator = require("../scripts/oracle/global-index");
+
+describe("GPRET Oracle Global Index", function () {
+  let dataDir;
+  
+  function city(id, name, averagePrice, weight) {
+    return { id, name, averagePrice, weight };
+  }
+  
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-index-"));
+  });
+  
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it("Should start at the base index on the first snapshot", function () {
+    const calculator = new GlobalIndexCalculator({ baseIndex: 1000, dataPath: dataDir });
+    
+    const result = calculator.calculate([city(1, "New York", 15000, 60), city(2, "London", 12000, 40)], "t0");
+    
+    expect(result.value).to.equal(1000);
+    expect(result.base).to.include({ value: 1000, timestamp: "t0" });
+  });
+  
+  it("Should weight city price relatives by the configured weights", function () {
+    const calculator = new GlobalIndexCalculator({ baseIndex: 1000, dataPath: dataDir });
+    calculator.calculate([city(1, "New York", 15000, 60), city(2, "London", 12000, 40)], "t0");
+    
+    // New York +10% at 60% weight, London flat
+    const result = calculator.calculate([city(1, "New York", 16500, 60), city(2, "London", 12000, 40)], "t1");
+    
+    expect(result.value).to.equal(1060);
+    expect(result.chainLinked).to.equal(null);
+  });
+  
+  it("Should persist the base snapshot across restarts", function () {
+    const first = new GlobalIndexCalculator({ baseIndex: 1000, dataPath: dataDir });
+    first.calculate([city(1, "New York", 15000, 100)], "t0");
+    first.save();
+    
+    const second = new GlobalIndexCalculator({ baseIndex: 1000, dataPath: dataDir });
+    const result = second.calculate([city(1, "New York", 13500, 100)], "t1");
+    
+    expect(result.value).to.equal(900);
+    expect(result.base.timestamp).to.equal("t0");
+  });
+  
+  it("Should chain-link when a city is added so the series does not jump", function () {
+    const calculator = new GlobalIndexCalculator({ baseIndex: 1000, dataPath: dataDir });
+    calculator.calculate([city(1, "New York", 15000, 50), city(2, "London", 12000, 50)], "t0");
+    calculator.calculate([city(1, "New York", 16500, 50), city(2, "London", 13200, 50)], "t1");
+    
+    // Seoul joins while existing cities are flat: the index stays at 1100
+    const linked = calculator.calculate([
+      city(1, "New York", 16500, 50), city(2, "London", 13200, 50), city(9, "Seoul", 6000, 50)
+    ], "t2");
+    
+    expect(linked.value).to.equal(1100);
+    expect(linked.chainLinked.reason).to.equal("added Seoul");
+    
+    // Seoul +30% at a third of the new basket's weight
+    const next = calculator.calculate([
+      city(1, "New York", 16500, 50), city(2, "London", 13200, 50), city(9, "Seoul", 7800, 50)
+    ], "t3");
+    
+    expect(next.value).to.equal(1210);
+  });
+  
+  it("Should chain-link when a city is deactivated", function () {
+    const calculator = new GlobalIndexCalculator({ baseIndex: 1000, dataPath: dataDir });
+    calculator.calculate([city(1, "New York", 15000, 50), city(2, "London", 12000, 50)], "t0");
+    
+    // London drops out while New York rose 20%: evaluated on the overlap (New York only)
+    const result = calculator.calculate([city(1, "New York", 18000, 50)], "t1");
+    
+    expect(result.value).to.equal(1200);
+    expect(result.chainLinked.reason).to.equal("removed London");
+    expect(calculator.state.chainLinks).to.have.length(1);
+  });
+  
+  it("Should carry a city's last price through a one-run gap without chain-linking", function () {
+    const calculator = new GlobalIndexCalculator({ baseIndex: 1000, dataPath: dataDir });
+    calculator.calculate([city(1, "New York", 15000, 50), city(2, "London", 12000, 50)], "t0");
+    calculator.calculate([city(1, "New York", 15000, 50), city(2, "London", 13200, 50)], "t1");
+    
+    // London unpriced: its +10% is carried, New York +20%
+    const gap = calculator.calculate([city(1, "New York", 18000, 50), city(2, "London", 0, 50)], "t2");
+    
+    expect(gap.value).to.equal(1150);
+    expect(gap.chainLinked).to.equal(null);
+    
+    // London back: relatives are still against the original base
+    const back = calculator.calculate([city(1, "New York", 18000, 50), city(2, "London", 12000, 50)], "t3");
+    
+    expect(back.value).to.equal(1100);
+    expect(back.base).to.include({ link: 1000, chainLinks: 0 });
+  });
+});
@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { buildConfig } = require("./helpers/oracle-config");
+const GPRETOracleCollector = require("../scripts/oracle/price-collector");
+const { createHistoryStore, toSnapshot } = require("../scripts/oracle/storage");
+
+describe("GPRET Oracle History Store", function () {
+  let dataDir;
+  
+  function snapshot(i) {
+    return { timestamp: new Date(Date.UTC(2025, 0, 1 + i)).toISOString(), globalIndex: 1000 + i, citiesCount: 0, cities: [] };
+  }
+  
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-history-"));
+  });
+  
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it("Should keep history across collector restarts", async function () {
+    const first = new GPRETOracleCollector({ config: buildConfig(dataDir), publisher: null });
+    await first.collectAllPrices();
+    await first.collectAllPrices();
+    
+    const restarted = new GPRETOracleCollector({ config: buildConfig(dataDir), publisher: null });
+    expect(restarted.history.size).to.equal(2);
+    
+    await restarted.collectAllPrices();
+    
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, "price-history.json"), "utf8"));
+    expect(stored).to.have.length(3);
+    expect(restarted.getPriceStats().current).to.equal(stored[2].globalIndex);
+  });
+  
+  it("Should store per-city prices in each snapshot", async function () {
+    const collector = new GPRETOracleCollector({ config: buildConfig(dataDir), publisher: null });
+    const results = await collector.collectAllPrices();
+    const confidence = results.cities[0].confidence;
+    
+    const [entry] = collector.history.getAll();
+    expect(entry.citiesCount).to.equal(2);
+    expect(entry.averageConfidence).to.equal(confidence);
+    expect(entry.cities).to.deep.equal([
+      { id: 1, name: "New York", price: 15000, confidence, sources: 1, status: "accepted", synthetic: false },
+      { id: 2, name: "London", price: 12000, confidence, sources: 1, status: "accepted", synthetic: false }
+    ]);
+  });
+  
+  it("Should enforce maxHistoryEntries", function () {
+    const store = createHistoryStore({ backend: "json", maxHistoryEntries: 3 }, dataDir);
+    for (let i = 0; i < 5; i++) store.append(snapshot(i));
+    
+    const reloaded = createHistoryStore({ backend: "json", maxHistoryEntries: 3 }, dataDir);
+    expect(reloaded.getAll().map(entry => entry.globalIndex)).to.deep.equal([1002, 1003, 1004]);
+  });
+  
+  it("Should write atomically without leaving temp files", function () {
+    const store = createHistoryStore({ maxHistoryEntries: 10 }, dataDir);
+    store.append(snapshot(0));
+    
+    expect(fs.readdirSync(dataDir)).to.deep.equal(["price-history.json"]);
+  });
+  
+  it("Should start empty when the history file is unreadable", function () {
+    fs.writeFileSync(path.join(dataDir, "price-history.json"), "{ truncated");
+    
+    const store = createHistoryStore({ maxHistoryEntries: 10 }, dataDir);
+    expect(store.size).to.equal(0);
+  });
+  
+  it("Should move an unreadable history file aside instead of overwriting it", function () {
+    fs.writeFileSync(path.join(dataDir, "price-history.json"), "{ truncated");
+    
+    const store = createHistoryStore({ maxHistoryEntries: 10 }, dataDir);
+    store.append(snapshot(0));
+    
+    const corrupt = fs.readdirSync(dataDir).filter(name => name.startsWith("price-history.json.corrupt-"));
+    expect(corrupt).to.have.length(1);
+    expect(fs.readFileSync(path.join(dataDir, corrupt[0]), "utf8")).to.equal("{ truncated");
+    
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, "price-history.json"), "utf8"));
+    expect(stored.map(entry => entry.globalIndex)).to.deep.equal([1000]);
+  });
+  
+  it("Should refuse to append when an unreadable history file cannot be moved aside", function () {
+    fs.writeFileSync(path.join(dataDir, "price-history.json"), "{ truncated");
+    const rename = fs.renameSync;
+    fs.renameSync = () => { throw new Error("read-only directory"); };
+    
+    try {
+      const store = createHistoryStore({ maxHistoryEntries: 10 }, dataDir);
+      expect(() => store.append(snapshot(0))).to.throw("Refusing to overwrite unreadable price history");
+    } finally {
+      fs.renameSync = rename;
+    }
+    
+    expect(fs.readFileSync(path.join(dataDir, "price-history.json"), "utf8")).to.equal("{ truncated");
+  });
+  
+  it("Should reject unknown backends", function () {
+    expect(() => createHistoryStore({ backend: "sqlite", maxHistoryEntries: 10 }, dataDir)).to.throw("Unknown history storage backend");
+  });
+  
+  it("Should build snapshots from collection results", function () {
+    const entry = toSnapshot({
+      timestamp: "2025-01-20T10:00:00.000Z",
+      globalIndex: 1010,
+      cities: [{ id: 1, name: "Tokyo", averagePrice: 11000, confidence: 85, sources: 2, validation: { status: "clamped" } }]
+    });
+    
+    expect(entry.dataMode).to.equal("live");
+    expect(entry.cities[0]).to.deep.equal({ id: 1, name: "Tokyo", price: 11000, confidence: 85, sources: 2, status: "clamped", synthetic: false });
+  });
+  
+  it("Should tag synthetic snapshots with their data mode", function () {
+    const entry = toSnapshot({
+      timestamp: "2025-01-20T10:00:00.000Z",
+      dataMode: "simulated",
+      globalIndex: 1010,
+      cities: [{ id: 1, name: "Tokyo", averagePrice: 11000, confidence: 85, sources: 1, synthetic: true, validation: { status: "accepted" } }]
+    });
+    
+    expect(entry.dataMode).to.equal("simulated");
+    expect(entry.cities[0].synthetic).to.be.true;
+  });
+});
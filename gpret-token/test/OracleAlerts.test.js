@@ -0,0 +1,271 @@
+const { expect } = require("chai");
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../scripts/oracle/config");
+const { buildConfig } = require("./helpers/oracle-config");
+const GPRETOracleCollector = require("../scripts/oracle/price-collector");
+const GPRETOracleServer = require("../scripts/oracle/server");
+const { createAlertEngine, AlertEngine, registerSink } = require("../scripts/oracle/alerts");
+const { startWebhookReceiver } = require("../scripts/oracle/alerts/webhook-receiver");
+
+describe("GPRET Oracle Alerts", function () {
+  const thresholds = { priceChangePercent: 15, errorRate: 10, responseTime: 5000 };
+  
+  let dataDir;
+  let receiver;
+  
+  // Sink collecting alerts in memory
+  class MemorySink {
+    constructor() {
+      this.alerts = [];
+    }
+    
+    async deliver(alert) {
+      this.alerts.push(alert);
+    }
+  }
+  
+  function engineWith(options = {}) {
+    const sink = new MemorySink();
+    const engine = new AlertEngine({ thresholds, sinks: [{ name: "memory", sink }], ...options });
+    return { engine, sink };
+  }
+  
+  function cityResult(overrides = {}) {
+    return {
+      id: 1,
+      name: "New York",
+      previousPrice: 15000,
+      averagePrice: 16500,
+      validation: { status: "clamped", collectedPrice: 18000, reasons: [] },
+      ...overrides
+    };
+  }
+  
+  beforeEach(async function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-alerts-"));
+    receiver = await startWebhookReceiver();
+  });
+  
+  afterEach(async function () {
+    await receiver.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it("Should alert on collected price moves beyond priceChangePercent", function () {
+    const { engine, sink } = engineWith();
+    
+    engine.evaluateCollection({
+      cities: [cityResult(), cityResult({ id: 2, name: "London", previousPrice: 12000, validation: { status: "accepted", collectedPrice: 12500 } })],
+      sources: []
+    });
+    
+    expect(sink.alerts).to.have.length(1);
+    expect(sink.alerts[0]).to.include({ rule: "price-change", key: "price-change:1", severity: "warning" });
+    expect(sink.alerts[0].details.changePercent).to.equal(20);
+  });
+  
+  it("Should warn about a city without quotes instead of a price move", function () {
+    const { engine, sink } = engineWith();
+    
+    engine.evaluateCollection({
+      cities: [cityResult({ previousPrice: 15000, validation: { status: "flagged", collectedPrice: null } })],
+      sources: []
+    });
+    
+    expect(sink.alerts).to.have.length(1);
+    expect(sink.alerts[0]).to.include({ rule: "no-quotes", key: "no-quotes:1", severity: "warning" });
+    expect(sink.alerts[0].details.previousPrice).to.equal(15000);
+  });
+  
+  it("Should alert when the source error rate exceeds errorRate", function () {
+    const { engine, sink } = engineWith();
+    
+    engine.evaluateCollection({
+      cities: [],
+      sources: [
+        { name: "Source A", succeeded: 9, failed: 1 },
+        { name: "Source B", succeeded: 5, failed: 5 }
+      ]
+    });
+    
+    expect(sink.alerts).to.have.length(1);
+    expect(sink.alerts[0]).to.include({ rule: "source-error-rate", severity: "warning" });
+    expect(sink.alerts[0].details.rate).to.equal(30);
+    expect(sink.alerts[0].details.sources.map(s => s.name)).to.deep.equal(["Source A", "Source B"]);
+  });
+  
+  it("Should deduplicate repeated alerts unless severity rises", function () {
+    const { engine, sink } = engineWith();
+    
+    engine.checkResponseTime("source", "Source A", 6000);
+    engine.checkResponseTime("source", "Source A", 7000);
+    engine.evaluateHealth({ lastUpdate: null, updateInterval: 1000 });
+    
+    engine.evaluateCollection({ cities: [cityResult()], sources: [] });
+    engine.evaluateCollection({ cities: [cityResult({ validation: { status: "held", collectedPrice: 24000 } })], sources: [] });
+    
+    expect(sink.alerts.map(a => `${a.key}/${a.severity}`)).to.deep.equal([
+      "slow-source:Source A/warning",
+      "stale-data/critical",
+      "price-change:1/warning",
+      "price-change:1/critical"
+    ]);
+    expect(engine.getState().deduplicated).to.equal(1);
+  });
+  
+  it("Should stop delivering past maxPerHour", function () {
+    const { engine, sink } = engineWith({ maxPerHour: 2 });
+    
+    for (let i = 0; i < 5; i++) {
+      engine.checkResponseTime("route", `GET /route-${i}`, 9000);
+    }
+    
+    expect(sink.alerts).to.have.length(2);
+    expect(engine.getState()).to.include({ raised: 5, sent: 2, suppressed: 3 });
+  });
+  
+  it("Should deliver to webhook, file and stdout sinks from config", async function () {
+    const engine = createAlertEngine({
+      ...config.monitoring.alerts,
+      webhook: receiver.url,
+      sinks: ["webhook", "file", "stdout"],
+      file: "alerts.log"
+    }, { dataPath: dataDir });
+    
+    engine.evaluateHealth({ lastUpdate: new Date(Date.now() - 3 * 3600 * 1000).toISOString(), updateInterval: 3600 * 1000 });
+    await engine.flush();
+    
+    expect(receiver.received).to.have.length(1);
+    expect(receiver.received[0].source).to.equal("gpret-oracle");
+    expect(receiver.received[0].alert).to.include({ rule: "stale-data", severity: "critical" });
+    
+    const logged = fs.readFileSync(path.join(dataDir, "alerts.log"), "utf8").trim().split("\n").map(JSON.parse);
+    expect(logged.map(a => a.id)).to.deep.equal([receiver.received[0].alert.id]);
+  });
+  
+  it("Should count failed deliveries without throwing", async function () {
+    await receiver.close();
+    receiver = await startWebhookReceiver({ status: 500 });
+    
+    const engine = createAlertEngine({ ...config.monitoring.alerts, webhook: receiver.url, sinks: ["webhook"] }, { dataPath: dataDir });
+    engine.checkResponseTime("source", "Source A", 6000);
+    await engine.flush();
+    
+    expect(receiver.received).to.have.length(1);
+    expect(engine.getState().deliveryFailures).to.equal(1);
+  });
+  
+  it("Should evaluate job manager events", async function () {
+    const { engine, sink } = engineWith();
+    const jobs = new EventEmitter();
+    engine.observeJobs(jobs);
+    
+    jobs.emit("progress", { type: "source-failed", source: "Source B", durationMs: 5001 });
+    jobs.emit("failed", { id: "job-1", trigger: "scheduled" }, new Error("disk full"));
+    
+    expect(sink.alerts.map(a => a.rule)).to.deep.equal(["slow-source", "collection-failed"]);
+    expect(sink.alerts[1].message).to.equal("disk full");
+  });
+  
+  it("Should alert and fail the collection health check when a collection aborts", async function () {
+    registerSink("memory", MemorySink);
+    
+    const oracle = new GPRETOracleServer({
+      collector: new GPRETOracleCollector({
+        config: buildConfig(dataDir, {
+          monitoring: { ...config.monitoring, alerts: { ...config.monitoring.alerts, enabled: true, sinks: ["memory"] } }
+        }),
+        publisher: null
+      }),
+      scheduleUpdates: false
+    });
+    clearInterval(oracle.alertHealthTimer);
+    oracle.progressFeed.close();
+    
+    // collectAllPrices records the error and resolves instead of throwing
+    oracle.collector.saveResults = async () => { throw new Error("disk full"); };
+    
+    let error;
+    try {
+      await oracle.jobs.run({ trigger: "scheduled" });
+    } catch (err) {
+      error = err;
+    }
+    
+    expect(error.code).to.equal("COLLECTION_ABORTED");
+    expect(error.message).to.equal("disk full");
+    expect(oracle.jobs.getState().last).to.include({ outcome: "failed", error: "disk full" });
+    expect(oracle.alerts.sinks[0].sink.alerts.map(a => a.rule)).to.deep.equal(["collection-failed"]);
+    expect(oracle.health.checkCollection()).to.include({ status: "fail", message: "Last collection failed: disk full" });
+  });
+  
+  it("Should accept registered sinks", function () {
+    registerSink("memory", MemorySink);
+    
+    const engine = createAlertEngine({ ...config.monitoring.alerts, sinks: ["memory"] }, { dataPath: dataDir });
+    engine.checkResponseTime("source", "Source A", 6000);
+    
+    expect(engine.sinks[0].sink.alerts).to.have.length(1);
+  });
+  
+  it("Should judge stale data by the server's update schedule", function () {
+    registerSink("memory", MemorySink);
+    const hour = 60 * 60 * 1000;
+    
+    const oracle = new GPRETOracleServer({
+      collector: new GPRETOracleCollector({
+        config: buildConfig(dataDir, {
+          updates: { ...config.updates, interval: 5 * 60 * 1000 },
+          monitoring: { ...config.monitoring, alerts: { ...config.monitoring.alerts, enabled: true, sinks: ["memory"] } }
+        }),
+        publisher: null
+      }),
+      scheduleUpdates: false,
+      updateInterval: 24 * hour
+    });
+    clearInterval(oracle.alertHealthTimer);
+    oracle.progressFeed.close();
+    
+    oracle.getLatestData = () => ({ timestamp: new Date(Date.now() - hour).toISOString() });
+    oracle.checkAlertHealth();
+    expect(oracle.alerts.sinks[0].sink.alerts).to.deep.equal([]);
+    
+    oracle.getLatestData = () => ({ timestamp: new Date(Date.now() - 49 * hour).toISOString() });
+    oracle.checkAlertHealth();
+    expect(oracle.alerts.sinks[0].sink.alerts.map(a => a.rule)).to.deep.equal(["stale-data"]);
+  });
+  
+  it("Should judge stale data by staleAfterIntervals", function () {
+    registerSink("memory", MemorySink);
+    const hour = 60 * 60 * 1000;
+    
+    const oracle = new GPRETOracleServer({
+      collector: new GPRETOracleCollector({
+        config: buildConfig(dataDir, {
+          monitoring: {
+            ...config.monitoring,
+            healthCheck: { ...config.monitoring.healthCheck, staleAfterIntervals: 3 },
+            alerts: { ...config.monitoring.alerts, enabled: true, sinks: ["memory"] }
+          }
+        }),
+        publisher: null
+      }),
+      scheduleUpdates: false,
+      updateInterval: 24 * hour
+    });
+    clearInterval(oracle.alertHealthTimer);
+    oracle.progressFeed.close();
+    
+    oracle.getLatestData = () => ({ timestamp: new Date(Date.now() - 49 * hour).toISOString() });
+    oracle.checkAlertHealth();
+    expect(oracle.alerts.sinks[0].sink.alerts).to.deep.equal([]);
+    
+    oracle.getLatestData = () => ({ timestamp: new Date(Date.now() - 73 * hour).toISOString() });
+    oracle.checkAlertHealth();
+    expect(oracle.alerts.sinks[0].sink.alerts.map(a => a.rule)).to.deep.equal(["stale-data"]);
+    expect(oracle.alerts.sinks[0].sink.alerts[0].details.staleAfterIntervals).to.equal(3);
+  });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const axios = require("axios");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../scripts/oracle/config");
+const { buildConfig } = require("./helpers/oracle-config");
+const GPRETOracleCollector = require("../scripts/oracle/price-collector");
+const GPRETOracleServer = require("../scripts/oracle/server");
+const GPRETHealthChecker = require("../scripts/oracle/health");
+
+describe("GPRET Oracle Health Checks", function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  
+  let dataDir;
+  let oracle;
+  let server;
+  let client;
+  
+  function healthConfig(interval = DAY_MS) {
+    return buildConfig(dataDir, { updates: { ...config.updates, interval } });
+  }
+  
+  function writeLatest(ageMs, sources = [{ name: "Source A", succeeded: 2, failed: 0 }]) {
+    fs.writeFileSync(path.join(dataDir, "latest.json"), JSON.stringify({
+      timestamp: new Date(Date.now() - ageMs).toISOString(),
+      cities: [],
+      sources,
+      errors: []
+    }));
+  }
+  
+  function checkerWith(options = {}) {
+    return new GPRETHealthChecker({
+      config: healthConfig(),
+      dataPath: dataDir,
+      jobs: oracle.jobs,
+      getLatest: () => oracle.getLatestData(),
+      updateInterval: DAY_MS,
+      ...options
+    });
+  }
+  
+  beforeEach(function (done) {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-health-"));
+    
+    oracle = new GPRETOracleServer({
+      collector: new GPRETOracleCollector({ config: healthConfig(), publisher: null }),
+      scheduleUpdates: false
+    });
+    server = oracle.app.listen(0, "127.0.0.1", () => {
+      client = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+      done();
+    });
+  });
+  
+  afterEach(async function () {
+    oracle.progressFeed.close();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it("Should report ready with a warning before the first collection", async function () {
+    const { status, data } = await client.get("/health/ready");
+    
+    expect(status).to.equal(200);
+    expect(data.status).to.equal("warn");
+    expect(data.checks.data.status).to.equal("warn");
+    expect(data.checks.storage.status).to.equal("pass");
+    expect(data.checks).to.not.have.property("rpc");
+  });
+  
+  it("Should pass after a collection", async function () {
+    await oracle.jobs.run({ trigger: "manual" });
+    
+    const ready = await client.get("/health/ready");
+    expect(ready.data.status).to.equal("pass");
+    expect(ready.data.checks.collection).to.include({ status: "pass", errorRate: 0 });
+    
+    const health = await client.get("/health");
+    expect(health.data).to.include({ status: "healthy", version: "1.0.0" });
+  });
+  
+  it("Should fail readiness when data is older than staleAfterIntervals", async function () {
+    writeLatest(1.5 * DAY_MS);
+    expect((await client.get("/health/ready")).data.checks.data.status).to.equal("warn");
+    
+    writeLatest(3 * DAY_MS);
+    const ready = await client.get("/health/ready");
+    expect(ready.status).to.equal(503);
+    expect(ready.data.checks.data.message).to.include("older than 2 update intervals");
+    
+    const health = await client.get("/health");
+    expect(health.status).to.equal(503);
+    expect(health.data.status).to.equal("unhealthy");
+  });
+  
+  it("Should measure data age against the schedule, not config.updates.interval", async function () {
+    const scheduled = new GPRETOracleServer({
+      collector: new GPRETOracleCollector({ config: healthConfig(5 * 60 * 1000), publisher: null }),
+      scheduleUpdates: false,
+      updateInterval: DAY_MS
+    });
+    writeLatest(60 * 60 * 1000);
+    
+    const report = await scheduled.health.readiness();
+    scheduled.progressFeed.close();
+    
+    expect(report.checks.data).to.include({ status: "pass", updateInterval: DAY_MS });
+  });
+  
+  it("Should check the last collection's source error rate", async function () {
+    writeLatest(0, [{ name: "Source A", succeeded: 8, failed: 2 }]);
+    expect((await client.get("/health/ready")).data.checks.collection.status).to.equal("warn");
+    
+    writeLatest(0, [{ name: "Source A", succeeded: 0, failed: 10 }]);
+    expect((await client.get("/health/ready")).data.checks.collection.status).to.equal("fail");
+  });
+  
+  it("Should fail storage when the data directory is not writable", async function () {
+    const blocker = path.join(dataDir, "not-a-directory");
+    fs.writeFileSync(blocker, "");
+    
+    const report = await checkerWith({ dataPath: path.join(blocker, "data") }).readiness();
+    
+    expect(report.status).to.equal("fail");
+    expect(report.checks.storage.message).to.include("not writable");
+  });
+  
+  it("Should check RPC connectivity and the oracle wallet balance when publishing", async function () {
+    const [funded] = await ethers.getSigners();
+    const empty = ethers.Wallet.createRandom().connect(ethers.provider);
+    const low = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await funded.sendTransaction({ to: low.address, value: ethers.parseEther("0.01") })).wait();
+    
+    const statusFor = async (signer) => {
+      const { checks } = await checkerWith({ publisher: { network: "hardhat", signer } }).readiness();
+      return [checks.rpc.status, checks.wallet.status];
+    };
+    
+    expect(await statusFor(funded)).to.deep.equal(["pass", "pass"]);
+    expect(await statusFor(low)).to.deep.equal(["pass", "warn"]);
+    expect(await statusFor(empty)).to.deep.equal(["pass", "fail"]);
+    
+    const unreachable = new ethers.JsonRpcProvider("http://127.0.0.1:1", 31337, { staticNetwork: true });
+    const { checks } = await checkerWith({
+      publisher: { network: "offline", signer: ethers.Wallet.createRandom().connect(unreachable) }
+    }).readiness();
+    expect(checks.rpc.status).to.equal("fail");
+    unreachable.destroy();
+  });
+  
+  it("Should fail liveness when a collection is stuck", async function () {
+    expect((await client.get("/health/live")).data.status).to.equal("pass");
+    
+    let release;
+    oracle.collector.collectAllPrices = () => new Promise(resolve => { release = resolve; });
+    oracle.jobs.lockStaleMs = 0;
+    const run = oracle.jobs.run({ trigger: "scheduled" });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    
+    const live = await client.get("/health/live");
+    expect(live.status).to.equal(503);
+    expect(live.data.collection.error).to.include("Collection running for");
+    
+    release({ globalIndex: 1000, cities: [], sources: [], errors: [] });
+    await run;
+  });
+});
@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const axios = require("axios");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../scripts/oracle/config");
+const { staticSources, buildConfig } = require("./helpers/oracle-config");
+const GPRETOracleCollector = require("../scripts/oracle/price-collector");
+const GPRETOracleServer = require("../scripts/oracle/server");
+const GPRETOracleMetrics = require("../scripts/oracle/metrics");
+
+describe("GPRET Oracle Metrics", function () {
+  let dataDir;
+  let oracle;
+  let server;
+  let client;
+  
+  function metricsConfig() {
+    return buildConfig(dataDir, {
+      dataSources: staticSources(2),
+      monitoring: { ...config.monitoring, metrics: { enabled: true, endpoint: "/metrics", collectDefault: false } }
+    });
+  }
+  
+  // Value of a sample line such as `name{labels} value`
+  function sample(text, name, labels = "") {
+    const line = text.split("\n").find(l => l.startsWith(labels ? `${name}{${labels}}` : `${name} `));
+    return line === undefined ? undefined : Number(line.slice(line.lastIndexOf(" ") + 1));
+  }
+  
+  beforeEach(function (done) {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-metrics-"));
+    
+    const collector = new GPRETOracleCollector({ config: metricsConfig(), publisher: null });
+    collector.fetchFromSource = async (source, city) => {
+      if (source.name === "Source B") throw new Error("HTTP 503");
+      return { price: city.basePriceUSD, confidence: 90 };
+    };
+    
+    oracle = new GPRETOracleServer({ collector, scheduleUpdates: false });
+    server = oracle.app.listen(0, "127.0.0.1", () => {
+      client = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+      done();
+    });
+  });
+  
+  afterEach(async function () {
+    oracle.progressFeed.close();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it("Should expose collection, source and price metrics", async function () {
+    await oracle.jobs.run({ trigger: "scheduled" });
+    
+    const { status, headers, data } = await client.get("/metrics");
+    
+    expect(status).to.equal(200);
+    expect(headers["content-type"]).to.include("text/plain");
+    expect(sample(data, "gpret_oracle_collections_total", 'trigger="scheduled",outcome="completed"')).to.equal(1);
+    expect(sample(data, "gpret_oracle_collection_duration_seconds_count", 'trigger="scheduled"')).to.equal(1);
+    expect(sample(data, "gpret_oracle_source_requests_total", 'source="Source A",outcome="success"')).to.equal(2);
+    expect(sample(data, "gpret_oracle_source_requests_total", 'source="Source B",outcome="failure"')).to.equal(2);
+    expect(sample(data, "gpret_oracle_city_price_usd", 'city_id="2",city="London"')).to.equal(12000);
+    expect(sample(data, "gpret_oracle_global_index")).to.equal(1000);
+    expect(sample(data, "gpret_oracle_last_successful_update_timestamp_seconds")).to.be.closeTo(Date.now() / 1000, 60);
+  });
+  
+  it("Should count HTTP requests by route pattern", async function () {
+    await client.get("/api/prices/city/1");
+    await client.get("/api/prices/city/2");
+    await client.get("/nowhere");
+    
+    const { data } = await client.get("/metrics");
+    
+    expect(sample(data, "gpret_oracle_http_requests_total", 'method="GET",route="/api/prices/city/:cityId",status="404"')).to.equal(2);
+    expect(sample(data, "gpret_oracle_http_requests_total", 'method="GET",route="unmatched",status="404"')).to.equal(1);
+  });
+  
+  it("Should seed price gauges from latest.json on startup", async function () {
+    await oracle.jobs.run({ trigger: "manual" });
+    
+    const restarted = new GPRETOracleServer({
+      collector: new GPRETOracleCollector({ config: metricsConfig(), publisher: null }),
+      scheduleUpdates: false
+    });
+    const text = await restarted.metrics.render();
+    restarted.progressFeed.close();
+    
+    expect(sample(text, "gpret_oracle_city_price_usd", 'city_id="1",city="New York"')).to.equal(15000);
+    expect(sample(text, "gpret_oracle_collections_total", 'trigger="manual",outcome="completed"')).to.be.undefined;
+  });
+  
+  it("Should only advance the last successful update for fresh prices", async function () {
+    const metrics = new GPRETOracleMetrics({ collectDefault: false });
+    const city = (id, name, averagePrice, validation) => ({ id, name, averagePrice, confidence: 90, validation });
+    
+    metrics.recordPrices({
+      timestamp: "2025-01-20T10:00:00.000Z",
+      globalIndex: 1000,
+      cities: [city(1, "New York", 15000, { status: "accepted", collectedPrice: 15000 })]
+    });
+    
+    metrics.recordPrices({
+      timestamp: "2025-01-21T10:00:00.000Z",
+      globalIndex: 1000,
+      cities: [
+        city(1, "New York", 15000, { status: "flagged", collectedPrice: null }),
+        city(2, "London", 12000, { status: "held", collectedPrice: 18000 })
+      ]
+    });
+    
+    let text = await metrics.render();
+    expect(sample(text, "gpret_oracle_last_successful_update_timestamp_seconds")).to.equal(Date.UTC(2025, 0, 20, 10) / 1000);
+    expect(sample(text, "gpret_oracle_city_price_usd", 'city_id="1",city="New York"')).to.equal(15000);
+    expect(sample(text, "gpret_oracle_city_price_usd", 'city_id="2",city="London"')).to.equal(12000);
+    
+    metrics.recordPrices({
+      timestamp: "2025-01-22T10:00:00.000Z",
+      globalIndex: 1010,
+      cities: [
+        city(1, "New York", 16000, { status: "clamped", collectedPrice: 20000 }),
+        city(2, "London", 12000, { status: "flagged", collectedPrice: null })
+      ]
+    });
+    
+    text = await metrics.render();
+    expect(sample(text, "gpret_oracle_last_successful_update_timestamp_seconds")).to.equal(Date.UTC(2025, 0, 22, 10) / 1000);
+    expect(sample(text, "gpret_oracle_city_price_usd", 'city_id="1",city="New York"')).to.equal(16000);
+  });
+  
+  it("Should leave price gauges alone for cities without fresh quotes", async function () {
+    const metrics = new GPRETOracleMetrics({ collectDefault: false });
+    
+    metrics.recordPrices({
+      timestamp: "2025-01-20T10:00:00.000Z",
+      globalIndex: 1000,
+      cities: [{ id: 1, name: "New York", averagePrice: 15000, confidence: 0, validation: { status: "flagged", collectedPrice: null } }]
+    });
+    
+    const text = await metrics.render();
+    expect(sample(text, "gpret_oracle_city_price_usd", 'city_id="1",city="New York"')).to.be.undefined;
+    expect(sample(text, "gpret_oracle_last_successful_update_timestamp_seconds")).to.equal(0);
+  });
+  
+  it("Should count gas used by on-chain publications", async function () {
+    const metrics = new GPRETOracleMetrics({ collectDefault: false });
+    metrics.recordPublication({ transactions: [{ gasUsed: "45000" }, { gasUsed: "38000" }], errors: [{ name: "Tokyo" }] });
+    
+    const text = await metrics.render();
+    expect(sample(text, "gpret_oracle_onchain_gas_used_total")).to.equal(83000);
+    expect(sample(text, "gpret_oracle_onchain_transactions_total", 'outcome="failure"')).to.equal(1);
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const config = require("../scripts/oracle/config");
+const GPRETOnChainPublisher = require("../scripts/oracle/publisher");
+
+describe("GPRET Oracle On-Chain Publisher", function () {
+  let gpret;
+  let owner;
+  let oracle;
+  let publisherConfig;
+  
+  function cityResult(id, name, averagePrice) {
+    return { id, name, averagePrice, confidence: 90, sources: 1 };
+  }
+  
+  beforeEach(async function () {
+    [owner, , , oracle] = await ethers.getSigners();
+    
+    const GPRET = await ethers.getContractFactory("GPRET");
+    gpret = await GPRET.deploy(owner.address);
+    await gpret.waitForDeployment();
+    await gpret.setOracleAddress(oracle.address);
+    
+    publisherConfig = {
+      ...config,
+      blockchain: {
+        ...config.blockchain,
+        cityRegistry: { ...config.blockchain.cityRegistry, onDrift: "warn" },
+        oracle: { ...config.blockchain.oracle, confirmations: 1 }
+      }
+    };
+  });
+  
+  function createPublisher(signer = oracle, configOverride = publisherConfig) {
+    return new GPRETOnChainPublisher({
+      config: configOverride,
+      signer,
+      contractAddress: gpret.target
+    });
+  }
+  
+  it("Should convert prices to the 1,000,000-based index", function () {
+    const publisher = createPublisher();
+    
+    // New York base price is $15,000 in config
+    expect(publisher.toPriceIndex(cityResult(1, "New York", 16500))).to.equal(1100000);
+    expect(publisher.toPriceIndex(cityResult(1, "New York", 15000))).to.equal(1000000);
+  });
+  
+  it("Should publish changed cities and record tx hashes", async function () {
+    const publisher = createPublisher();
+    const publication = await publisher.publish({
+      cities: [cityResult(1, "New York", 16500), cityResult(2, "London", 12000)]
+    });
+    
+    expect(publication.transactions).to.have.length(1);
+    expect(publication.transactions[0].name).to.equal("New York");
+    expect(publication.transactions[0].onChainId).to.equal(0);
+    expect(publication.transactions[0].txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(publication.skipped).to.deep.include({ cityId: 2, name: "London", reason: "Unchanged" });
+    
+    const cityInfo = await gpret.getCityInfo(0);
+    expect(cityInfo.priceIndex).to.equal(1100000);
+  });
+  
+  it("Should skip cities that are not tracked on-chain", async function () {
+    const publication = await createPublisher().publish({
+      cities: [cityResult(9, "Seoul", 6600)]
+    });
+    
+    expect(publication.transactions).to.have.length(0);
+    expect(publication.skipped[0].reason).to.equal("Not tracked on-chain");
+  });
+  
+  it("Should refuse synthetic prices unless allowSyntheticOnChain is set", async function () {
+    const simulated = { ...cityResult(1, "New York", 16500), synthetic: true, dataOrigin: "simulated" };
+    
+    const refused = await createPublisher().publish({ cities: [simulated] });
+    expect(refused.transactions).to.have.length(0);
+    expect(refused.skipped[0].reason).to.equal("Synthetic price (simulated data)");
+    
+    const allowed = await createPublisher(oracle, {
+      ...publisherConfig,
+      data: { ...publisherConfig.data, allowSyntheticOnChain: true }
+    }).publish({ cities: [simulated] });
+    expect(allowed.transactions).to.have.length(1);
+  });
+  
+  it("Should refuse to publish when cities drift and the policy is refuse", async function () {
+    const strictConfig = {
+      ...publisherConfig,
+      blockchain: {
+        ...publisherConfig.blockchain,
+        cityRegistry: { ...publisherConfig.blockchain.cityRegistry, onDrift: "refuse" }
+      }
+    };
+    
+    let error;
+    try {
+      await createPublisher(oracle, strictConfig).publish({ cities: [cityResult(1, "New York", 16500)] });
+    } catch (err) {
+      error = err;
+    }
+    
+    expect(error.message).to.include("City registry drift");
+    expect((await gpret.getCityInfo(0)).priceIndex).to.equal(1000000);
+  });
+  
+  it("Should record drift when the policy is warn", async function () {
+    const publication = await createPublisher().publish({ cities: [] });
+    
+    expect(publication.drift).to.include("Seoul (config 9) missing on-chain");
+    expect(publication.drift).to.include("Dubai (on-chain 7) missing from config");
+  });
+  
+  it("Should refuse to publish from a non-oracle signer", async function () {
+    let error;
+    try {
+      await createPublisher(owner).publish({ cities: [cityResult(1, "New York", 16500)] });
+    } catch (err) {
+      error = err;
+    }
+    
+    expect(error.message).to.include("is not the contract oracle");
+  });
+  
+  it("Should refuse to publish above maxGasPrice", async function () {
+    const cheapConfig = {
+      ...publisherConfig,
+      blockchain: {
+        ...publisherConfig.blockchain,
+        oracle: { ...publisherConfig.blockchain.oracle, maxGasPrice: "1" }
+      }
+    };
+    
+    let error;
+    try {
+      await createPublisher(oracle, cheapConfig).publish({ cities: [cityResult(1, "New York", 16500)] });
+    } catch (err) {
+      error = err;
+    }
+    
+    expect(error.message).to.include("exceeds maxGasPrice");
+    expect((await gpret.getCityInfo(0)).priceIndex).to.equal(1000000);
+  });
+});
@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const axios = require("axios");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../scripts/oracle/config");
+const { buildConfig } = require("./helpers/oracle-config");
+const GPRETOracleCollector = require("../scripts/oracle/price-collector");
+const GPRETOracleServer = require("../scripts/oracle/server");
+const { issueToken } = require("../scripts/oracle/auth");
+
+describe("GPRET Oracle Server", function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  
+  let dataDir;
+  let oracle;
+  let server;
+  let client;
+  
+  function serverConfig() {
+    return buildConfig(dataDir, {
+      updates: { ...config.updates, minManualInterval: 60 * 60 * 1000 },
+      security: {
+        ...config.security,
+        apiKeys: [{ name: "ops", key: "test-api-key" }],
+        jwt: { secret: "test-jwt-secret", expiresIn: "1h" }
+      }
+    });
+  }
+  
+  // One snapshot per day for the last `days` days, oldest first
+  function seedHistory(collector, days) {
+    for (let i = days - 1; i >= 0; i--) {
+      collector.history.append({
+        timestamp: new Date(Date.now() - i * DAY_MS).toISOString(),
+        globalIndex: 1000 + (days - 1 - i),
+        citiesCount: 2,
+        averageConfidence: 90,
+        cities: [
+          { id: 1, name: "New York", price: 15000 + i, confidence: 90, sources: 1, status: "accepted" },
+          { id: 2, name: "London", price: 12000 + i, confidence: 90, sources: 1, status: "accepted" }
+        ]
+      });
+    }
+  }
+  
+  beforeEach(function (done) {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-server-"));
+    
+    const collector = new GPRETOracleCollector({ config: serverConfig(), publisher: null });
+    seedHistory(collector, 40);
+    
+    oracle = new GPRETOracleServer({ collector, scheduleUpdates: false });
+    server = oracle.app.listen(0, "127.0.0.1", () => {
+      client = axios.create({
+        baseURL: `http://127.0.0.1:${server.address().port}`,
+        validateStatus: () => true
+      });
+      done();
+    });
+  });
+  
+  afterEach(function (done) {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    server.close(done);
+  });
+  
+  describe("GET /api/prices/history", function () {
+    it("Should return the latest 30 snapshots newest first with per-city prices", async function () {
+      const { status, data } = await client.get("/api/prices/history");
+      
+      expect(status).to.equal(200);
+      expect(data.count).to.equal(30);
+      expect(data.total).to.equal(40);
+      expect(data.pagination).to.deep.equal({ limit: 30, offset: 0, hasMore: true });
+      expect(data.data[0].globalIndex).to.equal(1039);
+      expect(data.data[0].cities).to.have.length(2);
+      expect(data.period.days).to.equal(29);
+    });
+    
+    it("Should filter by city", async function () {
+      const { data } = await client.get("/api/prices/history?cityId=2&limit=5");
+      
+      expect(data.count).to.equal(5);
+      expect(data.data.every(entry => entry.cities.length === 1 && entry.cities[0].name === "London")).to.be.true;
+    });
+    
+    it("Should paginate with offset", async function () {
+      const { data } = await client.get("/api/prices/history?limit=15&offset=30");
+      
+      expect(data.count).to.equal(10);
+      expect(data.pagination.hasMore).to.be.false;
+      expect(data.data[0].globalIndex).to.equal(1009);
+    });
+    
+    it("Should limit to the last N days", async function () {
+      const { data } = await client.get("/api/prices/history?days=7");
+      
+      expect(data.total).to.equal(7);
+      expect(data.period.days).to.equal(7);
+    });
+    
+    it("Should filter by from/to date range", async function () {
+      const from = new Date(Date.now() - 20.5 * DAY_MS).toISOString();
+      const to = new Date(Date.now() - 9.5 * DAY_MS).toISOString();
+      
+      const { data } = await client.get("/api/prices/history", { params: { from, to } });
+      
+      expect(data.total).to.equal(11);
+      expect(data.period).to.include({ start: from, end: to });
+    });
+    
+    it("Should reject invalid parameters", async function () {
+      for (const query of ["limit=366", "limit=abc", "offset=-1", "days=0", "from=yesterday", "days=7&from=2025-01-01", "from=2025-02-01&to=2025-01-01"]) {
+        const { status, data } = await client.get(`/api/prices/history?${query}`);
+        
+        expect(status, query).to.equal(400);
+        expect(data.code).to.equal("INVALID_PARAMETER");
+      }
+    });
+    
+    it("Should include snapshots written by another collector", async function () {
+      const other = new GPRETOracleCollector({ config: serverConfig(), publisher: null });
+      seedHistory(other, 1);
+      
+      const { data } = await client.get("/api/prices/history?limit=1");
+      
+      expect(data.total).to.equal(41);
+      expect(data.data[0].timestamp).to.equal(other.history.getRecent(1)[0].timestamp);
+    });
+    
+    it("Should return 404 for unknown cities", async function () {
+      const { status, data } = await client.get("/api/prices/history?cityId=99");
+      
+      expect(status).to.equal(404);
+      expect(data.code).to.equal("CITY_NOT_FOUND");
+    });
+  });
+  
+  describe("POST /api/update/prices", function () {
+    const apiKey = { headers: { "X-API-Key": "test-api-key" } };
+    
+    it("Should require an API key or bearer token", async function () {
+      const missing = await client.post("/api/update/prices", {});
+      expect(missing.status).to.equal(401);
+      expect(missing.data.code).to.equal("UNAUTHORIZED");
+      
+      const wrong = await client.post("/api/update/prices", {}, { headers: { "X-API-Key": "nope" } });
+      expect(wrong.status).to.equal(401);
+      
+      const forged = await client.post("/api/update/prices", {}, { headers: { Authorization: "Bearer not.a.token" } });
+      expect(forged.status).to.equal(401);
+    });
+    
+    it("Should update with an API key and return the detailed response", async function () {
+      const { status, data } = await client.post("/api/update/prices", { reason: "Scheduled check" }, apiKey);
+      
+      expect(status).to.equal(200);
+      expect(data.data).to.include({ citiesUpdated: 2, citiesRequested: 2, reason: "Scheduled check" });
+      expect(data.data.sources).to.deep.equal({ successful: 1, failed: 0, total: 1 });
+      expect(data.data.triggeredBy).to.deep.equal({ type: "api-key", id: "ops" });
+      expect(data.data.updateDuration).to.be.a("number");
+      expect(data.data.warnings).to.be.an("array");
+    });
+    
+    it("Should collect only the requested cities and carry the rest forward", async function () {
+      await client.post("/api/update/prices", {}, apiKey);
+      
+      const { data } = await client.post("/api/update/prices", { cities: [2], force: true }, apiKey);
+      expect(data.data).to.include({ citiesUpdated: 1, citiesRequested: 1 });
+      
+      const latest = oracle.getLatestData();
+      expect(latest.cities.map(city => [city.name, Boolean(city.carriedForward)])).to.deep.equal([
+        ["New York", true],
+        ["London", false]
+      ]);
+      expect(latest.index.chainLinked).to.be.null;
+    });
+    
+    it("Should enforce the minimum interval unless forced", async function () {
+      await client.post("/api/update/prices", {}, apiKey);
+      
+      const tooSoon = await client.post("/api/update/prices", {}, apiKey);
+      expect(tooSoon.status).to.equal(429);
+      expect(tooSoon.data.code).to.equal("UPDATE_TOO_SOON");
+      expect(tooSoon.data.details.retryAfter).to.be.greaterThan(0);
+      
+      const forced = await client.post("/api/update/prices", { force: true }, apiKey);
+      expect(forced.status).to.equal(200);
+    });
+    
+    it("Should accept JWTs and audit who triggered the update and why", async function () {
+      const token = issueToken(serverConfig().security, "alice");
+      
+      await client.post("/api/update/prices", { reason: "Data provider outage fixed" }, { headers: { Authorization: `Bearer ${token}` } });
+      await client.post("/api/update/prices", {}, apiKey);
+      
+      const [rejected, completed] = oracle.auditLog.recent();
+      expect(completed).to.include({ action: "price-update", reason: "Data provider outage fixed", outcome: "completed" });
+      expect(completed.actor).to.deep.equal({ type: "jwt", id: "alice" });
+      expect(rejected).to.include({ outcome: "rejected" });
+      expect(rejected.actor).to.deep.equal({ type: "api-key", id: "ops" });
+    });
+    
+    it("Should return 409 while another process holds the collection lock", async function () {
+      fs.writeFileSync(path.join(dataDir, "collection.lock"), JSON.stringify({
+        pid: process.pid, hostname: os.hostname(), jobId: "other", startedAt: new Date().toISOString()
+      }));
+      
+      const { status, data } = await client.post("/api/update/prices", {}, apiKey);
+      expect(status).to.equal(409);
+      expect(data.code).to.equal("COLLECTION_IN_PROGRESS");
+      
+      const state = await client.get("/api/collection/status");
+      expect(state.data.data.running).to.be.false;
+      expect(state.data.data.lock.jobId).to.equal("other");
+    });
+    
+    it("Should report the last job in the collection status", async function () {
+      await client.post("/api/update/prices", {}, apiKey);
+      
+      const { data } = await client.get("/api/collection/status");
+      expect(data.data.last).to.include({ trigger: "manual", outcome: "completed" });
+      expect(data.data.last.actor).to.deep.equal({ type: "api-key", id: "ops" });
+    });
+    
+    it("Should reject invalid request bodies", async function () {
+      for (const body of [{ force: "yes" }, { cities: [] }, { cities: [99] }, { cities: ["1"] }, { reason: 42 }]) {
+        const { status, data } = await client.post("/api/update/prices", body, apiKey);
+        
+        expect(status, JSON.stringify(body)).to.equal(400);
+        expect(data.code).to.equal("INVALID_PARAMETER");
+      }
+    });
+    
+    it("Should audit requests rejected for an invalid body", async function () {
+      const { data } = await client.post("/api/update/prices", { cities: [99] }, apiKey);
+      
+      const [entry] = oracle.auditLog.recent();
+      expect(entry).to.include({ action: "price-update", outcome: "rejected", error: data.error });
+      expect(entry.actor).to.deep.equal({ type: "api-key", id: "ops" });
+    });
+  });
+  
+  describe("GET /api/stats", function () {
+    it("Should report each source's budget and circuit", async function () {
+      const { status, data } = await client.get("/api/stats");
+      
+      expect(status).to.equal(200);
+      expect(data.data.sources).to.deep.equal([
+        {
+          id: 1,
+          name: "Source A",
+          budget: null,
+          circuit: { state: "closed", consecutiveFailures: 0, openedAt: null, retryAt: null }
+        }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const { aggregate } = require("../scripts/oracle/aggregation");
+
+describe("GPRET Oracle Price Aggregation", function () {
+  // Three sources agree around $15,000; one feed reports a manipulated price
+  const quotes = [
+    { source: "A", price: 15000, weight: 30 },
+    { source: "B", price: 15200, weight: 25 },
+    { source: "C", price: 14900, weight: 25 },
+    { source: "D", price: 30000, weight: 20 }
+  ];
+  
+  it("Should average all quotes with weighted-mean", function () {
+    const result = aggregate(quotes, { strategy: "weighted-mean" });
+    
+    expect(result.strategy).to.equal("weighted-mean");
+    expect(result.price).to.equal(18025);
+    expect(result.discarded).to.have.length(0);
+  });
+  
+  it("Should pick the price at half the cumulative weight with weighted-median", function () {
+    expect(aggregate(quotes, { strategy: "weighted-median" }).price).to.equal(15000);
+    
+    const evenSplit = [
+      { source: "A", price: 100, weight: 50 },
+      { source: "B", price: 200, weight: 50 }
+    ];
+    expect(aggregate(evenSplit, { strategy: "weighted-median" }).price).to.equal(150);
+  });
+  
+  it("Should drop both tails with trimmed-mean", function () {
+    const result = aggregate(quotes, { strategy: "trimmed-mean", trimPercent: 25 });
+    
+    expect(result.price).to.equal(15091);
+    expect(result.discarded.map(q => q.source)).to.deep.equal(["C", "D"]);
+    expect(result.discarded[1].reason).to.equal("Trimmed (high tail)");
+  });
+  
+  it("Should reject outliers with mad", function () {
+    const result = aggregate(quotes, { strategy: "mad", madThreshold: 3 });
+    
+    expect(result.price).to.equal(15031);
+    expect(result.used).to.have.length(3);
+    expect(result.discarded).to.have.length(1);
+    expect(result.discarded[0].source).to.equal("D");
+    expect(result.discarded[0].reason).to.include("MADs from median");
+  });
+  
+  it("Should reject outliers with mad when the other quotes agree exactly", function () {
+    const agreeing = [
+      { source: "A", price: 15000, weight: 1 },
+      { source: "B", price: 15000, weight: 1 },
+      { source: "C", price: 15000, weight: 1 },
+      { source: "D", price: 16000, weight: 1 }
+    ];
+    
+    const result = aggregate(agreeing, { strategy: "mad", madThreshold: 3 });
+    
+    expect(result.price).to.equal(15000);
+    expect(result.discarded.map(q => q.source)).to.deep.equal(["D"]);
+  });
+  
+  it("Should reject unknown strategies", function () {
+    expect(() => aggregate(quotes, { strategy: "mode" })).to.throw("Unknown aggregation strategy");
+  });
+});
@@ -0,0 +1,327 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../scripts/oracle/config");
+const { CITIES, staticSources, buildConfig } = require("./helpers/oracle-config");
+const GPRETOracleCollector = require("../scripts/oracle/price-collector");
+const CollectionJobManager = require("../scripts/oracle/collection-jobs");
+
+describe("GPRET Oracle Price Collector", function () {
+  let dataDir;
+  
+  function collectorConfig(overrides = {}) {
+    return buildConfig(dataDir, {
+      cities: [...CITIES, { id: 3, name: "Atlantis", country: "XX", weight: 10, basePriceUSD: 1000, active: false }],
+      dataSources: [
+        { ...staticSources()[0], prices: { "New York": 15500 }, weight: 50, retries: 2 },
+        { id: 2, name: "Source B", type: "static", weight: 50, timeout: 50, retries: 0, active: false }
+      ],
+      sourceClient: { ...config.sourceClient, retryDelay: 1 },
+      ...overrides
+    });
+  }
+  
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-oracle-"));
+  });
+  
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  describe("Configuration", function () {
+    it("Should build cities and sources from the injected config", function () {
+      const collector = new GPRETOracleCollector({ config: collectorConfig() });
+      
+      expect(collector.cities.map(city => city.name)).to.deep.equal(["New York", "London"]);
+      expect(collector.dataSources.map(source => source.name)).to.deep.equal(["Source A"]);
+      expect(collector.dataPath).to.equal(dataDir);
+    });
+    
+    it("Should use per-city base prices from the config", function () {
+      const collector = new GPRETOracleCollector({ config: collectorConfig() });
+      
+      expect(collector.getCityBasePrice(collector.cities[0])).to.equal(15000);
+      expect(collector.getCityBasePrice(collector.cities[1])).to.equal(12000);
+    });
+  });
+  
+  describe("Source fetching", function () {
+    it("Should retry a failing source up to its configured retries", async function () {
+      const collector = new GPRETOracleCollector({ config: collectorConfig() });
+      let calls = 0;
+      collector.fetchFromSource = async () => {
+        calls++;
+        if (calls < 3) throw new Error("temporary failure");
+        return { price: 15100, confidence: 90 };
+      };
+      
+      const result = await collector.fetchWithRetries(collector.dataSources[0], collector.cities[0]);
+      
+      expect(calls).to.equal(3);
+      expect(result.price).to.equal(15100);
+    });
+    
+    it("Should collect city prices through the source adapters", async function () {
+      const collector = new GPRETOracleCollector({ config: collectorConfig() });
+      
+      const newYork = await collector.collectCityPrice(collector.cities[0]);
+      const london = await collector.collectCityPrice(collector.cities[1]);
+      
+      expect(newYork.prices).to.have.length(1);
+      expect(newYork.prices[0].source).to.equal("Source A");
+      expect(newYork.averagePrice).to.equal(15500);
+      expect(london.averagePrice).to.equal(12000);
+    });
+    
+    it("Should time out a source that exceeds its configured timeout", async function () {
+      const collector = new GPRETOracleCollector({ config: collectorConfig() });
+      const source = { ...collector.dataSources[0], retries: 0 };
+      collector.fetchFromSource = () => new Promise(resolve => setTimeout(resolve, 500));
+      
+      let error;
+      try {
+        await collector.fetchWithRetries(source, collector.cities[0]);
+      } catch (err) {
+        error = err;
+      }
+      
+      expect(error.message).to.include("timed out after 50ms");
+    });
+    
+    it("Should fetch in parallel within the concurrency limits and keep city order", async function () {
+      const collector = new GPRETOracleCollector({
+        config: collectorConfig({
+          dataSources: [
+            { id: 1, name: "Source A", type: "static", useBasePrice: true, confidence: 90, weight: 50, timeout: 1000, retries: 0, active: true },
+            { id: 2, name: "Source B", type: "static", useBasePrice: true, confidence: 90, weight: 50, timeout: 1000, retries: 0, maxConcurrent: 1, active: true }
+          ],
+          updates: { ...config.updates, concurrency: { global: 3, perSource: 2 } }
+        }),
+        publisher: null
+      });
+      
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const perSource = { "Source A": 0, "Source B": 0 };
+      const maxPerSource = { "Source A": 0, "Source B": 0 };
+      
+      // New York answers last, so completion order differs from city order
+      collector.fetchFromSource = async (source, city) => {
+        inFlight++;
+        perSource[source.name]++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        maxPerSource[source.name] = Math.max(maxPerSource[source.name], perSource[source.name]);
+        
+        await new Promise(resolve => setTimeout(resolve, city.name === "New York" ? 60 : 20));
+        
+        inFlight--;
+        perSource[source.name]--;
+        return { price: city.basePriceUSD, confidence: 90 };
+      };
+      
+      const results = await collector.collectAllPrices();
+      
+      expect(results.cities.map(city => city.name)).to.deep.equal(["New York", "London"]);
+      expect(results.cities[0].respondedSources).to.deep.equal(["Source A", "Source B"]);
+      expect(maxInFlight).to.equal(3);
+      expect(maxPerSource["Source A"]).to.equal(2);
+      expect(maxPerSource["Source B"]).to.equal(1);
+    });
+    
+    it("Should record sources still pending at the run deadline as timed out", async function () {
+      const collector = new GPRETOracleCollector({
+        config: collectorConfig({
+          dataSources: [
+            { id: 1, name: "Source A", type: "static", useBasePrice: true, confidence: 90, weight: 50, timeout: 5000, retries: 0, active: true },
+            { id: 2, name: "Slow Source", type: "static", useBasePrice: true, confidence: 90, weight: 50, timeout: 5000, retries: 0, active: true }
+          ],
+          updates: { ...config.updates, runDeadline: 100 }
+        }),
+        publisher: null
+      });
+      
+      const slow = [];
+      collector.fetchFromSource = async (source, city) => {
+        if (source.name === "Slow Source") {
+          const settled = new Promise(resolve => setTimeout(resolve, 500));
+          slow.push(settled);
+          await settled;
+        }
+        return { price: city.basePriceUSD, confidence: 90 };
+      };
+      
+      let saves = 0;
+      const save = collector.sourceClient.save.bind(collector.sourceClient);
+      collector.sourceClient.save = () => {
+        saves++;
+        save();
+      };
+      
+      const startedAt = Date.now();
+      const results = await collector.collectAllPrices();
+      const savesAtReturn = saves;
+      
+      expect(Date.now() - startedAt).to.be.below(400);
+      expect(results.cities[0].respondedSources).to.deep.equal(["Source A"]);
+      expect(results.cities[0].sourceErrors[0]).to.include({ source: "Slow Source", timedOut: true });
+      expect(results.sources[1]).to.include({ name: "Slow Source", failed: 2, timedOut: 2 });
+      expect(results.warnings.map(w => w.warning)).to.include("Run deadline of 100ms reached: 2 source requests timed out");
+      
+      // Abandoned requests finish later without writing source state
+      await Promise.all(slow);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(saves).to.equal(savesAtReturn);
+    });
+  });
+  
+  describe("Validation", function () {
+    function validationConfig(onExceed, dataSources) {
+      return collectorConfig({
+        prices: {
+          ...config.prices,
+          maxChangePercent: 10,
+          validation: { ...config.prices.validation, onExceed }
+        },
+        ...(dataSources ? { dataSources } : {})
+      });
+    }
+    
+    it("Should reject source quotes outside the configured price range", async function () {
+      const collector = new GPRETOracleCollector({
+        config: validationConfig("clamp", [
+          { id: 1, name: "Source A", type: "static", prices: { "New York": 15000 }, weight: 50, active: true },
+          { id: 2, name: "Source B", type: "static", prices: { "New York": 99999 }, weight: 50, active: true }
+        ])
+      });
+      
+      const cityData = await collector.collectCityPrice(collector.cities[0]);
+      
+      expect(cityData.averagePrice).to.equal(15000);
+      expect(cityData.sources).to.equal(1);
+      expect(cityData.rejectedPrices[0].reason).to.include("Above maxPrice");
+    });
+    
+    it("Should store the aggregation strategy and discarded quotes", async function () {
+      const collector = new GPRETOracleCollector({
+        config: collectorConfig({
+          prices: { ...config.prices, aggregation: { strategy: "mad", madThreshold: 3 } },
+          dataSources: [
+            { id: 1, name: "Source A", type: "static", prices: { "New York": 15000 }, weight: 40, active: true },
+            { id: 2, name: "Source B", type: "static", prices: { "New York": 15100 }, weight: 30, active: true },
+            { id: 3, name: "Source C", type: "static", prices: { "New York": 14900 }, weight: 20, active: true },
+            { id: 4, name: "Source D", type: "static", prices: { "New York": 25000 }, weight: 10, active: true }
+          ]
+        })
+      });
+      
+      const cityData = await collector.collectCityPrice(collector.cities[0]);
+      
+      expect(cityData.aggregation.strategy).to.equal("mad");
+      expect(cityData.aggregation.discarded[0].source).to.equal("Source D");
+      expect(cityData.sources).to.equal(3);
+      expect(cityData.averagePrice).to.equal(15011);
+    });
+    
+    it("Should clamp moves beyond maxChangePercent", async function () {
+      const collector = new GPRETOracleCollector({ config: validationConfig("clamp") });
+      collector.previousPrices.set(1, 12000);
+      
+      const cityData = await collector.collectCityPrice(collector.cities[0]);
+      
+      expect(cityData.averagePrice).to.equal(13200);
+      expect(cityData.validation.status).to.equal("clamped");
+      expect(cityData.validation.collectedPrice).to.equal(15500);
+    });
+    
+    it("Should hold the previous price and save the reason", async function () {
+      fs.writeFileSync(path.join(dataDir, "latest.json"), JSON.stringify({
+        cities: [{ id: 1, averagePrice: 12000 }, { id: 2, averagePrice: 11900 }]
+      }));
+      const collector = new GPRETOracleCollector({ config: validationConfig("hold"), publisher: null });
+      
+      await collector.collectAllPrices();
+      const saved = JSON.parse(fs.readFileSync(path.join(dataDir, "latest.json"), "utf8"));
+      
+      expect(saved.cities[0].averagePrice).to.equal(12000);
+      expect(saved.cities[0].validation.status).to.equal("held");
+      expect(saved.cities[1].validation.status).to.equal("accepted");
+      expect(saved.warnings[0].warning).to.include("Held: Change of 29.17% exceeds maxChangePercent 10%");
+    });
+    
+    it("Should flag the city and record an error", async function () {
+      fs.writeFileSync(path.join(dataDir, "latest.json"), JSON.stringify({
+        cities: [{ id: 1, averagePrice: 12000 }, { id: 2, averagePrice: 12000 }]
+      }));
+      const collector = new GPRETOracleCollector({ config: validationConfig("flag"), publisher: null });
+      
+      const results = await collector.collectAllPrices();
+      
+      expect(results.cities[0].averagePrice).to.equal(15500);
+      expect(results.cities[0].validation.status).to.equal("flagged");
+      expect(results.errors[0].error).to.include("Flagged");
+      expect(collector.previousPrices.get(1)).to.equal(12000);
+      
+      collector.loadPreviousPrices();
+      expect(collector.previousPrices.get(1)).to.equal(12000);
+    });
+  });
+  
+  describe("On-chain publishing", function () {
+    it("Should save publisher tx hashes with the collection results", async function () {
+      const publisher = {
+        publish: async (results) => ({
+          transactions: results.cities.map(city => ({ name: city.name, txHash: `0x${city.id}` })),
+          skipped: [],
+          errors: []
+        })
+      };
+      const collector = new GPRETOracleCollector({ config: collectorConfig(), publisher });
+      
+      const results = await collector.collectAllPrices();
+      const saved = JSON.parse(fs.readFileSync(path.join(dataDir, "latest.json"), "utf8"));
+      
+      expect(results.onChain.transactions).to.have.length(2);
+      expect(saved.onChain.transactions[0].txHash).to.equal("0x1");
+    });
+    
+    it("Should record publish failures without failing the collection", async function () {
+      const publisher = {
+        publish: async () => {
+          throw new Error("rpc unavailable");
+        }
+      };
+      const collector = new GPRETOracleCollector({ config: collectorConfig(), publisher });
+      
+      const results = await collector.collectAllPrices();
+      
+      expect(results.cities).to.have.length(2);
+      expect(results.onChain.error).to.equal("rpc unavailable");
+      expect(results.errors[0].error).to.include("rpc unavailable");
+    });
+  });
+  
+  describe("Shared data directory", function () {
+    it("Should pick up history, index state and prices saved by another collector", async function () {
+      const sourcesAt = newYork => [{ ...staticSources()[0], prices: { "New York": newYork } }];
+      const first = new GPRETOracleCollector({ config: collectorConfig({ dataSources: sourcesAt(15500) }) });
+      const second = new GPRETOracleCollector({ config: collectorConfig({ dataSources: sourcesAt(15800) }) });
+      const firstJobs = new CollectionJobManager({ collector: first, dataPath: dataDir });
+      const secondJobs = new CollectionJobManager({ collector: second, dataPath: dataDir });
+      
+      await firstJobs.run({ trigger: "scheduled" });
+      await secondJobs.run({ trigger: "scheduled" });
+      const { results } = await firstJobs.run({ trigger: "scheduled" });
+      
+      const history = JSON.parse(fs.readFileSync(path.join(dataDir, "price-history.json"), "utf8"));
+      const indexState = JSON.parse(fs.readFileSync(path.join(dataDir, "index-base.json"), "utf8"));
+      
+      expect(history).to.have.length(3);
+      expect(history.map(entry => entry.cities[0].price)).to.deep.equal([15500, 15800, 15500]);
+      expect(first.history.size).to.equal(3);
+      expect(first.globalIndex.state).to.deep.equal(indexState);
+      expect(results.cities[0].previousPrice).to.equal(15800);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const WebSocket = require("ws");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../scripts/oracle/config");
+const { buildConfig } = require("./helpers/oracle-config");
+const GPRETOracleCollector = require("../scripts/oracle/price-collector");
+const GPRETOracleServer = require("../scripts/oracle/server");
+
+describe("GPRET Oracle Price Stream", function () {
+  let dataDir;
+  let oracle;
+  let url;
+  const sockets = [];
+  
+  function streamConfig() {
+    return buildConfig(dataDir, {
+      server: { ...config.server, websocket: { enabled: true, path: "/ws", heartbeatInterval: 100 } }
+    });
+  }
+  
+  // Connect and collect every message; next(type) resolves with the next one of that type
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      const received = [];
+      const waiting = [];
+      
+      socket.on("message", data => {
+        const message = JSON.parse(data);
+        received.push(message);
+        
+        const index = waiting.findIndex(w => w.type === message.type);
+        if (index >= 0) waiting.splice(index, 1)[0].resolve(message);
+      });
+      
+      socket.next = (type) => new Promise(done => {
+        const index = received.findIndex(m => m.type === type && !m.seen);
+        if (index >= 0) {
+          received[index].seen = true;
+          return done(received[index]);
+        }
+        waiting.push({ type, resolve: message => { message.seen = true; done(message); } });
+      });
+      socket.received = received;
+      socket.sendJson = (message) => socket.send(JSON.stringify(message));
+      
+      sockets.push(socket);
+      socket.on("open", () => resolve(socket));
+      socket.on("error", reject);
+    });
+  }
+  
+  beforeEach(function (done) {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-stream-"));
+    
+    const collector = new GPRETOracleCollector({ config: streamConfig(), publisher: null });
+    oracle = new GPRETOracleServer({ collector, scheduleUpdates: false });
+    oracle.port = 0;
+    
+    const server = oracle.start();
+    server.on("listening", () => {
+      url = `ws://127.0.0.1:${server.address().port}/ws`;
+      done();
+    });
+  });
+  
+  afterEach(async function () {
+    sockets.splice(0).forEach(socket => socket.terminate());
+    await oracle.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it("Should push price and index updates when a collection completes", async function () {
+    const socket = await connect();
+    socket.sendJson({ type: "subscribe", channels: ["prices", "global-index"] });
+    
+    const subscribed = await socket.next("subscribed");
+    expect(subscribed.channels).to.deep.equal(["prices", "global-index"]);
+    
+    await oracle.jobs.run({ trigger: "manual" });
+    
+    const first = await socket.next("price-update");
+    const second = await socket.next("price-update");
+    const index = await socket.next("index-update");
+    
+    expect([first.city.name, second.city.name]).to.deep.equal(["New York", "London"]);
+    expect(first).to.include({ newPrice: 15000, previousPrice: null, replay: false });
+    expect(index).to.include({ newIndex: 1000, previousIndex: null, citiesCount: 2 });
+  });
+  
+  it("Should filter price updates by subscribed cities", async function () {
+    const socket = await connect();
+    socket.sendJson({ type: "subscribe", channels: ["prices"], cities: [2] });
+    await socket.next("subscribed");
+    
+    await oracle.jobs.run({ trigger: "manual" });
+    await oracle.jobs.run({ trigger: "manual" });
+    
+    const first = await socket.next("price-update");
+    const second = await socket.next("price-update");
+    
+    expect([first.city.id, second.city.id]).to.deep.equal([2, 2]);
+    expect(second.previousPrice).to.equal(12000);
+    expect(socket.received.some(m => m.type === "index-update")).to.be.false;
+  });
+  
+  it("Should replay the latest snapshot on subscribe", async function () {
+    await oracle.jobs.run({ trigger: "manual" });
+    
+    const socket = await connect();
+    socket.sendJson({ type: "subscribe", channels: ["global-index"] });
+    
+    const index = await socket.next("index-update");
+    expect(index).to.include({ newIndex: 1000, replay: true });
+  });
+  
+  it("Should send heartbeats and answer pings", async function () {
+    const socket = await connect();
+    
+    socket.sendJson({ type: "ping" });
+    expect((await socket.next("pong")).timestamp).to.be.a("string");
+    expect((await socket.next("heartbeat")).timestamp).to.be.a("string");
+  });
+  
+  it("Should reject unknown channels and malformed messages", async function () {
+    const socket = await connect();
+    
+    socket.sendJson({ type: "subscribe", channels: ["weather"] });
+    expect((await socket.next("error")).error).to.include("Unknown channels: weather");
+    
+    socket.send("not json");
+    expect((await socket.next("error")).error).to.equal("Messages must be JSON");
+    
+    for (const frame of ["null", "42", "\"subscribe\"", "[]"]) {
+      socket.send(frame);
+      expect((await socket.next("error")).error, frame).to.equal("Messages must be JSON objects");
+    }
+  });
+  
+  it("Should answer with an error instead of throwing when a handler fails", async function () {
+    const socket = await connect();
+    oracle.stream.getLatest = () => { throw new Error("disk unavailable"); };
+    
+    socket.sendJson({ type: "subscribe" });
+    expect((await socket.next("error")).error).to.equal("Could not handle message: disk unavailable");
+    
+    socket.sendJson({ type: "ping" });
+    expect((await socket.next("pong")).timestamp).to.be.a("string");
+  });
+  
+  it("Should stop sending after unsubscribe", async function () {
+    const socket = await connect();
+    socket.sendJson({ type: "subscribe" });
+    await socket.next("subscribed");
+    
+    socket.sendJson({ type: "unsubscribe" });
+    expect((await socket.next("unsubscribed")).channels).to.deep.equal([]);
+    
+    await oracle.jobs.run({ trigger: "manual" });
+    socket.sendJson({ type: "ping" });
+    await socket.next("pong");
+    
+    expect(socket.received.some(m => m.type === "price-update")).to.be.false;
+  });
+});
@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../scripts/oracle/config");
+const { staticSources, buildConfig } = require("./helpers/oracle-config");
+const GPRETOracleCollector = require("../scripts/oracle/price-collector");
+const GPRETOracleServer = require("../scripts/oracle/server");
+
+describe("GPRET Oracle Collection Progress Feed", function () {
+  let dataDir;
+  let oracle;
+  let server;
+  let baseUrl;
+  
+  function progressConfig() {
+    return buildConfig(dataDir, {
+      dataSources: staticSources(2),
+      prices: {
+        ...config.prices,
+        validation: { ...config.prices.validation, onExceed: "hold" }
+      }
+    });
+  }
+  
+  // Read SSE events until `until` is seen; resolves with [{ event, data }]
+  function readEvents(until) {
+    return new Promise((resolve, reject) => {
+      const events = [];
+      
+      http.get(`${baseUrl}/api/collection/events`, res => {
+        let buffer = "";
+        res.setEncoding("utf8");
+        
+        res.on("data", chunk => {
+          buffer += chunk;
+          
+          let end;
+          while ((end = buffer.indexOf("\n\n")) >= 0) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            
+            const fields = Object.fromEntries(block.split("\n")
+              .filter(line => line && !line.startsWith(":"))
+              .map(line => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)]));
+            
+            if (fields.event) {
+              events.push({ event: fields.event, data: JSON.parse(fields.data) });
+            }
+            if (fields.event === until) {
+              res.destroy();
+              resolve(events);
+            }
+          }
+        });
+      }).on("error", reject);
+    });
+  }
+  
+  beforeEach(function (done) {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-progress-"));
+    fs.writeFileSync(path.join(dataDir, "latest.json"), JSON.stringify({ cities: [{ id: 1, averagePrice: 10000 }] }));
+    
+    const collector = new GPRETOracleCollector({ config: progressConfig(), publisher: null });
+    collector.fetchFromSource = async (source, city) => {
+      if (source.name === "Source B" && city.name === "London") throw new Error("HTTP 503");
+      return { price: city.basePriceUSD, confidence: 90 };
+    };
+    
+    oracle = new GPRETOracleServer({ collector, scheduleUpdates: false });
+    server = oracle.app.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+  
+  afterEach(async function () {
+    oracle.progressFeed.close();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  async function waitForClient() {
+    while (oracle.progressFeed.clientCount === 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+  
+  it("Should stream the collection lifecycle", async function () {
+    const streamed = readEvents("collection-completed");
+    await waitForClient();
+    
+    const { job } = await oracle.jobs.run({ trigger: "manual" });
+    const events = await streamed;
+    
+    // Cities are collected in parallel: their events interleave, each city's stay in order
+    const names = events.map(e => e.event);
+    const forCity = (city) => events.filter(e => e.data.city === city).map(e => e.event);
+    
+    expect(names.slice(0, 2)).to.deep.equal(["state", "collection-started"]);
+    expect(names[names.length - 1]).to.equal("collection-completed");
+    expect(forCity("New York")).to.deep.equal(["source-fetched", "source-fetched", "validation", "city-collected"]);
+    expect(forCity("London")).to.deep.equal(["source-fetched", "source-failed", "city-collected"]);
+    
+    const [state, started] = events.map(e => e.data);
+    const fetched = events.find(e => e.event === "source-fetched" && e.data.city === "New York").data;
+    const validation = events.find(e => e.event === "validation").data;
+    const failed = events.find(e => e.event === "source-failed").data;
+    const completed = events[events.length - 1].data;
+    expect(state.running).to.be.false;
+    expect(started.jobId).to.equal(job.id);
+    expect(started.cities.map(c => c.name)).to.deep.equal(["New York", "London"]);
+    expect(fetched).to.include({ city: "New York", source: "Source A", price: 15000 });
+    expect(fetched.durationMs).to.be.a("number");
+    expect(validation).to.include({ city: "New York", status: "held" });
+    expect(failed).to.include({ city: "London", source: "Source B", error: "HTTP 503" });
+    expect(completed).to.include({ jobId: job.id, cities: 2 });
+    expect(completed.globalIndex).to.be.a("number");
+  });
+  
+  it("Should report a running job to clients that join mid-run", async function () {
+    let release;
+    oracle.collector.collectAllPrices = () => new Promise(resolve => { release = resolve; });
+    
+    const run = oracle.jobs.run({ trigger: "scheduled" });
+    const [state] = await readEvents("state");
+    
+    expect(state.data.running).to.be.true;
+    expect(state.data.current.trigger).to.equal("scheduled");
+    
+    release({ globalIndex: 1000, cities: [], errors: [] });
+    await run;
+  });
+});
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const axios = require("axios");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MemoryStore } = require("express-rate-limit");
+const config = require("../scripts/oracle/config");
+const { CITIES, buildConfig } = require("./helpers/oracle-config");
+const GPRETOracleCollector = require("../scripts/oracle/price-collector");
+const GPRETOracleServer = require("../scripts/oracle/server");
+
+describe("GPRET Oracle Rate Limiting", function () {
+  let dataDir;
+  let oracle;
+  let server;
+  let client;
+  let stores;
+  
+  function rateLimitConfig() {
+    return buildConfig(dataDir, {
+      cities: [CITIES[0]],
+      monitoring: { ...config.monitoring, metrics: { enabled: true, endpoint: "/internal/metrics", collectDefault: false } },
+      security: {
+        ...config.security,
+        apiKeys: [{ name: "ops", key: "ops-key" }, { name: "monitor", key: "monitor-key" }],
+        apiRateLimit: { windowMs: 60 * 1000, max: 3, message: "Too many requests from this IP", allowlist: ["monitor"] },
+        updateRateLimit: { windowMs: 60 * 60 * 1000, max: 1, message: "Too many update requests from this IP" }
+      }
+    });
+  }
+  
+  beforeEach(function (done) {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-ratelimit-"));
+    stores = [];
+    
+    const collector = new GPRETOracleCollector({ config: rateLimitConfig(), publisher: null });
+    oracle = new GPRETOracleServer({
+      collector,
+      scheduleUpdates: false,
+      createRateLimitStore: () => {
+        const store = new MemoryStore();
+        stores.push(store);
+        return store;
+      }
+    });
+    
+    server = oracle.app.listen(0, "127.0.0.1", () => {
+      client = axios.create({
+        baseURL: `http://127.0.0.1:${server.address().port}`,
+        validateStatus: () => true
+      });
+      done();
+    });
+  });
+  
+  afterEach(function (done) {
+    oracle.progressFeed.close();
+    stores.forEach(store => store.shutdown());
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    server.close(done);
+  });
+  
+  it("Should send RateLimit headers and reject requests over the limit", async function () {
+    const first = await client.get("/api/stats");
+    expect(first.headers["ratelimit-limit"]).to.equal("3");
+    expect(first.headers["ratelimit-remaining"]).to.equal("2");
+    expect(first.headers["ratelimit-reset"]).to.exist;
+    
+    await client.get("/api/stats");
+    await client.get("/api/stats");
+    const { status, headers, data } = await client.get("/api/stats");
+    
+    expect(status).to.equal(429);
+    expect(Number(headers["retry-after"])).to.be.within(1, 60);
+    expect(data).to.include({ success: false, error: "Rate limit exceeded", code: "RATE_LIMIT_EXCEEDED" });
+    expect(data.details).to.include({ limit: 3, window: "1 minute" });
+    expect(new Date(data.details.resetTime).getTime()).to.be.greaterThan(Date.now());
+  });
+  
+  it("Should not limit health checks or metrics", async function () {
+    for (let i = 0; i < 5; i++) {
+      const { status, headers } = await client.get("/health/live");
+      expect(status).to.equal(200);
+      expect(headers["ratelimit-limit"]).to.be.undefined;
+    }
+  });
+  
+  it("Should exempt the configured metrics endpoint", async function () {
+    for (let i = 0; i < 5; i++) {
+      const { status, headers } = await client.get("/internal/metrics");
+      expect(status).to.equal(200);
+      expect(headers["ratelimit-limit"]).to.be.undefined;
+    }
+    
+    const { headers } = await client.get("/metrics");
+    expect(headers["ratelimit-limit"]).to.equal("3");
+  });
+  
+  it("Should exempt allowlisted API keys only", async function () {
+    for (let i = 0; i < 5; i++) {
+      const { status } = await client.get("/api/stats", { headers: { "X-API-Key": "monitor-key" } });
+      expect(status).to.equal(200);
+    }
+    
+    for (let i = 0; i < 3; i++) {
+      await client.get("/api/stats", { headers: { "X-API-Key": "ops-key" } });
+    }
+    const { status } = await client.get("/api/stats", { headers: { "X-API-Key": "ops-key" } });
+    expect(status).to.equal(429);
+  });
+  
+  it("Should count only authenticated requests against the update limit", async function () {
+    const rejected = await client.post("/api/update/prices", {}, { headers: { "X-API-Key": "wrong-key" } });
+    expect(rejected.status).to.equal(401);
+    
+    const first = await client.post("/api/update/prices", {}, { headers: { "X-API-Key": "ops-key" } });
+    expect(first.status).to.not.equal(429);
+    
+    const { status, data } = await client.post("/api/update/prices", {}, { headers: { "X-API-Key": "ops-key" } });
+    expect(status).to.equal(429);
+    expect(data.message).to.equal("Too many update requests from this IP");
+    expect(data.details.window).to.equal("1 hour");
+  });
+  
+  it("Should build one store per limiter through the store factory", function () {
+    expect(stores).to.have.length(2);
+  });
+});
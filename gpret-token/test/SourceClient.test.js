@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../scripts/oracle/config");
+const GPRETSourceClient = require("../scripts/oracle/source-client");
+
+describe("GPRET Oracle Source Client", function () {
+  const HOUR_MS = 60 * 60 * 1000;
+  
+  let dataDir;
+  let clock;
+  let sleeps;
+  
+  const source = {
+    id: 1,
+    name: "Source A",
+    type: "static",
+    timeout: 50,
+    retries: 2,
+    active: true,
+    rateLimit: { requests: 4, period: HOUR_MS }
+  };
+  
+  function buildClient(overrides = {}) {
+    return new GPRETSourceClient({
+      config: {
+        ...config,
+        dataSources: [source],
+        updates: { ...config.updates, maxRetries: 3, retryDelay: 3000 },
+        sourceClient: { retryDelay: 1000, circuitBreaker: { failureThreshold: 2, cooldown: 10 * 60 * 1000 } },
+        ...overrides
+      },
+      dataPath: dataDir,
+      sleep: async (ms) => { sleeps.push(ms); },
+      now: () => clock
+    });
+  }
+  
+  const failing = async () => { throw new Error("upstream down"); };
+  
+  async function requestError(client, fetchFn, src = source) {
+    try {
+      await client.request(src, fetchFn);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  }
+  
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpret-sources-"));
+    clock = Date.parse("2025-01-20T10:00:00.000Z");
+    sleeps = [];
+  });
+  
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it("Should retry with exponential backoff capped at updates.retryDelay", async function () {
+    const client = buildClient();
+    let calls = 0;
+    
+    const result = await client.request({ ...source, retries: 3 }, async () => {
+      calls++;
+      if (calls < 4) throw new Error("temporary failure");
+      return { price: 15000 };
+    });
+    
+    expect(result.price).to.equal(15000);
+    expect(sleeps).to.deep.equal([1000, 2000, 3000]);
+  });
+  
+  it("Should fall back to updates.maxRetries when a source sets no retries", async function () {
+    const client = buildClient({ sourceClient: { retryDelay: 1, circuitBreaker: { failureThreshold: 10, cooldown: 1000 } } });
+    let calls = 0;
+    
+    await requestError(client, async () => { calls++; throw new Error("down"); }, { ...source, retries: undefined, rateLimit: null });
+    
+    expect(calls).to.equal(4);
+  });
+  
+  it("Should time out each attempt", async function () {
+    const client = buildClient();
+    
+    const error = await requestError(client, () => new Promise(resolve => setTimeout(resolve, 500)), { ...source, retries: 0 });
+    
+    expect(error.message).to.include("timed out after 50ms");
+  });
+  
+  it("Should spend one token per attempt and refill over the period", async function () {
+    const client = buildClient();
+    
+    await client.request(source, async () => ({ price: 1 }));
+    await client.request(source, async () => ({ price: 1 }));
+    await client.request(source, async () => ({ price: 1 }));
+    await client.request(source, async () => ({ price: 1 }));
+    
+    let calls = 0;
+    const error = await requestError(client, async () => { calls++; return { price: 1 }; });
+    expect(calls).to.equal(0);
+    expect(error.code).to.equal("SOURCE_RATE_LIMITED");
+    expect(error.message).to.include("next request in 900s");
+    
+    clock += HOUR_MS / 4;
+    await client.request(source, async () => ({ price: 1 }));
+    expect(client.getState()[0].budget).to.include({ requests: 4, remaining: 0 });
+  });
+  
+  it("Should persist budgets across instances", async function () {
+    const first = buildClient();
+    for (let i = 0; i < 4; i++) {
+      await first.request(source, async () => ({ price: 1 }));
+    }
+    
+    const second = buildClient();
+    const error = await requestError(second, async () => ({ price: 1 }));
+    
+    expect(error.code).to.equal("SOURCE_RATE_LIMITED");
+    expect(fs.existsSync(path.join(dataDir, "source-state.json"))).to.be.true;
+  });
+  
+  it("Should open the circuit after consecutive failures and skip the source", async function () {
+    const client = buildClient({ sourceClient: { retryDelay: 1, circuitBreaker: { failureThreshold: 2, cooldown: 10 * 60 * 1000 } } });
+    const unlimited = { ...source, retries: 0, rateLimit: null };
+    
+    await requestError(client, failing, unlimited);
+    expect(client.getState()[0].circuit).to.include({ state: "closed", consecutiveFailures: 1 });
+    
+    await requestError(client, failing, unlimited);
+    const circuit = client.getState()[0].circuit;
+    expect(circuit.state).to.equal("open");
+    expect(circuit.retryAt).to.equal("2025-01-20T10:10:00.000Z");
+    
+    let calls = 0;
+    const error = await requestError(client, async () => { calls++; return { price: 1 }; }, unlimited);
+    expect(calls).to.equal(0);
+    expect(error.code).to.equal("SOURCE_CIRCUIT_OPEN");
+  });
+  
+  it("Should close the circuit after a successful trial request", async function () {
+    const client = buildClient();
+    const unlimited = { ...source, retries: 0, rateLimit: null };
+    
+    await requestError(client, failing, unlimited);
+    await requestError(client, failing, unlimited);
+    
+    clock += 10 * 60 * 1000;
+    await client.request(unlimited, async () => ({ price: 1 }));
+    
+    expect(client.getState()[0].circuit).to.include({ state: "closed", consecutiveFailures: 0 });
+  });
+  
+  it("Should reopen the circuit when the trial request fails, without retrying", async function () {
+    const client = buildClient();
+    const unlimited = { ...source, retries: 0, rateLimit: null };
+    
+    await requestError(client, failing, unlimited);
+    await requestError(client, failing, unlimited);
+    
+    clock += 10 * 60 * 1000;
+    let calls = 0;
+    await requestError(client, async () => { calls++; throw new Error("still down"); }, { ...unlimited, retries: 3 });
+    
+    expect(calls).to.equal(1);
+    const circuit = client.getState()[0].circuit;
+    expect(circuit.state).to.equal("open");
+    expect(circuit.retryAt).to.equal("2025-01-20T10:20:00.000Z");
+  });
+  
+  it("Should let only one concurrent request through as the trial", async function () {
+    const client = buildClient();
+    const unlimited = { ...source, retries: 0, rateLimit: null };
+    
+    await requestError(client, failing, unlimited);
+    await requestError(client, failing, unlimited);
+    
+    clock += 10 * 60 * 1000;
+    let calls = 0;
+    let finishTrial;
+    const trialFetch = () => {
+      calls++;
+      return new Promise(resolve => { finishTrial = resolve; });
+    };
+    
+    const requests = [1, 2, 3].map(() => client.request(unlimited, trialFetch).then(() => null, error => error));
+    finishTrial({ price: 1 });
+    const [trial, ...skipped] = await Promise.all(requests);
+    
+    expect(calls).to.equal(1);
+    expect(trial).to.be.null;
+    expect(skipped.map(error => error.code)).to.deep.equal(["SOURCE_CIRCUIT_OPEN", "SOURCE_CIRCUIT_OPEN"]);
+    expect(skipped[0].message).to.include("trial request in flight");
+    expect(client.getState()[0].circuit.state).to.equal("closed");
+  });
+});
@@ -0,0 +1,47 @@
+const config = require("../../scripts/oracle/config");
+
+const CITIES = [
+  { id: 1, name: "New York", country: "US", weight: 60, basePriceUSD: 15000, active: true },
+  { id: 2, name: "London", country: "UK", weight: 40, basePriceUSD: 12000, active: true }
+];
+
+/**
+ * `count` static sources ("Source A", "Source B", ...) quoting each city's
+ * base price, weighted equally
+ */
+function staticSources(count = 1) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    name: `Source ${String.fromCharCode(65 + i)}`,
+    type: "static",
+    useBasePrice: true,
+    confidence: 90,
+    weight: 100 / count,
+    timeout: 50,
+    retries: 0,
+    active: true
+  }));
+}
+
+/**
+ * Oracle config for tests: New York and London priced by one static source,
+ * with data kept in `dataDir`
+ * @param {string} dataDir - Data directory (storage.dataDirectory)
+ * @param {Object} [overrides] - Config sections to replace; `storage` is
+ *   merged into the default storage section instead
+ */
+function buildConfig(dataDir, { storage, ...overrides } = {}) {
+  return {
+    ...config,
+    cities: CITIES,
+    dataSources: staticSources(),
+    ...overrides,
+    storage: { ...config.storage, dataDirectory: dataDir, ...storage }
+  };
+}
+
+module.exports = {
+  CITIES,
+  staticSources,
+  buildConfig
+};